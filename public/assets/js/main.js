@@ -1,22 +1,74 @@
 (function () {
-  // Early Bird Offer Timer
-  function checkEarlyBirdOffer() {
+  const form = document.getElementById('registrationForm');
+  const statusEl = document.getElementById('formStatus');
+
+  // Pricing is worked out by the server, so the page shows exactly what a registration will be charged
+  const eventInput = form ? form.querySelector('[name="event"]') : null;
+  const eventSlug = eventInput ? eventInput.value : '';
+
+  function money(amount) {
+    return '$' + Number(amount).toFixed(2);
+  }
+
+  function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
+  // e.g. "January 7th"
+  function formatDeadline(iso) {
+    const d = new Date(iso);
+    const day = d.getDate();
+    const suffix = (day % 10 === 1 && day !== 11) ? 'st' : (day % 10 === 2 && day !== 12) ? 'nd' : (day % 10 === 3 && day !== 13) ? 'rd' : 'th';
+    return d.toLocaleDateString('en-US', { month: 'long' }) + ' ' + day + suffix;
+  }
+
+  function renderPricing(pricing) {
     const earlyBirdElement = document.getElementById('earlyBirdOffer');
-    if (!earlyBirdElement) return;
+    if (earlyBirdElement) earlyBirdElement.classList.toggle('hidden', !pricing.early_bird_active);
+    if (pricing.early_bird !== null) setText('earlyBirdPrice', money(pricing.early_bird));
+    if (pricing.early_bird_deadline) setText('earlyBirdDeadline', formatDeadline(pricing.early_bird_deadline));
+
+    if (pricing.standard !== null) {
+      const parts = Number(pricing.standard).toFixed(2).split('.');
+      setText('standardAmount', parts[0]);
+      setText('standardDecimals', '.' + parts[1]);
+    }
 
-    const now = new Date();
-    const deadline = new Date('2026-01-07T23:59:59');
+    const memberOffer = document.getElementById('memberOffer');
+    if (memberOffer) memberOffer.style.display = pricing.member === null ? 'none' : '';
+    if (pricing.member !== null) setText('memberPrice', money(pricing.member));
 
-    if (now > deadline) {
-      earlyBirdElement.classList.add('hidden');
+    const amountDue = document.getElementById('amountDue');
+    if (amountDue && pricing.quote) {
+      amountDue.textContent = 'Amount due if you register now: ' + money(pricing.quote.amount) + ' (' + pricing.quote.label + ')';
+      amountDue.style.display = 'block';
     }
   }
 
-  // Check early bird offer on page load
-  checkEarlyBirdOffer();
+  async function loadPricing() {
+    if (!eventSlug) return;
+    const params = new URLSearchParams();
+    ['middle_temple_member', 'bmts_member_interest'].forEach(name => {
+      const el = document.getElementById(name);
+      if (el && el.value) params.set(name, el.value);
+    });
 
-  const form = document.getElementById('registrationForm');
-  const statusEl = document.getElementById('formStatus');
+    try {
+      const res = await fetch('/api/events/' + encodeURIComponent(eventSlug) + '/pricing?' + params.toString());
+      if (!res.ok) return;
+      const data = await res.json();
+      renderPricing(data.pricing);
+    } catch (err) {
+      // Keep the prices printed in the page
+    }
+  }
+
+  loadPricing();
+  ['middle_temple_member', 'bmts_member_interest'].forEach(name => {
+    const el = document.getElementById(name);
+    if (el) el.addEventListener('change', loadPricing);
+  });
 
   function setStatus(msg, type) {
     if (!statusEl) return;
@@ -28,7 +80,156 @@
     statusEl.style.display = 'block';
   }
 
+  // Field rules and messages come from the server, so the form checks answers exactly as /api/register will
+  let schema = null;
+
+  async function loadSchema() {
+    try {
+      const res = await fetch('/api/registration-schema');
+      if (!res.ok) return;
+      schema = await res.json();
+      // Errors are shown next to each field instead of the browser's own bubbles
+      form.noValidate = true;
+      Object.keys(schema.fields).forEach(name => {
+        const input = form.elements[name];
+        if (input && schema.fields[name].maxLength) input.maxLength = schema.fields[name].maxLength;
+      });
+      // Card is only offered when the server has a payment provider set up
+      const method = form.elements.payment_method;
+      if (method && method.tagName === 'SELECT') {
+        schema.fields.payment_method.options.forEach(option => {
+          if (![...method.options].some(o => o.value === option)) method.add(new Option(option, option));
+        });
+      }
+      updateExemptFields();
+    } catch (err) {
+      // The server still checks everything when the form is submitted
+    }
+  }
+
+  // A field listed with not_required_when (e.g. the proof, for card payments) isn't needed for that answer
+  function isExempt(field) {
+    const rules = field.not_required_when || {};
+    return Object.keys(rules).some(other => form.elements[other] && form.elements[other].value === rules[other]);
+  }
+
+  function updateExemptFields() {
+    Object.keys(schema.fields).forEach(name => {
+      const input = form.elements[name];
+      const container = input && input.closest ? input.closest('.field') : null;
+      if (container && schema.fields[name].not_required_when) container.style.display = isExempt(schema.fields[name]) ? 'none' : '';
+    });
+  }
+
+  function validateForm() {
+    const errors = {};
+    Object.keys(schema.fields).forEach(name => {
+      const field = schema.fields[name];
+      const input = form.elements[name];
+      if (!input) return;
+      if (field.file) {
+        const file = input.files && input.files[0];
+        if (!file) {
+          if (field.required && !isExempt(field)) errors[name] = field.messages.required;
+        } else if (!field.extensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
+          errors[name] = field.messages.invalid;
+        } else if (file.size > field.maxBytes) {
+          errors[name] = field.messages.too_long;
+        }
+        return;
+      }
+      const value = input.type === 'checkbox' ? (input.checked ? input.value : '') : String(input.value || '').trim();
+      if (!value) {
+        if (field.required) errors[name] = field.messages.required;
+      } else if (field.maxLength && value.length > field.maxLength) {
+        errors[name] = field.messages.too_long;
+      } else if (field.options && field.options.indexOf(value) === -1) {
+        errors[name] = field.messages.invalid;
+      } else if (field.pattern && !new RegExp(field.pattern).test(value)) {
+        errors[name] = field.messages.invalid;
+      }
+    });
+    return errors;
+  }
+
+  // The server only takes a form carrying a token it signed when the form was opened. When it also sets a
+  // proof-of-work difficulty, the answer is worked out in the background while the form is filled in.
+  let challengeReady = Promise.resolve();
+
+  function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+      bits += byte ? Math.clz32(byte) - 24 : 8;
+      if (byte) break;
+    }
+    return bits;
+  }
+
+  async function solveProofOfWork(token, difficulty) {
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const hash = await crypto.subtle.digest('SHA-256', encoder.encode(token + ':' + nonce));
+      if (leadingZeroBits(new Uint8Array(hash)) >= difficulty) return String(nonce);
+    }
+  }
+
+  function loadChallenge() {
+    challengeReady = (async () => {
+      try {
+        const res = await fetch('/api/register/challenge', { cache: 'no-store' });
+        if (!res.ok) return;
+        const challenge = await res.json();
+        form.elements.form_token.value = challenge.form_token;
+        form.elements.pow_nonce.value = challenge.pow_difficulty && window.crypto && crypto.subtle
+          ? await solveProofOfWork(challenge.form_token, challenge.pow_difficulty)
+          : '';
+      } catch (err) {
+        // The server explains what's missing when the form is submitted
+      }
+    })();
+    return challengeReady;
+  }
+
+  function setFieldError(name, message) {
+    const input = form.elements[name];
+    const container = input && input.closest ? input.closest('.field') : null;
+    if (!container) return;
+    let el = container.querySelector('.field-error');
+    if (!message) {
+      if (el) el.remove();
+      input.removeAttribute('aria-invalid');
+      return;
+    }
+    if (!el) {
+      el = document.createElement('div');
+      el.className = 'field-error';
+      el.id = name + '_error';
+      container.appendChild(el);
+    }
+    el.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', el.id);
+  }
+
+  // Replaces any errors already shown and moves to the first field that needs attention
+  function showFieldErrors(errors) {
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+    const names = Object.keys(errors || {});
+    names.forEach(name => setFieldError(name, errors[name]));
+    const first = names.length ? form.elements[names[0]] : null;
+    if (first && first.focus) first.focus();
+    return names.length > 0;
+  }
+
   if (form) {
+    loadSchema();
+    loadChallenge();
+    ['input', 'change'].forEach(type => form.addEventListener(type, e => {
+      if (e.target.name) setFieldError(e.target.name, '');
+      if (schema) updateExemptFields();
+    }));
+
     const submitButton = document.getElementById('submitButton');
     const buttonText = submitButton.querySelector('.button-text');
     const buttonSpinner = submitButton.querySelector('.button-spinner');
@@ -36,6 +237,10 @@
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
 
+      if (schema && showFieldErrors(validateForm())) {
+        setStatus('Please correct the highlighted fields.', 'error');
+        return;
+      }
       const consent = document.getElementById('consent');
       if (consent && !consent.checked) {
         setStatus('Please confirm consent to continue.', 'error');
@@ -47,10 +252,11 @@
       buttonText.style.display = 'none';
       buttonSpinner.style.display = 'inline-flex';
 
-      const fd = new FormData(form);
-
       try {
         setStatus('Submitting your registration...', 'info');
+        if (!form.elements.form_token.value) loadChallenge();
+        await challengeReady;
+        const fd = new FormData(form);
 
         const res = await fetch('/api/register', {
           method: 'POST',
@@ -60,7 +266,9 @@
         const data = await res.json().catch(() => ({}));
 
         if (!res.ok) {
+          showFieldErrors(data.errors);
           setStatus(data.message || 'Submission failed. Please try again.', 'error');
+          if (data.reload) loadChallenge();
           // Re-enable button and hide spinner on failure
           submitButton.disabled = false;
           buttonText.style.display = 'inline-flex';
@@ -68,9 +276,21 @@
           return;
         }
 
-        // Redirect to thank you page with registration id
+        // Card payers continue to the payment provider's checkout page
+        if (data.checkout_url) {
+          window.location.href = data.checkout_url;
+          return;
+        }
+
+        // Redirect to thank you page with registration id and portal link token
         const id = encodeURIComponent(data.registration_id || '');
-        window.location.href = '/thank-you.html?id=' + id;
+        const token = data.portal_token ? '&token=' + encodeURIComponent(data.portal_token) : '';
+        const reference = data.payment_reference ? '&ref=' + encodeURIComponent(data.payment_reference) : '';
+        const duplicate = data.duplicate_warning ? '&duplicate=1' : '';
+        const waitlisted = data.waitlisted ? '&waitlisted=1' : '';
+        // Paying by card, but the checkout couldn't be opened
+        const card = fd.get('payment_method') === 'Card' && !data.waitlisted ? '&card=1' : '';
+        window.location.href = '/thank-you.html?id=' + id + reference + token + duplicate + waitlisted + card;
 
       } catch (err) {
         setStatus('Network error. Please try again.', 'error');
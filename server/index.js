@@ -1,18 +1,24 @@
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
+const readline = require('readline');
 const express = require('express');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const cors = require('cors');
 const multer = require('multer');
 const sanitize = require('sanitize-filename');
-const basicAuth = require('basic-auth');
 const { v4: uuidv4 } = require('uuid');
 const nodemailer = require('nodemailer');
 const Database = require('better-sqlite3');
+const ExcelJS = require('exceljs');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const tar = require('tar');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,14 +30,24 @@ const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'bmts.sqlite
 fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
 
-app.set('trust proxy', 1);
+// How many proxies (or which addresses) to trust for X-Forwarded-For. req.ip, and so the registration rate
+// limits, depend on it: trusting too much lets a client pick its own address, too little puts everyone
+// behind the proxy's address.
+function parseTrustProxy(value) {
+  const text = String(value === undefined ? '1' : value).trim();
+  if (text === 'true' || text === 'false') return text === 'true';
+  return /^\d+$/.test(text) ? parseInt(text, 10) : text;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 app.use(helmet({
   contentSecurityPolicy: false
 }));
 app.use(morgan('combined'));
 app.use(cors({ origin: false }));
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// The raw body is kept because payment webhook signatures are checked against the exact bytes received
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
 
 // Static site
 app.use(express.static(PUBLIC_DIR));
@@ -39,102 +55,491 @@ app.use(express.static(PUBLIC_DIR));
 // Database
 const db = new Database(DB_PATH);
 
-// --- BEGIN DB MIGRATION ---
-// This script is wrapped in a check for an environment variable for production safety.
-// To run, start the server with `RUN_DB_MIGRATION=true node server/index.js`
-if (process.env.RUN_DB_MIGRATION === 'true') {
-  try {
-    // Check if the 'registrations' table exists.
-    const tableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='registrations'").get();
+// Schema migrations: numbered files in server/migrations (e.g. 003_add_refunds.js) exporting
+// { description, up(db, { ensureColumn }) }. Each runs once, in order, in its own transaction, and is recorded
+// in schema_migrations. Pending migrations are applied at startup unless AUTO_MIGRATE=false, or with
+// `node index.js migrate` (`--dry-run` applies them and rolls back); `node index.js migrate-status` lists them.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TEXT NOT NULL,
+    duration_ms INTEGER
+  )
+`);
+
+// Add a column to an existing table if an older database doesn't have it yet
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      const migration = require(filePath);
+      if (typeof migration.up !== 'function') throw new Error(`Migration ${file} doesn't export an up() function.`);
+      return {
+        version: parseInt(file, 10),
+        name: file.replace(/\.js$/, ''),
+        description: migration.description || '',
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (i > 0 && m.version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].name} and ${m.name} have the same number.`);
+    }
+  });
+  return migrations;
+}
+
+function migrationStatus() {
+  const applied = new Map(db.prepare('SELECT * FROM schema_migrations').all().map(r => [r.version, r]));
+  const migrations = loadMigrations().map(m => {
+    const row = applied.get(m.version);
+    // An applied migration whose file has since been edited won't run again, so its edits never reach this database
+    return { ...m, applied_at: row ? row.applied_at : null, modified: !!row && row.checksum !== m.checksum };
+  });
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    migrations,
+    pending: migrations.filter(m => !m.applied_at),
+    // Recorded as applied but not on disk, e.g. a database already upgraded by a newer version of the app
+    unknown: [...applied.values()].filter(r => !known.has(r.version))
+  };
+}
+
+function schemaObjects() {
+  const rows = db.prepare("SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%'").all();
+  return new Map(rows.map(r => [`${r.type} ${r.name}`, r.sql]));
+}
+
+function schemaChanges(before, after) {
+  const changes = [];
+  after.forEach((sql, key) => {
+    if (!before.has(key)) changes.push(`+ ${key}`);
+    else if (before.get(key) !== sql) changes.push(`~ ${key}`);
+  });
+  before.forEach((sql, key) => {
+    if (!after.has(key)) changes.push(`- ${key}`);
+  });
+  return changes;
+}
 
-    if (tableExists) {
-      const columns = db.prepare(`PRAGMA table_info(registrations)`).all();
-      const paymentMethodColumn = columns.find(c => c.name === 'payment_method');
+const DRY_RUN_ROLLBACK = new Error('Dry run');
 
-      // If `payment_method` has a NOT NULL constraint, we need to migrate.
-      if (paymentMethodColumn && paymentMethodColumn.notnull) {
-        console.log('[Migration] Old schema detected. Applying update to `registrations` table...');
+// Apply pending migrations, each in its own transaction so a failure leaves the database as the last good
+// migration left it. A dry run applies them all inside one outer transaction that is then rolled back.
+function runMigrations({ dryRun = false } = {}) {
+  const { pending } = migrationStatus();
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, checksum, applied_at, duration_ms) VALUES (?, ?, ?, ?, ?)');
 
+  const applyPending = () => {
+    for (const m of pending) {
+      const before = schemaObjects();
+      const started = Date.now();
+      try {
         db.transaction(() => {
-          // 1. Get existing column names to preserve data.
-          const columnNames = columns.map(c => c.name).join(', ');
-
-          // 2. Rename the old table.
-          db.exec('ALTER TABLE registrations RENAME TO _registrations_old');
-
-          // 3. Create the new table with the corrected schema (allowing NULLs).
-          db.exec(`
-            CREATE TABLE registrations (
-              id TEXT PRIMARY KEY,
-              created_at TEXT NOT NULL,
-              status TEXT NOT NULL,
-              middle_temple_member TEXT,
-              bmts_member_interest TEXT,
-              title TEXT NOT NULL,
-              first_name TEXT NOT NULL,
-              last_name TEXT NOT NULL,
-              company TEXT,
-              po_box TEXT,
-              city TEXT,
-              telephone TEXT NOT NULL,
-              email TEXT NOT NULL,
-              practice_track TEXT NOT NULL,
-              payment_method TEXT,
-              payment_file_name TEXT,
-              payment_file_path TEXT,
-              admin_notes TEXT
-            )
-          `);
-
-          // 4. Copy all data from the old table to the new one.
-          db.exec(`INSERT INTO registrations (${columnNames}) SELECT ${columnNames} FROM _registrations_old`);
-
-          // 5. Drop the old table.
-          db.exec('DROP TABLE _registrations_old');
+          m.up(db, { ensureColumn });
+          const broken = db.pragma('foreign_key_check');
+          if (broken.length) throw new Error(`it leaves ${broken.length} row(s) in ${broken[0].table} referring to rows that don't exist`);
+          record.run(m.version, m.name, m.checksum, new Date().toISOString(), Date.now() - started);
         })();
-
-        console.log('[Migration] ✅ Table schema updated successfully.');
+      } catch (err) {
+        throw new Error(`Migration ${m.name} failed and was rolled back: ${err.message}`);
+      }
+      if (dryRun) {
+        const changes = schemaChanges(before, schemaObjects());
+        console.log(`[Migration] Would apply ${m.name}${m.description ? ` (${m.description})` : ''}`);
+        (changes.length ? changes : ['no schema changes']).forEach(c => console.log(`  ${c}`));
       } else {
-        console.log('[Migration] Schema is already up-to-date. No migration needed.');
+        console.log(`[Migration] Applied ${m.name} in ${Date.now() - started} ms.`);
       }
+    }
+  };
+
+  // Rebuilding a table means dropping it while other tables still refer to it, so foreign keys are
+  // checked with foreign_key_check before each commit instead (the pragma can't change inside a transaction)
+  db.pragma('foreign_keys = OFF');
+  try {
+    if (dryRun) {
+      db.transaction(() => {
+        applyPending();
+        throw DRY_RUN_ROLLBACK;
+      })();
     } else {
-      console.log('[Migration] `registrations` table not found. It will be created automatically.');
+      applyPending();
     }
-    // Once migration is done (or not needed), exit the process to prevent the app from starting.
-    // The user should restart it without the env variable.
-    console.log('[Migration] Process complete. Exiting.');
+  } catch (err) {
+    if (err !== DRY_RUN_ROLLBACK) throw err;
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  return pending;
+}
+
+function migrateCommand(opts) {
+  const dryRun = !!opts['dry-run'];
+  const pending = runMigrations({ dryRun });
+  if (!pending.length) console.log('[Migration] The database is up to date.');
+  else if (dryRun) console.log(`[Migration] Dry run: ${pending.length} migration(s) would be applied. Nothing was changed.`);
+  else console.log(`[Migration] Applied ${pending.length} migration(s).`);
+}
+
+function migrateStatusCommand() {
+  const { migrations, pending, unknown } = migrationStatus();
+  console.log(`[Migration] Database: ${DB_PATH}`);
+  migrations.forEach(m => {
+    const state = m.applied_at ? `applied ${m.applied_at}` : 'pending';
+    console.log(`  ${m.name.padEnd(40)} ${state}${m.modified ? '  (file changed since it was applied)' : ''}`);
+  });
+  unknown.forEach(r => console.log(`  ${r.name.padEnd(40)} applied ${r.applied_at}  (no longer in ${MIGRATIONS_DIR})`));
+  console.log(`[Migration] ${pending.length} pending.`);
+}
+
+// These run before anything below reads the schema, then exit
+const MIGRATION_COMMANDS = {
+  migrate: {
+    run: migrateCommand,
+    usage: 'migrate [--dry-run]'
+  },
+  'migrate-status': {
+    run: migrateStatusCommand,
+    usage: 'migrate-status'
+  }
+};
+
+if (MIGRATION_COMMANDS[process.argv[2]]) {
+  try {
+    MIGRATION_COMMANDS[process.argv[2]].run(parseCliArgs(process.argv.slice(3)));
     process.exit(0);
   } catch (err) {
-    console.error('[Migration] Fatal error during database migration:', err.message);
+    console.error(`[Migration] ${err.message}`);
     process.exit(1);
   }
 }
-// --- END DB MIGRATION ---
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS registrations (
-    id TEXT PRIMARY KEY,
-    created_at TEXT NOT NULL,
-    status TEXT NOT NULL,
-    middle_temple_member TEXT,
-    bmts_member_interest TEXT,
-    title TEXT NOT NULL,
-    first_name TEXT NOT NULL,
-    last_name TEXT NOT NULL,
-    company TEXT,
-    po_box TEXT,
-    city TEXT,
-    telephone TEXT NOT NULL,
-    email TEXT NOT NULL,
-    practice_track TEXT NOT NULL,
-    payment_method TEXT,
-    payment_file_name TEXT,
-    payment_file_path TEXT,
-    admin_notes TEXT
-  );
-  CREATE INDEX IF NOT EXISTS idx_reg_created_at ON registrations(created_at);
-  CREATE INDEX IF NOT EXISTS idx_reg_status ON registrations(status);
-`);
+try {
+  const { pending, unknown } = migrationStatus();
+  if (unknown.length) {
+    console.log(`[Migration] ⚠ The database has migrations this version doesn't know about: ${unknown.map(r => r.name).join(', ')}`);
+  }
+  if (pending.length && process.env.AUTO_MIGRATE === 'false') {
+    console.error(`[Migration] ${pending.length} migration(s) pending and AUTO_MIGRATE is false. Run \`node index.js migrate\` first.`);
+    process.exit(1);
+  }
+  runMigrations();
+} catch (err) {
+  console.error('[Migration] Fatal error during database migration:', err.message);
+  process.exit(1);
+}
+
+function getSetting(key) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+function setSetting(key, value) {
+  db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, value);
+}
+
+
+// Time zone of the venue; an event's dates are calendar days there
+const DEFAULT_EVENT_TIMEZONE = 'America/Nassau';
+
+// Seed the original Middle Temple Week so existing registrations have an event to belong to
+const SEED_EVENT_SLUG = 'bmts-week-2026';
+if (!db.prepare('SELECT id FROM events LIMIT 1').get()) {
+  db.prepare(`
+    INSERT INTO events (
+      slug, name, programme, start_date, end_date,
+      venue, venue_address, location, timezone,
+      fee_standard, fee_early_bird, fee_member, early_bird_deadline,
+      capacity, registration_opens_at, registration_closes_at, created_at
+    ) VALUES (
+      @slug, @name, @programme, @start_date, @end_date,
+      @venue, @venue_address, @location, @timezone,
+      @fee_standard, @fee_early_bird, @fee_member, @early_bird_deadline,
+      @capacity, @registration_opens_at, @registration_closes_at, @created_at
+    )
+  `).run({
+    slug: SEED_EVENT_SLUG,
+    name: 'The Bahamas Middle Temple Week 2026',
+    programme: 'Advocacy Training Programme',
+    start_date: '2026-01-19',
+    end_date: '2026-01-23',
+    venue: 'British Colonial Hilton',
+    venue_address: '1 Bay Street, Nassau, New Providence, The Bahamas',
+    location: 'Nassau, New Providence, The Bahamas',
+    timezone: DEFAULT_EVENT_TIMEZONE,
+    fee_standard: 395,
+    fee_early_bird: 365,
+    fee_member: 360,
+    early_bird_deadline: '2026-01-07T23:59:59-05:00',
+    capacity: null,
+    registration_opens_at: null,
+    registration_closes_at: null,
+    created_at: new Date().toISOString()
+  });
+  console.log(`[Events] Seeded default event '${SEED_EVENT_SLUG}'.`);
+}
+db.prepare('UPDATE registrations SET event_id = (SELECT id FROM events WHERE slug = ?) WHERE event_id IS NULL').run(SEED_EVENT_SLUG);
+
+// Registrations from before the audit trail start their timeline at submission
+db.prepare(`
+  INSERT INTO registration_events (registration_id, created_at, actor_type, action, new_status)
+  SELECT id, created_at, 'registrant', 'created', 'Pending Verification' FROM registrations
+  WHERE NOT EXISTS (SELECT 1 FROM registration_events e WHERE e.registration_id = registrations.id)
+`).run();
+
+// Registrations from before proof history was kept get their single proof recorded as the first version
+const unrecordedProofs = db.prepare(`
+  SELECT id, created_at, payment_file_name, payment_file_path FROM registrations
+  WHERE payment_file_path IS NOT NULL AND payment_file_path != ''
+    AND NOT EXISTS (SELECT 1 FROM payment_proofs p WHERE p.registration_id = registrations.id)
+`).all();
+for (const r of unrecordedProofs) {
+  const onDisk = fs.existsSync(r.payment_file_path);
+  db.prepare(`
+    INSERT INTO payment_proofs (registration_id, uploaded_at, original_name, file_path, size, sha256, uploaded_by_type)
+    VALUES (?, ?, ?, ?, ?, ?, 'registrant')
+  `).run(r.id, r.created_at, r.payment_file_name, r.payment_file_path,
+    onDisk ? fs.statSync(r.payment_file_path).size : null, onDisk ? sha256File(r.payment_file_path) : null);
+}
+
+// Event the public form registers for when it doesn't name one
+const DEFAULT_EVENT_SLUG = process.env.DEFAULT_EVENT_SLUG || SEED_EVENT_SLUG;
+
+function getEvent(id) {
+  return db.prepare('SELECT * FROM events WHERE id = ?').get(id);
+}
+
+function getEventBySlug(slug) {
+  return db.prepare('SELECT * FROM events WHERE slug = ?').get(slug);
+}
+
+// e.g. "19–23 January 2026", "30 January – 2 February 2026"
+function formatEventDates(event) {
+  const start = new Date(`${event.start_date}T00:00:00Z`);
+  const end = new Date(`${event.end_date}T00:00:00Z`);
+  const fmt = (d, opts) => d.toLocaleDateString('en-GB', { timeZone: 'UTC', ...opts });
+  const full = { day: 'numeric', month: 'long', year: 'numeric' };
+
+  if (event.start_date === event.end_date) return fmt(start, full);
+  if (start.getUTCFullYear() !== end.getUTCFullYear()) return `${fmt(start, full)} – ${fmt(end, full)}`;
+  if (start.getUTCMonth() !== end.getUTCMonth()) return `${fmt(start, { day: 'numeric', month: 'long' })} – ${fmt(end, full)}`;
+  return `${start.getUTCDate()}–${fmt(end, full)}`;
+}
+
+// e.g. "Monday to Friday"
+function formatEventDays(event) {
+  const weekday = d => new Date(`${d}T00:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC', weekday: 'long' });
+  if (event.start_date === event.end_date) return weekday(event.start_date);
+  return `${weekday(event.start_date)} to ${weekday(event.end_date)}`;
+}
+
+// Programme days as YYYY-MM-DD, first to last
+function eventDays(event) {
+  const days = [];
+  for (let d = new Date(`${event.start_date}T00:00:00Z`); d <= new Date(`${event.end_date}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+    days.push(d.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+// Full title used in email copy, e.g. "The Bahamas Middle Temple Week 2026 – Advocacy Training Programme"
+function eventTitle(event) {
+  return event.programme ? `${event.name} – ${event.programme}` : event.name;
+}
+
+function isValidTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Today's date (YYYY-MM-DD) at the event's venue, to compare with its start and end dates
+function eventToday(event, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: event.timezone || DEFAULT_EVENT_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(now);
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// True once the last day of the event is over at the venue
+function eventIsOver(event, now = new Date()) {
+  return eventToday(event, now) > event.end_date;
+}
+
+function countEventRegistrations(eventId) {
+  return db.prepare("SELECT COUNT(*) AS c FROM registrations WHERE event_id = ? AND status NOT IN ('Cancelled', 'Merged')").get(eventId).c;
+}
+
+// Returns a reason the event can't take registrations right now, or null if it can
+function registrationClosedReason(event, now = new Date()) {
+  if (event.registration_opens_at && now < new Date(event.registration_opens_at)) {
+    return 'Registration for this event has not opened yet.';
+  }
+  if (event.registration_closes_at && now > new Date(event.registration_closes_at)) {
+    return 'Registration for this event is closed.';
+  }
+  // With no closing time set, registration stays open until the event's last day is over
+  if (!event.registration_closes_at && eventIsOver(event, now)) {
+    return 'Registration for this event is closed.';
+  }
+  if (event.capacity && countEventRegistrations(event.id) >= event.capacity) {
+    return 'This event is fully booked.';
+  }
+  return null;
+}
+
+// Shape exposed to the public site
+function publicEvent(event) {
+  const closedReason = registrationClosedReason(event);
+  return {
+    slug: event.slug,
+    name: event.name,
+    programme: event.programme,
+    start_date: event.start_date,
+    end_date: event.end_date,
+    dates: formatEventDates(event),
+    venue: event.venue,
+    venue_address: event.venue_address,
+    location: event.location,
+    registration_open: !closedReason,
+    registration_closed_reason: closedReason
+  };
+}
+
+const FEE_TIER_LABELS = {
+  standard: 'Standard rate',
+  early_bird: 'Early bird rate',
+  member: 'BMTS member rate'
+};
+
+function formatMoney(amount) {
+  return `$${Number(amount).toFixed(2)}`;
+}
+
+// BMTS membership is open to Middle Temple members, so the member rate applies to
+// registrants who are Middle Temple members and are joining (or already in) BMTS
+function qualifiesForMemberRate(answers) {
+  return answers.middle_temple_member === 'Yes' && answers.bmts_member_interest === 'Yes';
+}
+
+function isEarlyBird(event, at = new Date()) {
+  return event.fee_early_bird !== null && !!event.early_bird_deadline && at <= new Date(event.early_bird_deadline);
+}
+
+// Work out what a registrant owes for an event at a given moment: the lowest rate they qualify for.
+// Returns null when the event has no fees configured.
+function calculateFee(event, answers = {}, at = new Date()) {
+  if (event.fee_standard === null || event.fee_standard === undefined) return null;
+
+  const options = [{ tier: 'standard', amount: event.fee_standard }];
+  if (isEarlyBird(event, at)) options.push({ tier: 'early_bird', amount: event.fee_early_bird });
+  if (event.fee_member !== null && qualifiesForMemberRate(answers)) options.push({ tier: 'member', amount: event.fee_member });
+
+  const best = options.reduce((a, b) => (b.amount < a.amount ? b : a));
+  return { ...best, label: FEE_TIER_LABELS[best.tier] };
+}
+
+// Fee schedule for the landing page, plus a quote when member answers are supplied
+function publicPricing(event, answers = {}, at = new Date()) {
+  return {
+    standard: event.fee_standard,
+    early_bird: event.fee_early_bird,
+    early_bird_deadline: event.early_bird_deadline,
+    early_bird_active: isEarlyBird(event, at),
+    member: event.fee_member,
+    quote: calculateFee(event, answers, at)
+  };
+}
+
+const EVENT_FIELDS = [
+  'slug', 'name', 'programme', 'start_date', 'end_date',
+  'venue', 'venue_address', 'location', 'timezone',
+  'fee_standard', 'fee_early_bird', 'fee_member', 'early_bird_deadline',
+  'capacity', 'registration_opens_at', 'registration_closes_at', 'track_capacity', 'certificate_min_days'
+];
+
+// Validate an admin create/update payload, merged over the existing event when updating
+function parseEventInput(body, existing = {}) {
+  const values = {};
+  for (const k of EVENT_FIELDS) {
+    const v = body[k] !== undefined ? body[k] : existing[k];
+    values[k] = (v === undefined || v === '') ? null : v;
+  }
+
+  if (!values.slug || !/^[a-z0-9][a-z0-9-]*$/.test(String(values.slug))) {
+    return { error: 'Slug is required and may only contain lowercase letters, numbers and dashes.' };
+  }
+  if (!values.name) return { error: 'Event name is required.' };
+  for (const k of ['start_date', 'end_date']) {
+    if (!values[k] || !/^\d{4}-\d{2}-\d{2}$/.test(String(values[k])) || isNaN(Date.parse(values[k]))) {
+      return { error: `${k} must be a date in YYYY-MM-DD format.` };
+    }
+  }
+  if (values.end_date < values.start_date) return { error: 'end_date cannot be before start_date.' };
+  if (values.timezone === null) values.timezone = DEFAULT_EVENT_TIMEZONE;
+  if (!isValidTimeZone(values.timezone)) return { error: 'timezone must be an IANA time zone such as America/Nassau.' };
+  for (const k of ['fee_standard', 'fee_early_bird', 'fee_member']) {
+    if (values[k] === null) continue;
+    values[k] = Number(values[k]);
+    if (!Number.isFinite(values[k]) || values[k] < 0) return { error: `${k} must be a positive amount.` };
+  }
+  if (values.capacity !== null) {
+    values.capacity = Number(values.capacity);
+    if (!Number.isInteger(values.capacity) || values.capacity < 1) return { error: 'capacity must be a whole number of places.' };
+  }
+  if (values.certificate_min_days !== null) {
+    values.certificate_min_days = Number(values.certificate_min_days);
+    if (!Number.isInteger(values.certificate_min_days) || values.certificate_min_days < 1) {
+      return { error: 'certificate_min_days must be a whole number of days.' };
+    }
+  }
+  for (const k of ['early_bird_deadline', 'registration_opens_at', 'registration_closes_at']) {
+    if (values[k] !== null && isNaN(Date.parse(values[k]))) return { error: `${k} must be a valid date and time.` };
+  }
+  if (values.track_capacity !== null) {
+    // Accept an object of track -> seats, or the stored JSON string
+    let capacities = values.track_capacity;
+    if (typeof capacities === 'string') {
+      try {
+        capacities = JSON.parse(capacities);
+      } catch (err) {
+        return { error: 'track_capacity must be an object of track names and seat limits.' };
+      }
+    }
+    if (!capacities || typeof capacities !== 'object' || Array.isArray(capacities)) {
+      return { error: 'track_capacity must be an object of track names and seat limits.' };
+    }
+    const cleaned = {};
+    for (const [track, seats] of Object.entries(capacities)) {
+      if (!PRACTICE_TRACKS.includes(track)) return { error: `Unknown track '${track}'. Tracks are: ${PRACTICE_TRACKS.join(', ')}.` };
+      if (seats === null || seats === '') continue;
+      if (!Number.isInteger(Number(seats)) || Number(seats) < 0) return { error: `The ${track} seat limit must be a whole number.` };
+      cleaned[track] = Number(seats);
+    }
+    values.track_capacity = Object.keys(cleaned).length ? JSON.stringify(cleaned) : null;
+  }
+
+  return { values };
+}
 
 function isValidFile(mimetype, filename) {
   const allowed = ['application/pdf', 'image/jpeg', 'image/png'];
@@ -144,6 +549,85 @@ function isValidFile(mimetype, filename) {
   return true;
 }
 
+// The mimetype and extension above come from the client, so an upload is also checked by its leading bytes
+const FILE_SIGNATURES = {
+  pdf: { bytes: Buffer.from('%PDF-'), mimetype: 'application/pdf', extensions: ['.pdf'] },
+  jpeg: { bytes: Buffer.from([0xff, 0xd8, 0xff]), mimetype: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+  png: { bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), mimetype: 'image/png', extensions: ['.png'] }
+};
+
+function sniffFileType(filePath) {
+  const header = Buffer.alloc(8);
+  const fd = fs.openSync(filePath, 'r');
+  let read;
+  try {
+    read = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return Object.keys(FILE_SIGNATURES).find(type => {
+    const { bytes } = FILE_SIGNATURES[type];
+    return read >= bytes.length && header.subarray(0, bytes.length).equals(bytes);
+  }) || null;
+}
+
+// Drops the APP1 (EXIF, XMP), APP13 (IPTC) and comment segments, where phones and cameras record GPS positions,
+// device details and timestamps. Returns null if the file isn't a well-formed JPEG.
+function stripJpegMetadata(buf) {
+  const parts = [buf.subarray(0, 2)];
+  let pos = 2;
+  while (pos + 4 <= buf.length && buf[pos] === 0xff) {
+    const marker = buf[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    // Start of scan: the compressed image data runs from here to the end of the file
+    if (marker === 0xda) break;
+    const end = pos + 2 + buf.readUInt16BE(pos + 2);
+    if (end > buf.length) return null;
+    if (![0xe1, 0xed, 0xfe].includes(marker)) parts.push(buf.subarray(pos, end));
+    pos = end;
+  }
+  parts.push(buf.subarray(pos));
+  return Buffer.concat(parts);
+}
+
+// Drops the EXIF, text and timestamp chunks. Returns null if the file isn't a well-formed PNG.
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+function stripPngMetadata(buf) {
+  const parts = [buf.subarray(0, 8)];
+  let pos = 8;
+  while (pos + 12 <= buf.length) {
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const end = pos + 12 + buf.readUInt32BE(pos);
+    if (end > buf.length) return null;
+    if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(buf.subarray(pos, end));
+    pos = end;
+    if (type === 'IEND') return Buffer.concat(parts);
+  }
+  return null;
+}
+
+// Checks that a saved upload really is the PDF, JPEG or PNG its name says, and strips image metadata in place.
+// The file's mimetype and size are updated to match what was kept. Returns false if it should be refused.
+function acceptUploadedProof(file) {
+  const type = sniffFileType(file.path);
+  const ext = path.extname(file.originalname || file.filename).toLowerCase();
+  if (!type || !FILE_SIGNATURES[type].extensions.includes(ext)) return false;
+  file.mimetype = FILE_SIGNATURES[type].mimetype;
+  if (type === 'pdf') return true;
+
+  const original = fs.readFileSync(file.path);
+  const stripped = type === 'jpeg' ? stripJpegMetadata(original) : stripPngMetadata(original);
+  if (!stripped) return false;
+  if (stripped.length !== original.length) {
+    fs.writeFileSync(file.path, stripped);
+    file.size = stripped.length;
+  }
+  return true;
+}
+
 // File upload (max 10MB)
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -154,18 +638,64 @@ const storage = multer.diskStorage({
     req._reg_id = id;
     const safe = sanitize(file.originalname || 'payment-proof');
     const ext = path.extname(safe) || '.bin';
-    cb(null, `${id}${ext.toLowerCase()}`);
+    // Timestamped so a later proof for the same registration never replaces an earlier one
+    cb(null, `${id}-${Date.now()}${ext.toLowerCase()}`);
   }
 });
+
+function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Keep every uploaded proof; the registration's payment_file_* columns point at the latest one
+function recordPaymentProof(registrationId, file, uploadedByType, uploadedBy = null) {
+  const originalName = file.originalname || file.filename;
+  const info = db.prepare(`
+    INSERT INTO payment_proofs (
+      registration_id, uploaded_at, original_name, file_path, mimetype, size, sha256, uploaded_by_type, uploaded_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(registrationId, new Date().toISOString(), originalName, file.path, file.mimetype, file.size, sha256File(file.path), uploadedByType, uploadedBy);
+
+  db.prepare('UPDATE registrations SET payment_file_name = ?, payment_file_path = ? WHERE id = ?').run(originalName, file.path, registrationId);
+  return info.lastInsertRowid;
+}
+
+// Other registrations that were sent the same file: one proof used twice may be one payment claimed twice
+function proofReusedBy(sha256, registrationId) {
+  if (!sha256) return [];
+  return db.prepare('SELECT DISTINCT registration_id FROM payment_proofs WHERE sha256 = ? AND registration_id != ? ORDER BY registration_id')
+    .all(sha256, registrationId).map(r => r.registration_id);
+}
+
+// Notes in the registration's history when a proof just recorded matches another registration's
+function flagReusedProof(registrationId, proofId) {
+  const proof = db.prepare('SELECT sha256 FROM payment_proofs WHERE id = ?').get(proofId);
+  const others = proofReusedBy(proof && proof.sha256, registrationId);
+  if (!others.length) return;
+  console.log(`[Uploads] Payment proof for ${registrationId} is the same file as the proof for ${others.join(', ')}`);
+  logRegistrationEvent(registrationId, { actorType: 'system', action: 'proof_reused', notes: `Same file as the payment proof for ${others.join(', ')}` });
+}
 const upload = multer({
   storage,
   limits: { fileSize: 10 * 1024 * 1024 },
   fileFilter: function (req, file, cb) {
     if (isValidFile(file.mimetype, file.originalname)) cb(null, true);
-    else cb(new Error('Invalid file type. Please upload PDF, JPG, JPEG, or PNG.'));
+    else cb(Object.assign(new Error('Invalid file type. Please upload PDF, JPG, JPEG, or PNG.'), { status: 400 }));
   }
 });
 
+// Runs upload.single for a payment proof, answering a file of the wrong type, one that's too big or more than
+// one file with a JSON 400 rather than passing the error on. Multer deletes anything it already wrote.
+function acceptProofUpload(req, res, next) {
+  upload.single('payment_proof')(req, res, err => {
+    if (!err) return next();
+    if (!(err instanceof multer.MulterError) && err.status !== 400) return next(err);
+    const proof = fieldMessages(REGISTRATION_FIELDS.payment_proof);
+    const message = { LIMIT_FILE_SIZE: proof.too_long, LIMIT_UNEXPECTED_FILE: proof.multiple }[err.code] || err.message;
+    res.status(400).json({ message });
+  });
+}
+
 // Email (optional)
 function createTransport() {
   const host = process.env.SMTP_HOST ? String(process.env.SMTP_HOST).trim() : null;
@@ -179,7 +709,8 @@ function createTransport() {
   console.log('[Email Config] SMTP_PASS:', pass ? 'SET' : 'NOT SET');
   console.log('[Email Config] SMTP_PORT:', port);
 
-  if (!host || !user || !pass) {
+  // A local SMTP stand-in (e.g. Mailpit) needs only SMTP_HOST and SMTP_PORT
+  if (!host || (!user && pass) || (user && !pass)) {
     console.warn('[Email Config] Email not configured - some environment variables are missing');
     return null;
   }
@@ -196,7 +727,7 @@ function createTransport() {
     const transport = nodemailer.createTransport({
       host, port,
       secure: port === 465,
-      auth: { user, pass }
+      auth: user ? { user, pass } : undefined
     });
     console.log('[Email Config] ✅ Email transporter created successfully');
     return transport;
@@ -207,532 +738,1806 @@ function createTransport() {
 }
 const transporter = createTransport();
 
-async function sendEmail(to, subject, text, html = null) {
-  if (!transporter) {
-    console.warn('[Email] Transporter not configured. Email not sent.');
-    return;
-  }
-  try {
-    const from = process.env.MAIL_FROM || 'bahamasmts@bmts-events.com';
-    const replyTo = process.env.MAIL_FROM || 'bahamasmts@bmts-events.com';
-
-    // Enhanced email options to improve deliverability
-    const mailOptions = {
-      from: `"The Bahamas Middle Temple Society" <${from}>`, // Friendly name
-      to: to,
-      replyTo: replyTo,
-      subject: subject,
-      text: text,
-      headers: {
-        'X-Mailer': 'BMTS Events Registration System',
-        'X-Priority': '3', // Normal priority
-        'X-MSMail-Priority': 'Normal',
-        'Importance': 'Normal',
-        'List-Unsubscribe': `<mailto:${from}?subject=Unsubscribe>`,
-        'Organization': 'The Bahamas Middle Temple Society',
-        'X-Auto-Response-Suppress': 'OOF, DR, RN, NRN, AutoReply'
-      }
-    };
+// Outgoing email goes through the email_outbox table: queueEmail() records it and returns straight away,
+// and the outbox worker delivers it in the background, retrying failures with exponential backoff
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '6', 10);
+const EMAIL_RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || '60', 10);
+let outboxWorkerStarted = false;
+let outboxRunning = false;
+
+// sendAt holds an email back until then (broadcasts use it to spread their sending out)
+function queueEmail(to, subject, text, { html = null, registrationId = null, resentFrom = null, attachments = null, broadcastId = null, sendAt = null } = {}) {
+  const now = new Date().toISOString();
+  const info = db.prepare(`
+    INSERT INTO email_outbox (
+      created_at, registration_id, to_address, subject, text_body, html_body, status, attempts, next_attempt_at, resent_from, attachments, broadcast_id
+    ) VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)
+  `).run(now, registrationId, to, subject, text, html, sendAt || now, resentFrom,
+    attachments && attachments.length ? JSON.stringify(attachments) : null, broadcastId);
+  if (outboxWorkerStarted) setImmediate(processOutbox);
+  return info.lastInsertRowid;
+}
 
-    // Add HTML version if provided
-    if (html) {
-      mailOptions.html = html;
+const TICKET_QR_OPTIONS = { width: 320, margin: 2, errorCorrectionLevel: 'M' };
+
+// Sends one outbox row over SMTP; throws on failure
+async function deliverEmail(email) {
+  if (!transporter) throw new Error('Email is not configured (SMTP_HOST is not set).');
+  const from = process.env.MAIL_FROM || 'bahamasmts@bmts-events.com';
+  const replyTo = process.env.MAIL_FROM || 'bahamasmts@bmts-events.com';
+
+  // Enhanced email options to improve deliverability
+  const mailOptions = {
+    from: `"The Bahamas Middle Temple Society" <${from}>`, // Friendly name
+    to: email.to_address,
+    replyTo: replyTo,
+    subject: email.subject,
+    text: email.text_body,
+    headers: {
+      'X-Mailer': 'BMTS Events Registration System',
+      'X-Priority': '3', // Normal priority
+      'X-MSMail-Priority': 'Normal',
+      'Importance': 'Normal',
+      'List-Unsubscribe': `<mailto:${from}?subject=Unsubscribe>`,
+      'Organization': 'The Bahamas Middle Temple Society',
+      'X-Auto-Response-Suppress': 'OOF, DR, RN, NRN, AutoReply'
     }
+  };
 
-    await transporter.sendMail(mailOptions);
-    console.log(`[Email] Sent successfully to: ${to}`);
-  } catch (err) {
-    console.error('[Email Error] Failed to send email:', err.message);
-    if (err.code === 'EBADNAME' || err.code === 'EDNS') {
-      console.error('[Email Error] DNS/Hostname issue. Check SMTP_HOST value in .env file.');
-      console.error('[Email Error] Make sure SMTP_HOST=smtp.zoho.com (no spaces, no quotes, no duplicates)');
-    }
-  }
-}
-
-// Professional email templates
-function generateRegistrationConfirmationEmail(registration) {
-  const registrationDate = new Date().toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-
-  const subject = 'Registration Received – Bahamas Middle Temple Week 2026';
-
-  const text = [
-    `Dear ${registration.title} ${registration.last_name},`,
-    ``,
-    `Thank you for registering for The Bahamas Middle Temple Week 2026 – Advocacy Training Programme.`,
-    ``,
-    `We have successfully received your registration and payment proof. Your submission is currently under review by our administrative team.`,
-    ``,
-    `REGISTRATION CONFIRMATION`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Registration ID: ${registration.id}`,
-    `Registration Date: ${registrationDate}`,
-    `Name: ${registration.title} ${registration.first_name} ${registration.last_name}`,
-    `Practice Track: ${registration.practice_track} Advocacy`,
-    `Payment Method: ${registration.payment_method}`,
-    registration.company ? `Firm/Company: ${registration.company}` : '',
-    `Email: ${registration.email}`,
-    `Telephone: ${registration.telephone}`,
-    ``,
-    `EVENT DETAILS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Event: The Bahamas Middle Temple Week 2026`,
-    `Date: 19–23 January 2026`,
-    `Venue: British Colonial Hilton`,
-    `Location: Nassau, New Providence, The Bahamas`,
-    ``,
-    `NEXT STEPS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `1. Payment Verification: Our team will review your payment proof within 2-3 business days.`,
-    `2. Confirmation Email: Once your payment is verified, you will receive a confirmation email with further instructions.`,
-    `3. Programme Materials: Additional programme details and materials will be sent closer to the event date.`,
-    ``,
-    `Please retain this email and your Registration ID (${registration.id}) for your records.`,
-    ``,
-    `If you have any questions or need to update your registration, please contact us at bahamasmts@bmts-events.com.`,
-    ``,
-    `We look forward to welcoming you to Nassau in January 2026.`,
-    ``,
-    `Best regards,`,
-    ``,
-    `The Bahamas Middle Temple Society`,
-    `Organising Committee`,
-    `Bahamas Middle Temple Week 2026`,
-    ``,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    `This is an automated confirmation email. Please do not reply directly to this message.`,
-    `For enquiries, contact: bahamasmts@bmts-events.com`
-  ].filter(line => line !== '').join('\n');
-
-  return { subject, text };
-}
-
-function generatePaymentVerifiedEmail(registration) {
-  const subject = 'Registration Confirmed – Bahamas Middle Temple Week 2026';
-
-  const text = [
-    `Dear ${registration.title} ${registration.last_name},`,
-    ``,
-    `Congratulations! We are pleased to confirm that your registration for The Bahamas Middle Temple Week 2026 – Advocacy Training Programme has been successfully verified and approved.`,
-    ``,
-    `REGISTRATION CONFIRMED`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Registration ID: ${registration.id}`,
-    `Name: ${registration.title} ${registration.first_name} ${registration.last_name}`,
-    `Practice Track: ${registration.practice_track} Advocacy`,
-    `Payment Status: VERIFIED AND CONFIRMED`,
-    registration.company ? `Firm/Company: ${registration.company}` : '',
-    ``,
-    `EVENT INFORMATION`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Event: The Bahamas Middle Temple Week 2026`,
-    `Date: 19–23 January 2026 (Sunday to Thursday)`,
-    `Venue: British Colonial Hilton`,
-    `Address: 1 Bay Street, Nassau, New Providence, The Bahamas`,
-    ``,
-    `PROGRAMME HIGHLIGHTS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `• Intensive advocacy training sessions`,
-    `• Expert-led workshops and seminars`,
-    `• Networking opportunities with legal professionals`,
-    `• Practical advocacy exercises and mock trials`,
-    `• Certificate of completion`,
-    ``,
-    `WHAT'S NEXT`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Your place has been secured for this intensive advocacy training programme. Over the coming weeks, you will receive:`,
-    ``,
-    `1. Detailed programme schedule and agenda`,
-    `2. Pre-event materials and reading list`,
-    `3. Venue information and local recommendations`,
-    `4. Travel and accommodation guidance`,
-    `5. Final event instructions`,
-    ``,
-    `IMPORTANT REMINDERS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `• Please ensure you have made arrangements for travel and accommodation`,
-    `• Bring valid identification and any required travel documents`,
-    `• Business attire is required for all sessions`,
-    `• Networking events will include both formal and casual opportunities`,
-    ``,
-    `We are excited to welcome you to Nassau for what promises to be an exceptional learning and networking experience.`,
-    ``,
-    `Best regards,`,
-    ``,
-    `The Bahamas Middle Temple Society`,
-    `Organising Committee`,
-    `Bahamas Middle Temple Week 2026`,
-    ``,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    `For enquiries, contact: bahamasmts@bmts-events.com`
-  ].filter(line => line !== '').join('\n');
-
-  return { subject, text };
-}
-
-function generatePaymentRejectedEmail(registration, adminNotes = '') {
-  const subject = 'Action Required – Registration Payment Verification';
-
-  const text = [
-    `Dear ${registration.title} ${registration.last_name},`,
-    ``,
-    `Thank you for your interest in The Bahamas Middle Temple Week 2026 – Advocacy Training Programme.`,
-    ``,
-    `ACTION REQUIRED: PAYMENT VERIFICATION`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `We were unable to verify the payment proof document submitted with your registration. This may be due to:`,
-    ``,
-    `• The document being unclear or incomplete`,
-    `• Missing payment details or reference numbers`,
-    `• The document format not being readable`,
-    `• Payment details not matching our records`,
-    `• Incorrect payment amount or method`,
-    ``,
-    adminNotes ? `ADDITIONAL NOTES FROM OUR TEAM:` : '',
-    adminNotes ? `${adminNotes}` : '',
-    adminNotes ? `` : '',
-    `REGISTRATION DETAILS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Registration ID: ${registration.id}`,
-    `Name: ${registration.title} ${registration.first_name} ${registration.last_name}`,
-    `Practice Track: ${registration.practice_track} Advocacy`,
-    `Payment Method: ${registration.payment_method}`,
-    `Current Status: Payment Verification Required`,
-    ``,
-    `WHAT TO DO NEXT`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Please contact us at bahamasmts@bmts-events.com with the following information:`,
-    ``,
-    `1. Your Registration ID: ${registration.id}`,
-    `2. A clear copy of your payment proof (bank transfer receipt or cheque copy)`,
-    `3. Any additional payment details or reference numbers`,
-    `4. Transaction date and amount`,
-    ``,
-    `PAYMENT REQUIREMENTS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `For bank transfers, please ensure your receipt includes:`,
-    `• Transaction reference number`,
-    `• Date and time of transfer`,
-    `• Amount transferred`,
-    `• Recipient account details`,
-    ``,
-    `For cheque payments, please provide:`,
-    `• Clear copy of the cheque (front and back if applicable)`,
-    `• Cheque number and date`,
-    `• Bank details`,
-    ``,
-    `Our team will review your updated payment proof and respond within 1-2 business days.`,
-    ``,
-    `We appreciate your patience and look forward to resolving this matter promptly so we can confirm your place at this prestigious event.`,
-    ``,
-    `Best regards,`,
-    ``,
-    `The Bahamas Middle Temple Society`,
-    `Organising Committee`,
-    `Bahamas Middle Temple Week 2026`,
-    ``,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    `For immediate assistance, contact: bahamasmts@bmts-events.com`
-  ].filter(line => line !== '').join('\n');
-
-  return { subject, text };
-}
-
-function generateAwaitingResubmissionEmail(registration, adminNotes = '') {
-  const subject = 'Payment Resubmission Required – Bahamas Middle Temple Week 2026';
-
-  const text = [
-    `Dear ${registration.title} ${registration.last_name},`,
-    ``,
-    `We are writing regarding your registration for The Bahamas Middle Temple Week 2026 – Advocacy Training Programme.`,
-    ``,
-    `RESUBMISSION REQUIRED`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `After reviewing your payment documentation, we require additional information or a new payment proof document to complete your registration verification.`,
-    ``,
-    adminNotes ? `SPECIFIC REQUIREMENTS:` : '',
-    adminNotes ? `${adminNotes}` : '',
-    adminNotes ? `` : '',
-    `REGISTRATION DETAILS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Registration ID: ${registration.id}`,
-    `Name: ${registration.title} ${registration.first_name} ${registration.last_name}`,
-    `Practice Track: ${registration.practice_track} Advocacy`,
-    `Payment Method: ${registration.payment_method}`,
-    `Current Status: Awaiting Payment Resubmission`,
-    ``,
-    `REQUIRED ACTIONS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Please email us at bahamasmts@bmts-events.com with:`,
-    ``,
-    `1. Your Registration ID: ${registration.id}`,
-    `2. Updated or corrected payment proof document`,
-    `3. Any additional documentation requested above`,
-    `4. Your contact information for follow-up`,
-    ``,
-    `DOCUMENT REQUIREMENTS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `• Documents must be clear and legible (PDF, JPG, or PNG format)`,
-    `• Include all relevant transaction details`,
-    `• Ensure payment amount matches registration fees`,
-    `• Provide transaction reference numbers where applicable`,
-    ``,
-    `TIME SENSITIVITY`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Please respond within 7 days to secure your place at the event. Late submissions may result in your registration being placed on a waiting list.`,
-    ``,
-    `Our team is standing by to assist you with this process. Once we receive the required documentation, we will process your registration promptly.`,
-    ``,
-    `Best regards,`,
-    ``,
-    `The Bahamas Middle Temple Society`,
-    `Organising Committee`,
-    `Bahamas Middle Temple Week 2026`,
-    ``,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    `For immediate assistance, contact: bahamasmts@bmts-events.com`
-  ].filter(line => line !== '').join('\n');
-
-  return { subject, text };
-}
-
-function generateAdminNotificationEmail(registration) {
-  const subject = `New Registration: ${registration.first_name} ${registration.last_name} – Bahamas Middle Temple Week 2026`;
-
-  const text = [
-    `New Registration Received`,
-    ``,
-    `A new registration has been submitted for Bahamas Middle Temple Week 2026.`,
-    ``,
-    `REGISTRATION DETAILS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Registration ID: ${registration.id}`,
-    `Registration Date: ${new Date().toLocaleString()}`,
-    ``,
-    `PARTICIPANT INFORMATION`,
-    `Name: ${registration.title} ${registration.first_name} ${registration.last_name}`,
-    `Email: ${registration.email}`,
-    `Telephone: ${registration.telephone}`,
-    registration.company ? `Company: ${registration.company}` : '',
-    registration.city ? `City: ${registration.city}` : '',
-    registration.po_box ? `PO Box: ${registration.po_box}` : '',
-    ``,
-    `PROGRAMME DETAILS`,
-    `Practice Track: ${registration.practice_track} Advocacy`,
-    `Payment Method: ${registration.payment_method}`,
-    `Middle Temple Member: ${registration.middle_temple_member}`,
-    `BMTS Member Interest: ${registration.bmts_member_interest}`,
-    ``,
-    `STATUS INFORMATION`,
-    `Current Status: ${registration.status}`,
-    `Payment File: ${registration.payment_file_name}`,
-    ``,
-    `ADMIN ACTIONS REQUIRED`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `1. Review payment proof document`,
-    `2. Verify payment details and amount`,
-    `3. Update registration status accordingly`,
-    `4. Send appropriate confirmation email to participant`,
-    ``,
-    `Please review this registration in the admin panel and update the status as appropriate.`,
-    ``,
-    `Admin Panel: ${process.env.ADMIN_URL || 'https://your-domain.com/admin/'}`
-  ].filter(line => line !== '').join('\n');
-
-  return { subject, text };
-}
-
-function generateStatusChangeNotificationEmail(registration, newStatus, oldStatus, adminNotes = '') {
-  const subject = `Registration Status Update – Bahamas Middle Temple Week 2026`;
-
-  const text = [
-    `Dear ${registration.title} ${registration.last_name},`,
-    ``,
-    `We are writing to update you on the status of your registration for The Bahamas Middle Temple Week 2026 – Advocacy Training Programme.`,
-    ``,
-    `STATUS UPDATE`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Registration ID: ${registration.id}`,
-    `Name: ${registration.title} ${registration.first_name} ${registration.last_name}`,
-    `Previous Status: ${oldStatus}`,
-    `Current Status: ${newStatus}`,
-    ``,
-    adminNotes ? `ADDITIONAL INFORMATION:` : '',
-    adminNotes ? `${adminNotes}` : '',
-    adminNotes ? `` : '',
-    `REGISTRATION DETAILS`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Practice Track: ${registration.practice_track} Advocacy`,
-    `Payment Method: ${registration.payment_method}`,
-    registration.company ? `Firm/Company: ${registration.company}` : '',
-    ``,
-    `EVENT INFORMATION`,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    ``,
-    `Event: The Bahamas Middle Temple Week 2026`,
-    `Date: 19–23 January 2026`,
-    `Venue: British Colonial Hilton`,
-    `Location: Nassau, New Providence, The Bahamas`,
-    ``,
-    `If you have any questions about this status change or need further assistance, please contact us at bahamasmts@bmts-events.com.`,
-    ``,
-    `Best regards,`,
-    ``,
-    `The Bahamas Middle Temple Society`,
-    `Organising Committee`,
-    `Bahamas Middle Temple Week 2026`,
-    ``,
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
-    `For enquiries, contact: bahamasmts@bmts-events.com`
-  ].filter(line => line !== '').join('\n');
-
-  return { subject, text };
-}
+  // Add HTML version if provided
+  if (email.html_body) {
+    mailOptions.html = email.html_body;
+  }
+  if (email.attachments) {
+    mailOptions.attachments = await Promise.all(JSON.parse(email.attachments).map(async attachment => {
+      // QR codes are stored as the text to encode, and certificates, receipts and invoices as their number;
+      // all of them are drawn here
+      if (attachment.qr) {
+        return { filename: attachment.filename, cid: attachment.cid, contentType: 'image/png', content: await QRCode.toBuffer(attachment.qr, TICKET_QR_OPTIONS) };
+      }
+      if (attachment.certificate) {
+        const certificate = getCertificate(attachment.certificate);
+        if (!certificate) throw new Error(`Certificate ${attachment.certificate} no longer exists.`);
+        return { filename: attachment.filename, contentType: 'application/pdf', content: await renderCertificatePdf(certificate) };
+      }
+      if (attachment.billing) {
+        const document = getBillingDocument(attachment.billing);
+        if (!document) throw new Error(`${attachment.billing} no longer exists.`);
+        return { filename: attachment.filename, contentType: 'application/pdf', content: await renderBillingPdf(document) };
+      }
+      return attachment;
+    }));
+  }
 
-// API registration
-app.post('/api/register', upload.single('payment_proof'), async (req, res) => {
-  console.log('[Debug] /api/register received a request.');
-  console.log('[Debug] Body:', JSON.stringify(req.body, null, 2));
-  console.log('[Debug] File:', req.file);
+  return transporter.sendMail(mailOptions);
+}
 
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
   try {
-    const body = req.body || {};
-    const file = req.file;
-
-    const required = ['title', 'first_name', 'last_name', 'telephone', 'email', 'practice_track', 'consent'];
-    for (const k of required) {
-      if (!body[k] || String(body[k]).trim() === '') {
-        console.log(`[Debug] Validation failed: Missing required field '${k}'.`);
-        return res.status(400).json({ message: 'Please complete all required fields.' });
+    let due;
+    while ((due = db.prepare("SELECT * FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT 10").all(new Date().toISOString())).length) {
+      for (const email of due) {
+        const attempts = email.attempts + 1;
+        db.prepare("UPDATE email_outbox SET status = 'sending', attempts = ? WHERE id = ?").run(attempts, email.id);
+        try {
+          const info = await deliverEmail(email);
+          db.prepare("UPDATE email_outbox SET status = 'sent', sent_at = ?, message_id = ?, last_error = NULL WHERE id = ?")
+            .run(new Date().toISOString(), info && info.messageId ? info.messageId : null, email.id);
+          console.log(`[Email] Sent successfully to: ${email.to_address}`);
+        } catch (err) {
+          // Without SMTP settings a retry can't succeed, so fail straight away
+          const giveUp = !transporter || attempts >= EMAIL_MAX_ATTEMPTS;
+          const retryAt = new Date(Date.now() + EMAIL_RETRY_BASE_SECONDS * 1000 * Math.pow(2, attempts - 1)).toISOString();
+          db.prepare('UPDATE email_outbox SET status = ?, last_error = ?, next_attempt_at = ? WHERE id = ?')
+            .run(giveUp ? 'failed' : 'pending', err.message, giveUp ? null : retryAt, email.id);
+          console.error(`[Email Error] Failed to send email ${email.id} (attempt ${attempts}):`, err.message);
+          if (err.code === 'EBADNAME' || err.code === 'EDNS') {
+            console.error('[Email Error] DNS/Hostname issue. Check SMTP_HOST value in .env file.');
+            console.error('[Email Error] Make sure SMTP_HOST=smtp.zoho.com (no spaces, no quotes, no duplicates)');
+          }
+        }
       }
     }
+  } catch (err) {
+    console.error('[Email Error] Outbox worker failed:', err.message);
+  } finally {
+    outboxRunning = false;
+  }
+}
 
-    const id = req._reg_id || uuidv4();
-    const created_at = new Date().toISOString();
-    const status = 'Pending Verification';
+function startEmailWorker() {
+  // Anything left mid-send by a previous run goes back in the queue
+  db.prepare("UPDATE email_outbox SET status = 'pending' WHERE status = 'sending'").run();
+  outboxWorkerStarted = true;
+  const interval = parseInt(process.env.EMAIL_WORKER_INTERVAL || '30000', 10); // Default: 30 seconds
+  processOutbox();
+  return setInterval(processOutbox, interval);
+}
 
-    const stmt = db.prepare(`
-      INSERT INTO registrations (
-        id, created_at, status,
-        middle_temple_member, bmts_member_interest, title,
-        first_name, last_name, company, po_box, city,
-        telephone, email, practice_track, payment_method,
-        payment_file_name, payment_file_path, admin_notes
-      ) VALUES (
-        @id, @created_at, @status,
-        @middle_temple_member, @bmts_member_interest, @title,
-        @first_name, @last_name, @company, @po_box, @city,
-        @telephone, @email, @practice_track, @payment_method,
-        @payment_file_name, @payment_file_path, @admin_notes
-      )
-    `);
+// Registrant portal links
+// Tokens are "<registration id>.<expiry, unix seconds>.<HMAC>" so the portal needs no login
+const SITE_URL = (process.env.SITE_URL || 'https://bmts-events.com').replace(/\/+$/, '');
+const PORTAL_LINK_TTL_DAYS = parseInt(process.env.PORTAL_LINK_TTL_DAYS || '30', 10);
 
-    const params = {
-      id, created_at, status,
-      middle_temple_member: body.middle_temple_member || '',
-      bmts_member_interest: body.bmts_member_interest || '',
-      title: body.title,
-      first_name: body.first_name,
-      last_name: body.last_name,
-      company: body.company || '',
-      po_box: body.po_box || '',
-      city: body.city || '',
-      telephone: body.telephone,
-      email: body.email,
-      practice_track: body.practice_track,
-      payment_method: body.payment_method || '',
-      payment_file_name: file ? (file.originalname || file.filename) : '',
-      payment_file_path: file ? file.path : '',
-      admin_notes: ''
-    };
+function portalSecret() {
+  if (process.env.PORTAL_SECRET) return process.env.PORTAL_SECRET;
+  // Without a configured secret, generate one once and keep it in the database so links survive restarts
+  let secret = getSetting('portal_secret');
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    setSetting('portal_secret', secret);
+  }
+  return secret;
+}
 
-    console.log('[Debug] Preparing to insert into DB with params:', JSON.stringify(params, null, 2));
-    stmt.run(params);
+function signPortalPayload(payload) {
+  return crypto.createHmac('sha256', portalSecret()).update(payload).digest('base64url');
+}
 
-    // Professional email: submission received
-    const emailTemplate = generateRegistrationConfirmationEmail({
-      id,
-      title: body.title,
-      first_name: body.first_name,
-      last_name: body.last_name,
-      email: body.email,
-      telephone: body.telephone,
-      company: body.company || '',
-      practice_track: body.practice_track,
-      payment_method: body.payment_method || ''
-    });
+function createPortalToken(registrationId) {
+  const expires = Math.floor(Date.now() / 1000) + PORTAL_LINK_TTL_DAYS * 24 * 60 * 60;
+  const payload = `${registrationId}.${expires}`;
+  return `${payload}.${signPortalPayload(payload)}`;
+}
 
-    await sendEmail(body.email, emailTemplate.subject, emailTemplate.text, emailTemplate.html);
+// Returns the registration id for a valid, unexpired token, otherwise null
+function verifyPortalToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [id, expires, signature] = parts;
 
-    // Email notification to owner about new registration
-    const ownerEmail = process.env.OWNER_EMAIL || 'bahamasmts@bmts-events.com';
-    const adminEmailTemplate = generateAdminNotificationEmail({
-      id,
-      title: body.title,
-      first_name: body.first_name,
-      last_name: body.last_name,
-      email: body.email,
-      telephone: body.telephone,
-      company: body.company || '',
-      city: body.city || '',
-      po_box: body.po_box || '',
-      practice_track: body.practice_track,
-      payment_method: body.payment_method || '',
-      middle_temple_member: body.middle_temple_member,
-      bmts_member_interest: body.bmts_member_interest,
-      status,
-      payment_file_name: file ? (file.originalname || file.filename) : ''
-    });
+  const expected = Buffer.from(signPortalPayload(`${id}.${expires}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  if (Number(expires) * 1000 < Date.now()) return null;
+  return id;
+}
 
-    await sendEmail(ownerEmail, adminEmailTemplate.subject, adminEmailTemplate.text);
+function portalUrl(registrationId) {
+  return `${SITE_URL}/portal.html?token=${encodeURIComponent(createPortalToken(registrationId))}`;
+}
 
-    console.log(`[Debug] Registration successful for ID: ${id}`);
-    return res.status(200).json({ registration_id: id });
+// Door tickets are "<registration id>.<HMAC>", signed under their own prefix so a ticket can't be used
+// as a portal link or the other way round. They don't expire; the registration's status decides entry.
+const TICKET_STATUSES = ['Payment Verified', 'Confirmed'];
+const TICKET_QR_CID = 'ticket-qr@bmts-events';
 
-  } catch (err) {
-    console.error('[Debug] An error occurred in /api/register:', err);
-    return res.status(400).json({ message: err.message || 'Submission failed.' });
-  }
-});
+function createTicketToken(registrationId) {
+  return `${registrationId}.${signPortalPayload(`ticket:${registrationId}`)}`;
+}
 
-// Admin auth
-function requireAdmin(req, res, next) {
-  const creds = basicAuth(req);
-  const user = process.env.ADMIN_USER || 'admin';
-  const pass = process.env.ADMIN_PASS || 'change-me-now';
-  if (!creds || creds.name !== user || creds.pass !== pass) {
-    res.set('WWW-Authenticate', 'Basic realm="BMTS Admin"');
-    return res.status(401).send('Authentication required');
-  }
-  next();
+// Accepts a bare token or anything containing one, such as the ticket page URL the QR code holds
+function verifyTicketToken(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/[?&]token=([^&#\s]+)/);
+  const token = match ? decodeURIComponent(match[1]) : text;
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+  const [id, signature] = parts;
+
+  const expected = Buffer.from(signPortalPayload(`ticket:${id}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return id;
 }
 
+function ticketUrl(registrationId) {
+  return `${SITE_URL}/ticket.html?token=${encodeURIComponent(createTicketToken(registrationId))}`;
+}
+
+// Why a registration's ticket won't get them in, or null if it will
+function ticketProblem(row) {
+  if (row.status === 'Cancelled') return 'This registration has been cancelled.';
+  if (!TICKET_STATUSES.includes(row.status)) return `Payment has not been verified yet (status: ${row.status}).`;
+  return null;
+}
+
+// Email templates
+// Defaults live in templates/emails as <name>.txt ("Subject: ..." line, blank line, plain-text body) and
+// <name>.html (HTML body); both parts are wrapped in the shared layout.txt / layout.html. Admins can
+// override a template from the dashboard, which stores the edited copy in the email_templates table.
+// Placeholders: {{name}} (HTML-escaped in the HTML part), {{{name}}} (inserted as-is),
+// {{#name}}...{{/name}} (only when name has a value) and {{^name}}...{{/name}} (only when it doesn't).
+const EMAIL_TEMPLATE_DIR = path.join(__dirname, 'templates', 'emails');
+const CONTACT_EMAIL = 'bahamasmts@bmts-events.com';
+
+// audience 'registrant' adds the portal link and signature from the layout; 'committee' emails go to the organisers.
+// ticket attaches the registrant's QR ticket, which the HTML shows with <img src="cid:ticket-qr@bmts-events">.
+// variables lists the placeholders a template gets on top of the registration and event ones, with preview samples.
+const EMAIL_TEMPLATES = {
+  registration_received: { label: 'Registration received', audience: 'registrant', variables: {} },
+  payment_verified: {
+    label: 'Payment verified', audience: 'registrant', ticket: true, billing: 'receipt',
+    variables: { receipt_number: 'REC-00001', receipt_amount: '$350.00' }
+  },
+  payment_rejected: { label: 'Payment rejected', audience: 'registrant', variables: { notes: 'Notes entered by the committee appear here.' } },
+  awaiting_resubmission: { label: 'Awaiting resubmission', audience: 'registrant', variables: { notes: 'Notes entered by the committee appear here.' } },
+  status_update: {
+    label: 'Other status changes', audience: 'registrant',
+    variables: { old_status: 'Payment Verified', new_status: 'Confirmed', notes: 'Notes entered by the committee appear here.' }
+  },
+  waitlisted: { label: 'Waitlisted', audience: 'registrant', variables: {} },
+  waitlist_offer: { label: 'Waitlist seat offer', audience: 'registrant', portal: false, variables: { offer_deadline: 'Friday, January 9, 2026 at 5:00 PM UTC' } },
+  portal_link: { label: 'Registration link request', audience: 'registrant', variables: {} },
+  receipt: {
+    label: 'Receipt (reissued)', audience: 'registrant', billing: 'receipt',
+    variables: { receipt_number: 'REC-00002', receipt_amount: '$350.00', replaces_number: 'REC-00001' }
+  },
+  invoice: { label: 'Invoice', audience: 'registrant', billing: 'invoice', variables: { invoice_number: 'INV-00001', invoice_amount: '$350.00' } },
+  certificate: {
+    label: 'Certificate of completion', audience: 'registrant', certificate: true,
+    variables: { certificate_number: 'BMTS-2026-SAMPLE00', verify_url: 'https://bmts-events.com/verify/BMTS-2026-SAMPLE00' }
+  },
+  admin_new_registration: { label: 'New registration (committee)', audience: 'committee', variables: {} },
+  admin_registrant_update: { label: 'Registrant update (committee)', audience: 'committee', variables: { change: 'updated their contact details' } }
+};
+
+// Placeholders every template can use
+const EMAIL_VARIABLES = [
+  'registration_id', 'title', 'first_name', 'last_name', 'full_name', 'email', 'telephone', 'company', 'city', 'po_box',
+  'practice_track', 'payment_method', 'middle_temple_member', 'bmts_member_interest', 'status', 'payment_file_name',
+  'duplicate_of', 'amount_due', 'fee_label', 'payment_reference', 'card_payment', 'event_name', 'event_title', 'event_dates', 'event_days', 'event_venue',
+  'event_venue_address', 'event_location', 'portal_url', 'portal_link_days', 'ticket_url', 'waitlist_offer_hours', 'today', 'now',
+  'contact_email', 'admin_url'
+];
+
+function emailVariables(registration, event) {
+  return {
+    registration_id: registration.id,
+    title: registration.title,
+    first_name: registration.first_name,
+    last_name: registration.last_name,
+    full_name: `${registration.title} ${registration.first_name} ${registration.last_name}`,
+    email: registration.email,
+    telephone: registration.telephone,
+    company: registration.company,
+    city: registration.city,
+    po_box: registration.po_box,
+    practice_track: registration.practice_track,
+    payment_method: registration.payment_method,
+    middle_temple_member: registration.middle_temple_member,
+    bmts_member_interest: registration.bmts_member_interest,
+    status: registration.status,
+    payment_file_name: registration.payment_file_name,
+    duplicate_of: registration.duplicate_of,
+    amount_due: registration.amount_due === null || registration.amount_due === undefined ? '' : formatMoney(registration.amount_due),
+    fee_label: FEE_TIER_LABELS[registration.fee_tier] || FEE_TIER_LABELS.standard,
+    payment_reference: registration.payment_reference,
+    // Set (to "yes") for registrants paying by card, who don't send a proof
+    card_payment: registration.payment_method === CARD_PAYMENT_METHOD ? 'yes' : '',
+    event_name: event.name,
+    event_title: eventTitle(event),
+    event_dates: formatEventDates(event),
+    event_days: formatEventDays(event),
+    event_venue: event.venue,
+    event_venue_address: event.venue_address,
+    event_location: event.location,
+    portal_url: portalUrl(registration.id),
+    portal_link_days: PORTAL_LINK_TTL_DAYS,
+    ticket_url: ticketUrl(registration.id),
+    waitlist_offer_hours: WAITLIST_OFFER_HOURS,
+    today: new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    now: new Date().toLocaleString(),
+    contact_email: CONTACT_EMAIL,
+    admin_url: process.env.ADMIN_URL || 'https://your-domain.com/admin/'
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function renderTemplateString(source, vars, html) {
+  const value = name => (vars[name] === null || vars[name] === undefined || vars[name] === false ? '' : String(vars[name]));
+  // A section tag on a line of its own takes its line break with it
+  let out = String(source).replace(/^[ \t]*(\{\{[#^/]\s*\w+\s*\}\})[ \t]*\r?\n/gm, '$1');
+  // Innermost sections first, until none are left
+  const section = /\{\{([#^])\s*(\w+)\s*\}\}((?:(?!\{\{[#^])[\s\S])*?)\{\{\/\s*\2\s*\}\}/g;
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(section, (match, kind, name, inner) => ((value(name) !== '') === (kind === '#') ? inner : ''));
+  } while (out !== previous);
+  return out
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, name) => value(name))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (html ? escapeHtml(value(name)) : value(name)));
+}
+
+// Problems with a template's placeholders, e.g. unknown names or unclosed sections
+function templateErrors(source, allowed) {
+  const errors = [];
+  const open = [];
+  for (const [, kind, name] of String(source).matchAll(/\{\{\{?\s*([#^/]?)\s*(\w*)\s*\}?\}\}/g)) {
+    if (!allowed.includes(name)) errors.push(`Unknown placeholder {{${name}}}.`);
+    if (kind === '#' || kind === '^') open.push(name);
+    if (kind === '/' && open.pop() !== name) errors.push(`{{/${name}}} does not close the section that is open.`);
+  }
+  for (const name of open) errors.push(`Section {{#${name}}} is never closed.`);
+  return [...new Set(errors)];
+}
+
+function readEmailTemplateFile(file) {
+  return fs.readFileSync(path.join(EMAIL_TEMPLATE_DIR, file), 'utf-8');
+}
+
+function defaultEmailTemplate(name) {
+  const [, subject, text] = readEmailTemplateFile(`${name}.txt`).match(/^Subject:[ \t]*(.*)\r?\n\r?\n([\s\S]*)$/);
+  return { subject, text, html: readEmailTemplateFile(`${name}.html`) };
+}
+
+function loadEmailTemplate(name) {
+  const custom = db.prepare('SELECT subject, text_body, html_body FROM email_templates WHERE name = ?').get(name);
+  if (custom) return { subject: custom.subject, text: custom.text_body, html: custom.html_body };
+  return defaultEmailTemplate(name);
+}
+
+// Renders { subject, text, html } template parts inside the shared layout; registrant emails get the signature
+// and, unless portal is false, the portal link
+function renderWithLayout(template, vars, { registrant, portal = registrant }) {
+  const subject = renderTemplateString(template.subject, vars, false).replace(/\s+/g, ' ').trim();
+  const layoutVars = { ...vars, subject, signature: registrant, show_portal: registrant && portal };
+
+  const text = renderTemplateString(readEmailTemplateFile('layout.txt'), {
+    ...layoutVars, content: renderTemplateString(template.text, vars, false).trim()
+  }, false).trim();
+  const html = renderTemplateString(readEmailTemplateFile('layout.html'), {
+    ...layoutVars, content: renderTemplateString(template.html, vars, true).trim()
+  }, true);
+
+  return { subject, text, html };
+}
+
+// Renders a named template; template defaults to the current (possibly edited) copy
+// documents: false leaves out the certificate and receipt or invoice PDFs. Previews and test sends pass it:
+// their sample numbers (REC-00001 and so on) can be those of real documents belonging to someone else.
+function renderEmail(name, vars, template = loadEmailTemplate(name), { documents = true } = {}) {
+  const definition = EMAIL_TEMPLATES[name];
+  const registrant = definition.audience === 'registrant';
+  const email = renderWithLayout(template, vars, { registrant, portal: registrant && definition.portal !== false });
+  // The QR code and certificate PDF are drawn when the email is sent (see deliverEmail)
+  if (definition.ticket) email.attachments = [{ filename: 'ticket.png', cid: TICKET_QR_CID, qr: vars.ticket_url }];
+  if (!documents) return email;
+  if (definition.certificate && getCertificate(vars.certificate_number)) {
+    email.attachments = [{ filename: `Certificate ${vars.certificate_number}.pdf`, certificate: vars.certificate_number }];
+  }
+  const billingDocument = definition.billing && getBillingDocument(vars[`${definition.billing}_number`]);
+  if (billingDocument) {
+    email.attachments = (email.attachments || []).concat({ filename: billingFileName(billingDocument), billing: billingDocument.number });
+  }
+  return email;
+}
+
+function generateRegistrationConfirmationEmail(registration, event) {
+  return renderEmail('registration_received', emailVariables(registration, event));
+}
+
+function generatePaymentVerifiedEmail(registration, event) {
+  const receipt = activeBillingDocument(registration.id, 'receipt');
+  return renderEmail('payment_verified', {
+    ...emailVariables(registration, event),
+    receipt_number: receipt ? receipt.number : '',
+    receipt_amount: receipt ? formatMoney(receipt.amount) : ''
+  });
+}
+
+function generatePaymentRejectedEmail(registration, event, adminNotes = '') {
+  return renderEmail('payment_rejected', { ...emailVariables(registration, event), notes: adminNotes });
+}
+
+function generateAwaitingResubmissionEmail(registration, event, adminNotes = '') {
+  return renderEmail('awaiting_resubmission', { ...emailVariables(registration, event), notes: adminNotes });
+}
+
+function generateAdminNotificationEmail(registration, event) {
+  return renderEmail('admin_new_registration', emailVariables(registration, event));
+}
+
+function generateStatusChangeNotificationEmail(registration, event, newStatus, oldStatus, adminNotes = '') {
+  return renderEmail('status_update', {
+    ...emailVariables(registration, event), new_status: newStatus, old_status: oldStatus, notes: adminNotes
+  });
+}
+
+function generatePortalLinkEmail(registration, event) {
+  return renderEmail('portal_link', emailVariables(registration, event));
+}
+
+function generateRegistrantUpdateAdminEmail(registration, event, change) {
+  return renderEmail('admin_registrant_update', { ...emailVariables(registration, event), change });
+}
+
+function generateCertificateEmail(registration, event, certificate) {
+  return renderEmail('certificate', {
+    ...emailVariables(registration, event),
+    certificate_number: certificate.certificate_number,
+    verify_url: certificateVerifyUrl(certificate.certificate_number)
+  });
+}
+
+function generateWaitlistEmail(registration, event) {
+  return renderEmail('waitlisted', emailVariables(registration, event));
+}
+
+function generateWaitlistOfferEmail(registration, event, expiresAt) {
+  const deadline = new Date(expiresAt).toLocaleString('en-US', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+  });
+  return renderEmail('waitlist_offer', { ...emailVariables(registration, event), offer_deadline: deadline });
+}
+
+// Registration statuses and the moves allowed between them
+const STATUSES = ['Pending Verification', 'Payment Verified', 'Payment Rejected', 'Awaiting Resubmission', 'Cancelled', 'Waitlisted', 'Confirmed', 'Merged'];
+const STATUS_TRANSITIONS = {
+  'Pending Verification': ['Payment Verified', 'Payment Rejected', 'Awaiting Resubmission', 'Waitlisted', 'Cancelled'],
+  'Payment Verified': ['Confirmed', 'Pending Verification', 'Cancelled'],
+  'Payment Rejected': ['Pending Verification', 'Awaiting Resubmission', 'Cancelled'],
+  'Awaiting Resubmission': ['Pending Verification', 'Payment Rejected', 'Cancelled'],
+  'Waitlisted': ['Pending Verification', 'Payment Verified', 'Cancelled'],
+  'Confirmed': ['Cancelled'],
+  // A cancelled registration can only be reinstated by going back through verification
+  'Cancelled': ['Pending Verification'],
+  // Set only by merging duplicates; the surviving registration carries on instead
+  'Merged': []
+};
+
+// Saving the same status (e.g. to update notes) is always allowed
+function canTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function logRegistrationEvent(registrationId, { actorType, actor = null, action, oldStatus = null, newStatus = null, notes = null, emailSent = null }) {
+  db.prepare(`
+    INSERT INTO registration_events (registration_id, created_at, actor_type, actor, action, old_status, new_status, notes, email_sent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(registrationId, new Date().toISOString(), actorType, actor, action, oldStatus, newStatus, notes, emailSent);
+}
+
+// The email a registrant gets when their registration moves to a status
+function statusEmailFor(row, status, oldStatus, notes) {
+  const event = getEvent(row.event_id);
+  if (status === 'Payment Verified') return generatePaymentVerifiedEmail(row, event);
+  if (status === 'Payment Rejected') return generatePaymentRejectedEmail(row, event, notes);
+  if (status === 'Awaiting Resubmission') return generateAwaitingResubmissionEmail(row, event, notes);
+  if (status === 'Waitlisted') return generateWaitlistEmail(row, event);
+  // For any other status changes, send a general status update email
+  return generateStatusChangeNotificationEmail(row, event, status, oldStatus, notes);
+}
+
+// Update the row and audit it together, returning the email the registrant should get (or null).
+// Callers check canTransition first. notes of null leaves the admin notes as they are and emails none.
+function recordStatusChange(row, status, { notes = '', actorType = 'admin', actor = null } = {}) {
+  const oldStatus = row.status;
+  const statusChanged = status !== oldStatus;
+  const keepNotes = notes === null;
+  const emailNotes = keepNotes ? '' : notes;
+  let emailTemplate = null;
+
+  // Notes go out in every status email except the verified one, so keep what the registrant was told for the portal
+  const registrantMessage = statusChanged ? (status === 'Payment Verified' ? '' : emailNotes) : row.registrant_message;
+
+  // An open waitlist offer only stands while the registration is still waitlisted
+  const offerExpiresAt = status === 'Waitlisted' ? row.waitlist_offer_expires_at : null;
+
+  db.transaction(() => {
+    // The receipt is numbered in the same transaction, so a failed change doesn't use up a number
+    if (statusChanged && status === 'Payment Verified') issueReceipt(row, { actorType, actor });
+    emailTemplate = statusChanged ? statusEmailFor(row, status, oldStatus, emailNotes) : null;
+    db.prepare('UPDATE registrations SET status = ?, admin_notes = ?, registrant_message = ?, waitlist_offer_expires_at = ?, updated_at = ? WHERE id = ?')
+      .run(status, keepNotes ? row.admin_notes : notes, registrantMessage, offerExpiresAt, new Date().toISOString(), row.id);
+    if (statusChanged || (!keepNotes && notes !== (row.admin_notes || ''))) {
+      logRegistrationEvent(row.id, {
+        actorType,
+        actor,
+        action: statusChanged ? 'status_change' : 'notes_updated',
+        oldStatus,
+        newStatus: status,
+        notes: keepNotes ? null : notes,
+        emailSent: emailTemplate ? emailTemplate.subject : null
+      });
+    }
+  })();
+
+  return emailTemplate;
+}
+
+// Apply a status change, then email the registrant if the status actually moved
+async function changeRegistrationStatus(row, status, options = {}) {
+  const emailTemplate = recordStatusChange(row, status, options);
+  if (emailTemplate) {
+    queueEmail(row.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: row.id, attachments: emailTemplate.attachments });
+  }
+
+  // A cancelled seat goes to the next person on the track's waitlist
+  if (status !== row.status && status === 'Cancelled') await offerWaitlistedSeats(row.event_id, row.practice_track);
+}
+
+// Track capacity and the waitlist
+const PRACTICE_TRACKS = ['Civil', 'Criminal', 'In-House'];
+// Statuses that take up a seat; a waitlisted registration also holds one while its offer is open
+const SEAT_HOLDING_STATUSES = ['Pending Verification', 'Payment Verified', 'Payment Rejected', 'Awaiting Resubmission', 'Confirmed'];
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS || '48', 10);
+
+// Seat limits are stored per event as JSON, e.g. {"Civil": 20, "Criminal": 16}; a track without one is unlimited
+function trackCapacities(event) {
+  try {
+    return (event && event.track_capacity) ? JSON.parse(event.track_capacity) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function seatsUsed(eventId, track) {
+  return db.prepare(`
+    SELECT COUNT(*) AS c FROM registrations
+    WHERE event_id = ? AND practice_track = ?
+      AND (status IN (${SEAT_HOLDING_STATUSES.map(() => '?').join(', ')}) OR (status = 'Waitlisted' AND waitlist_offer_expires_at > ?))
+  `).get(eventId, track, ...SEAT_HOLDING_STATUSES, new Date().toISOString()).c;
+}
+
+function isTrackFull(event, track) {
+  const capacity = trackCapacities(event)[track];
+  return capacity !== undefined && seatsUsed(event.id, track) >= capacity;
+}
+
+// Seats used and remaining per track, for the admin dashboard
+function trackSeats(event) {
+  const capacities = trackCapacities(event);
+  return PRACTICE_TRACKS.map(track => {
+    const used = seatsUsed(event.id, track);
+    const capacity = capacities[track] !== undefined ? capacities[track] : null;
+    const waitlisted = db.prepare("SELECT COUNT(*) AS c FROM registrations WHERE event_id = ? AND practice_track = ? AND status = 'Waitlisted'").get(event.id, track).c;
+    return { track, capacity, used, remaining: capacity === null ? null : Math.max(capacity - used, 0), waitlisted };
+  });
+}
+
+// Offer any free seats in a limited track to the longest-waiting registrations that haven't had an offer yet
+async function offerWaitlistedSeats(eventId, track) {
+  const event = getEvent(eventId);
+  const capacity = trackCapacities(event)[track];
+  if (capacity === undefined) return;
+  const free = capacity - seatsUsed(eventId, track);
+  if (free <= 0) return;
+
+  const rows = db.prepare(`
+    SELECT * FROM registrations
+    WHERE event_id = ? AND practice_track = ? AND status = 'Waitlisted' AND waitlist_offer_expires_at IS NULL AND waitlist_offer_lapsed_at IS NULL
+    ORDER BY created_at LIMIT ?
+  `).all(eventId, track, free);
+
+  for (const row of rows) {
+    const expiresAt = new Date(Date.now() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000).toISOString();
+    const emailTemplate = generateWaitlistOfferEmail(row, event, expiresAt);
+    db.transaction(() => {
+      db.prepare('UPDATE registrations SET waitlist_offer_expires_at = ?, updated_at = ? WHERE id = ?').run(expiresAt, new Date().toISOString(), row.id);
+      logRegistrationEvent(row.id, {
+        actorType: 'system', action: 'waitlist_offer', oldStatus: row.status, newStatus: row.status,
+        notes: `Seat offered until ${expiresAt}`, emailSent: emailTemplate.subject
+      });
+    })();
+    console.log(`[Waitlist] Offered a ${track} seat to ${row.id} until ${expiresAt}`);
+    queueEmail(row.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: row.id });
+  }
+}
+
+// Lapse offers that weren't accepted in time and pass their seats down the waitlist
+async function expireWaitlistOffers() {
+  const now = new Date().toISOString();
+  const expired = db.prepare("SELECT * FROM registrations WHERE status = 'Waitlisted' AND waitlist_offer_expires_at <= ?").all(now);
+  const tracks = new Map();
+  for (const row of expired) {
+    db.transaction(() => {
+      db.prepare('UPDATE registrations SET waitlist_offer_expires_at = NULL, waitlist_offer_lapsed_at = ?, updated_at = ? WHERE id = ?').run(now, now, row.id);
+      logRegistrationEvent(row.id, { actorType: 'system', action: 'waitlist_offer_expired', oldStatus: row.status, newStatus: row.status });
+    })();
+    console.log(`[Waitlist] Offer to ${row.id} expired`);
+    tracks.set(`${row.event_id}|${row.practice_track}`, row);
+  }
+  for (const row of tracks.values()) await offerWaitlistedSeats(row.event_id, row.practice_track);
+}
+
+function startWaitlistSweep() {
+  const interval = parseInt(process.env.WAITLIST_SWEEP_INTERVAL || '600000', 10); // Default: 10 minutes
+  const sweep = () => expireWaitlistOffers().catch(err => console.error('[Waitlist] Sweep failed:', err.message));
+  sweep();
+  setInterval(sweep, interval);
+}
+
+// Duplicate detection: the same person registering for the same event more than once
+function normaliseName(first, last) {
+  return `${first || ''} ${last || ''}`.toLowerCase().normalize('NFKD').replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Compare the last ten digits so "+1 (242) 555-0100" and "2425550100" match
+function normaliseTelephone(telephone) {
+  const digits = String(telephone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+// Returns earlier live registrations for the event that match on email, name or telephone, oldest first
+function findDuplicateRegistrations(eventId, answers, excludeId = null) {
+  const email = String(answers.email || '').trim().toLowerCase();
+  const name = normaliseName(answers.first_name, answers.last_name);
+  const telephone = normaliseTelephone(answers.telephone);
+
+  const candidates = db.prepare(`
+    SELECT id, created_at, status, first_name, last_name, email, telephone
+    FROM registrations
+    WHERE event_id = ? AND status NOT IN ('Cancelled', 'Merged') AND id != ?
+    ORDER BY created_at
+  `).all(eventId, excludeId || '');
+
+  return candidates.map(row => {
+    const reasons = [];
+    if (email && String(row.email || '').trim().toLowerCase() === email) reasons.push('email');
+    if (name && normaliseName(row.first_name, row.last_name) === name) reasons.push('name');
+    if (telephone && normaliseTelephone(row.telephone) === telephone) reasons.push('telephone');
+    return { ...row, reasons };
+  }).filter(row => row.reasons.length);
+}
+
+// Folds the source registrations into the survivor: their proofs and history move across and they are marked Merged
+function mergeRegistrations(survivor, sources, actor) {
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    sources.forEach(source => {
+      db.prepare('UPDATE payment_proofs SET registration_id = ?, merged_from = COALESCE(merged_from, ?) WHERE registration_id = ?')
+        .run(survivor.id, source.id, source.id);
+      db.prepare('UPDATE registration_events SET registration_id = ?, merged_from = COALESCE(merged_from, ?) WHERE registration_id = ?')
+        .run(survivor.id, source.id, source.id);
+      db.prepare('UPDATE email_outbox SET registration_id = ? WHERE registration_id = ?').run(survivor.id, source.id);
+      // Card payments follow too, so one made on the duplicate stops the survivor being charged again and can
+      // still be refunded from it
+      db.prepare('UPDATE card_payments SET registration_id = ? WHERE registration_id = ?').run(survivor.id, source.id);
+      // Receipts and invoices follow, so they can still be found and voided from the survivor
+      db.prepare('UPDATE billing_documents SET registration_id = ? WHERE registration_id = ?').run(survivor.id, source.id);
+      // A day both checked in for is kept once
+      db.prepare('UPDATE OR IGNORE attendance SET registration_id = ? WHERE registration_id = ?').run(survivor.id, source.id);
+      db.prepare('DELETE FROM attendance WHERE registration_id = ?').run(source.id);
+      // A certificate stays with the duplicate (its number still verifies) only when the survivor already has one
+      db.prepare('UPDATE OR IGNORE certificates SET registration_id = ? WHERE registration_id = ?').run(survivor.id, source.id);
+      db.prepare(`
+        UPDATE registrations SET status = 'Merged', merged_into = ?, merged_at = ?, duplicate_of = NULL, updated_at = ? WHERE id = ?
+      `).run(survivor.id, now, now, source.id);
+      // Anything flagged against a merged registration now points at the survivor
+      db.prepare('UPDATE registrations SET duplicate_of = ? WHERE duplicate_of = ?').run(survivor.id, source.id);
+      logRegistrationEvent(source.id, {
+        actorType: 'admin', actor, action: 'merged', oldStatus: source.status, newStatus: 'Merged',
+        notes: `Merged into ${survivor.id}`
+      });
+    });
+
+    // The most recent proof from any of the merged registrations becomes the current one
+    const latest = db.prepare('SELECT original_name, file_path FROM payment_proofs WHERE registration_id = ? ORDER BY uploaded_at DESC, id DESC LIMIT 1').get(survivor.id);
+    db.prepare('UPDATE registrations SET duplicate_of = NULL, payment_file_name = ?, payment_file_path = ?, updated_at = ? WHERE id = ?')
+      .run(latest ? latest.original_name : survivor.payment_file_name, latest ? latest.file_path : survivor.payment_file_path, now, survivor.id);
+    logRegistrationEvent(survivor.id, {
+      actorType: 'admin', actor, action: 'merged', oldStatus: survivor.status, newStatus: survivor.status,
+      notes: `Merged ${sources.map(r => r.id).join(', ')} into this registration`
+    });
+  })();
+}
+
+// Public event information
+app.get('/api/events', (req, res) => {
+  const rows = db.prepare('SELECT * FROM events ORDER BY start_date').all().filter(event => !eventIsOver(event));
+  res.json({ default_event: DEFAULT_EVENT_SLUG, rows: rows.map(publicEvent) });
+});
+
+app.get('/api/events/:slug', (req, res) => {
+  const event = getEventBySlug(req.params.slug);
+  if (!event) return res.status(404).json({ message: 'Not found' });
+  res.json({ event: publicEvent(event) });
+});
+
+// Current fees for an event; pass middle_temple_member / bmts_member_interest to get a quote
+app.get('/api/events/:slug/pricing', (req, res) => {
+  const event = getEventBySlug(req.params.slug);
+  if (!event) return res.status(404).json({ message: 'Not found' });
+  res.json({ pricing: publicPricing(event, req.query) });
+});
+
+// Card payments, off unless PAYMENT_PROVIDER names a module in server/payments. A provider module exports a
+// factory ({ secret, webhookUrl }) returning:
+// - createCheckout({ reference, amount, currency, description, email, successUrl, cancelUrl }), resolving to the
+//   hosted checkout session as { id, url }
+// - parseWebhook(rawBody, headers), which throws unless the signature is good and returns the event as
+//   { id, type, checkout_id, payment_id, amount, currency, amount_refunded }. type is 'checkout.completed',
+//   'checkout.failed' or 'payment.refunded', whose amount_refunded is the total refunded so far.
+// - refund({ paymentId, amount }), resolving to { id }
+// - optionally mount(app), for routes of its own
+const PAYMENT_PROVIDER = (process.env.PAYMENT_PROVIDER || '').trim().toLowerCase();
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'BSD';
+const CARD_PAYMENT_METHOD = 'Card';
+
+function loadPaymentProvider() {
+  if (!PAYMENT_PROVIDER) return null;
+  const file = path.join(__dirname, 'payments', `${PAYMENT_PROVIDER}.js`);
+  if (!/^[a-z0-9_-]+$/.test(PAYMENT_PROVIDER) || !fs.existsSync(file)) throw new Error(`Unknown PAYMENT_PROVIDER '${PAYMENT_PROVIDER}'.`);
+  // Anyone could "pay" through the mock checkout and be verified automatically
+  if (PAYMENT_PROVIDER === 'mock' && process.env.NODE_ENV === 'production') throw new Error('The mock payment provider cannot be used in production.');
+  let secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    if (PAYMENT_PROVIDER !== 'mock') throw new Error('PAYMENT_WEBHOOK_SECRET must be set to take card payments.');
+    // The mock signs its own webhooks, so a secret made up for this run will do
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  const provider = require(file)({ secret, webhookUrl: `http://127.0.0.1:${PORT}/api/payments/webhook` });
+  console.log(`[Payments] Card payments enabled through ${provider.label || provider.name}.`);
+  return provider;
+}
+
+const paymentProvider = loadPaymentProvider();
+if (paymentProvider && paymentProvider.mount) paymentProvider.mount(app);
+
+// API registration
+// What the registration form accepts. /api/register checks submissions against this, and the form fetches it
+// from /api/registration-schema to check answers the same way, with the same messages, before submitting.
+const PAYMENT_METHODS = ['Bank Transfer', 'Cheque', ...(paymentProvider ? [CARD_PAYMENT_METHOD] : [])];
+// Leaves out 0/O and 1/I/L, which get mixed up when a reference is typed into a banking app
+const PAYMENT_REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// e.g. BMTS-7KQ2MX; short enough for the reference field of a bank transfer
+function newPaymentReference() {
+  for (;;) {
+    const reference = 'BMTS-' + Array.from(crypto.randomBytes(6), b => PAYMENT_REFERENCE_ALPHABET[b % PAYMENT_REFERENCE_ALPHABET.length]).join('');
+    if (!db.prepare('SELECT 1 FROM registrations WHERE payment_reference = ?').get(reference)) return reference;
+  }
+}
+const PROOF_EXTENSIONS = ['.pdf', '.jpg', '.jpeg', '.png'];
+const MAX_PROOF_BYTES = 10 * 1024 * 1024;
+const REGISTRATION_FIELDS = {
+  middle_temple_member: { label: 'Middle Temple membership', options: ['Yes', 'No'] },
+  bmts_member_interest: { label: 'BMTS membership', options: ['Yes', 'No'] },
+  title: { label: 'Title', required: true, options: ['Mr', 'Ms', 'Mrs', 'Dr'] },
+  practice_track: { label: 'Practice track', required: true, options: PRACTICE_TRACKS },
+  first_name: { label: 'First name', required: true, maxLength: 80 },
+  last_name: { label: 'Last name', required: true, maxLength: 80 },
+  company: { label: 'Firm / company', maxLength: 160 },
+  po_box: { label: 'P.O. Box', maxLength: 40 },
+  city: { label: 'City', maxLength: 80 },
+  telephone: {
+    label: 'Telephone', required: true, maxLength: 30,
+    // At least seven digits, written with spaces, brackets, dots or dashes and an optional leading +
+    pattern: '^(?=(?:\\D*\\d){7})\\+?[0-9 ().-]+$',
+    invalid: 'Please enter a telephone number with at least 7 digits, e.g. +1 242 555 0100.'
+  },
+  email: {
+    label: 'Email', required: true, maxLength: 254,
+    pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+    invalid: 'Please enter a valid email address.'
+  },
+  payment_method: { label: 'Payment method', required: true, options: PAYMENT_METHODS },
+  payment_proof: {
+    label: 'Payment proof', required: true, file: true, extensions: PROOF_EXTENSIONS, maxBytes: MAX_PROOF_BYTES,
+    // Card payments are confirmed by the provider instead
+    not_required_when: { payment_method: CARD_PAYMENT_METHOD },
+    required_message: 'Please upload your payment proof.',
+    invalid: 'Please upload a PDF, JPG, JPEG or PNG file.'
+  },
+  consent: { label: 'Consent', required: true, required_message: 'Please confirm consent to continue.' }
+};
+
+// The message for each way a field can fail, so the form shows exactly what the server would say
+function fieldMessages(field) {
+  const messages = { multiple: field.file ? 'Please upload a single file.' : 'Please give only one answer.' };
+  if (field.required) messages.required = field.required_message || `${field.label} is required.`;
+  if (field.options) messages.invalid = `Please choose one of: ${field.options.join(', ')}.`;
+  if (field.invalid) messages.invalid = field.invalid;
+  if (field.maxLength) messages.too_long = `${field.label} must be ${field.maxLength} characters or fewer.`;
+  if (field.maxBytes) messages.too_long = `${field.label} must be ${field.maxBytes / (1024 * 1024)}MB or smaller.`;
+  return messages;
+}
+
+// Checks one answer against its rule; returns the trimmed value (unless the field was repeated) and the message
+// if it failed
+function checkField(field, raw) {
+  const messages = fieldMessages(field);
+  // A repeated form field arrives as an array
+  if (Array.isArray(raw) || (raw !== undefined && typeof raw === 'object')) return { error: messages.multiple };
+  const value = raw === undefined || raw === null ? '' : String(raw).trim();
+  if (!value) return { value, error: field.required ? messages.required : undefined };
+  if (field.maxLength && value.length > field.maxLength) return { value, error: messages.too_long };
+  if (field.options && !field.options.includes(value)) return { value, error: messages.invalid };
+  if (field.pattern && !new RegExp(field.pattern).test(value)) return { value, error: messages.invalid };
+  return { value };
+}
+
+// Returns the trimmed answers and a message per field that failed; fileRejected is set when a proof of the
+// wrong type was sent
+function validateRegistration(body, file, fileRejected = false) {
+  const values = {};
+  const errors = {};
+  const isExempt = field => Object.entries(field.not_required_when || {}).some(([other, value]) => String(body[other] || '').trim() === value);
+  Object.entries(REGISTRATION_FIELDS).forEach(([name, field]) => {
+    if (field.file) {
+      const messages = fieldMessages(field);
+      if (fileRejected) errors[name] = messages.invalid;
+      else if (!file && field.required && !isExempt(field)) errors[name] = messages.required;
+      return;
+    }
+    const { value, error } = checkField(field, body[name]);
+    if (error) errors[name] = error;
+    if (value !== undefined) values[name] = value;
+  });
+  return { values, errors };
+}
+
+app.get('/api/registration-schema', (req, res) => {
+  const fields = {};
+  Object.entries(REGISTRATION_FIELDS).forEach(([name, field]) => {
+    const { required_message, invalid, ...rule } = field;
+    fields[name] = { ...rule, required: !!field.required, messages: fieldMessages(field) };
+  });
+  res.json({ fields });
+});
+
+// Abuse protection for the registration form. Each submission carries a signed form token from
+// /api/register/challenge, which records when the form was opened: a form sent back within seconds was
+// filled in by a script. With REGISTER_POW_DIFFICULTY set, the token is also a proof-of-work challenge the
+// browser solves while the registrant types. A honeypot field that people can't see catches bots that fill
+// in every field. Submissions are limited per IP address and registrations per email, and proofs are
+// refused once uploads reach UPLOAD_STORAGE_LIMIT_MB.
+const REGISTER_IP_LIMIT = parseInt(process.env.REGISTER_IP_LIMIT || '20', 10); // Submissions per IP address per hour
+const REGISTER_EMAIL_LIMIT = parseInt(process.env.REGISTER_EMAIL_LIMIT || '5', 10); // Registrations per email per day
+const REGISTER_MIN_SECONDS = parseInt(process.env.REGISTER_MIN_SECONDS || '5', 10);
+// Leading zero bits; each one doubles the work (16 takes a browser a few seconds)
+const REGISTER_POW_DIFFICULTY = Math.min(parseInt(process.env.REGISTER_POW_DIFFICULTY || '0', 10), 24);
+const UPLOAD_STORAGE_LIMIT_MB = parseInt(process.env.UPLOAD_STORAGE_LIMIT_MB || '2048', 10);
+const FORM_TOKEN_MAX_AGE_MS = 24 * 3600 * 1000;
+const HONEYPOT_FIELD = 'website';
+const ABUSE_LOG_DAYS = 30;
+const ABUSE_REASONS = {
+  ip_rate_limit: 'Too many submissions from one IP address',
+  email_rate_limit: 'Too many registrations for one email',
+  honeypot: 'Hidden field filled in',
+  too_fast: 'Sent too soon after the form was opened',
+  form_token: 'Form token missing, forged, expired or reused',
+  proof_of_work: 'Proof of work missing or wrong',
+  upload_storage_full: 'Upload storage full'
+};
+
+// Kept in memory, so a restart clears them: submissions per IP address this hour, and the form tokens of
+// completed registrations (until they expire anyway) so one solved token can't be replayed
+const registerAttempts = new Map();
+const usedFormTokens = new Map();
+
+function dropExpired(map, now) {
+  if (map.size < 10000) return;
+  for (const [key, entry] of map) if (entry.expiresAt <= now) map.delete(key);
+}
+
+function countRegisterAttempt(ip) {
+  const now = Date.now();
+  dropExpired(registerAttempts, now);
+  let entry = registerAttempts.get(ip);
+  if (!entry || entry.expiresAt <= now) {
+    entry = { count: 0, expiresAt: now + 3600 * 1000 };
+    registerAttempts.set(ip, entry);
+  }
+  entry.count += 1;
+  return entry;
+}
+
+// "<issued, ms>.<random>.<HMAC>", signed under its own prefix like tickets
+function createFormToken() {
+  const payload = `${Date.now()}.${crypto.randomBytes(9).toString('base64url')}`;
+  return `${payload}.${signPortalPayload(`form:${payload}`)}`;
+}
+
+// When the form was opened, or null if the token isn't one of ours
+function formTokenIssuedAt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const expected = Buffer.from(signPortalPayload(`form:${parts[0]}.${parts[1]}`));
+  const given = Buffer.from(parts[2]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return Number(parts[0]);
+}
+
+// The SHA-256 of "<token>:<nonce>" has to start with REGISTER_POW_DIFFICULTY zero bits
+function proofOfWorkValid(token, nonce) {
+  if (!/^\d{1,15}$/.test(String(nonce || ''))) return false;
+  const hash = crypto.createHash('sha256').update(`${token}:${nonce}`).digest();
+  let bits = 0;
+  for (const byte of hash) {
+    bits += byte ? Math.clz32(byte) - 24 : 8;
+    if (byte) break;
+  }
+  return bits >= REGISTER_POW_DIFFICULTY;
+}
+
+function uploadStorageUsed() {
+  return listUploadFiles().reduce((total, rel) => total + fs.statSync(path.join(UPLOAD_DIR, rel)).size, 0);
+}
+
+// Whether the request body, were it all one file, would take stored uploads over UPLOAD_STORAGE_LIMIT_MB
+function uploadWouldExceedLimit(req) {
+  if (!(UPLOAD_STORAGE_LIMIT_MB > 0)) return false;
+  return uploadStorageUsed() + Number(req.headers['content-length'] || 0) > UPLOAD_STORAGE_LIMIT_MB * 1024 * 1024;
+}
+
+// Repeats of a reason from the same address within the hour are counted on the row already logged
+function recordRejectedAttempt(req, reason, { email = null, detail = null } = {}) {
+  const now = new Date().toISOString();
+  const ip = req.ip || null;
+  const recent = db.prepare('SELECT id FROM abuse_events WHERE reason = ? AND ip IS ? AND last_at > ? ORDER BY id DESC LIMIT 1')
+    .get(reason, ip, new Date(Date.now() - 3600 * 1000).toISOString());
+  if (recent) {
+    db.prepare('UPDATE abuse_events SET count = count + 1, last_at = ?, email = COALESCE(?, email), detail = COALESCE(?, detail) WHERE id = ?').run(now, email, detail, recent.id);
+    return;
+  }
+  console.warn(`[Abuse] Turned away ${ip}${email ? ` (${email})` : ''}: ${ABUSE_REASONS[reason]}${detail ? ` (${detail})` : ''}`);
+  db.prepare('INSERT INTO abuse_events (reason, ip, email, detail, first_at, last_at) VALUES (?, ?, ?, ?, ?, ?)').run(reason, ip, email, detail, now, now);
+  db.prepare('DELETE FROM abuse_events WHERE last_at < ?').run(new Date(Date.now() - ABUSE_LOG_DAYS * 86400000).toISOString());
+}
+
+// Checked before the upload is read, so a client over its limit doesn't get a file written to disk
+function limitRegistrations(req, res, next) {
+  if (REGISTER_IP_LIMIT > 0) {
+    const entry = countRegisterAttempt(req.ip);
+    if (entry.count > REGISTER_IP_LIMIT) {
+      recordRejectedAttempt(req, 'ip_rate_limit');
+      res.set('Retry-After', String(Math.ceil((entry.expiresAt - Date.now()) / 1000)));
+      return res.status(429).json({ message: 'Too many registrations have been sent from your network. Please try again later.' });
+    }
+  }
+  req.uploadStorageFull = uploadWouldExceedLimit(req);
+  next();
+}
+
+// Returns { reason, status, message, reload } when a submission should be turned away, otherwise null
+function screenRegistration(req) {
+  const body = req.body || {};
+  if (String(body[HONEYPOT_FIELD] || '').trim()) {
+    return { reason: 'honeypot', status: 400, message: 'Your registration could not be accepted. Please contact us if this keeps happening.' };
+  }
+
+  const token = String(body.form_token || '');
+  const issuedAt = formTokenIssuedAt(token);
+  const problem = !token ? 'missing' : !issuedAt ? 'not valid'
+    : Date.now() - issuedAt > FORM_TOKEN_MAX_AGE_MS ? 'expired'
+    : usedFormTokens.has(token) ? 'already used'
+    : null;
+  // reload asks the form for a new token, keeping the registrant's answers
+  if (problem) return { reason: 'form_token', detail: problem, status: 400, reload: true, message: 'This form has expired. Please submit it again.' };
+  if (Date.now() - issuedAt < REGISTER_MIN_SECONDS * 1000) {
+    return { reason: 'too_fast', status: 400, message: 'That was quicker than we expected. Please check your answers and submit again.' };
+  }
+  if (REGISTER_POW_DIFFICULTY > 0 && !proofOfWorkValid(token, body.pow_nonce)) {
+    return { reason: 'proof_of_work', status: 400, reload: true, message: 'Your browser could not complete the security check. Please submit the form again.' };
+  }
+
+  const email = String(body.email || '').trim().toLowerCase();
+  if (REGISTER_EMAIL_LIMIT > 0 && email) {
+    const since = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+    const count = db.prepare('SELECT COUNT(*) FROM registrations WHERE lower(trim(email)) = ? AND created_at > ?').pluck().get(email, since);
+    if (count >= REGISTER_EMAIL_LIMIT) {
+      return { reason: 'email_rate_limit', status: 429, message: 'Several registrations have already been made with this email address today. Please contact us if you need to register more people.' };
+    }
+  }
+  if (req.proofRefused) {
+    return { reason: 'upload_storage_full', status: 503, message: "We can't accept payment proofs at the moment. Please try again later or contact us." };
+  }
+  return null;
+}
+
+function rememberUsedFormToken(token) {
+  const now = Date.now();
+  dropExpired(usedFormTokens, now);
+  usedFormTokens.set(token, { expiresAt: formTokenIssuedAt(token) + FORM_TOKEN_MAX_AGE_MS });
+}
+
+// For portal uploads, where there's no form to check and only the storage cap applies
+function refuseUploadsWhenFull(req, res, next) {
+  if (!uploadWouldExceedLimit(req)) return next();
+  recordRejectedAttempt(req, 'upload_storage_full', { detail: req.path });
+  res.status(503).json({ message: "We can't accept payment proofs at the moment. Please try again later or contact us." });
+}
+
+app.get('/api/register/challenge', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ form_token: createFormToken(), honeypot_field: HONEYPOT_FIELD, pow_difficulty: REGISTER_POW_DIFFICULTY > 0 ? REGISTER_POW_DIFFICULTY : 0 });
+});
+
+// Unlike the other upload routes, a proof of the wrong type is skipped rather than aborting the upload, so the
+// rest of the form is still read and every field can be checked
+const registrationUpload = multer({
+  storage,
+  limits: { fileSize: MAX_PROOF_BYTES },
+  fileFilter: function (req, file, cb) {
+    if (req.uploadStorageFull) {
+      req.proofRefused = true;
+      return cb(null, false);
+    }
+    const valid = isValidFile(file.mimetype, file.originalname);
+    if (!valid) req.proofRejected = true;
+    cb(null, valid);
+  }
+});
+
+app.post('/api/register', limitRegistrations, (req, res, next) => {
+  registrationUpload.single('payment_proof')(req, res, err => {
+    if (err && !(err instanceof multer.MulterError)) return next(err);
+    // An oversized or second file stops the form being read, so the answers after it can't be checked
+    if (err) {
+      const proof = fieldMessages(REGISTRATION_FIELDS.payment_proof);
+      const message = { LIMIT_FILE_SIZE: proof.too_long, LIMIT_UNEXPECTED_FILE: proof.multiple }[err.code] || proof.invalid;
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { payment_proof: message } });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const file = req.file;
+  // Nothing is kept from a rejected submission, including the proof multer already saved
+  const reject = (message, errors = undefined) => {
+    if (file) fs.unlink(file.path, () => {});
+    return res.status(400).json({ message, errors });
+  };
+
+  try {
+    const blocked = screenRegistration(req);
+    if (blocked) {
+      recordRejectedAttempt(req, blocked.reason, { email: String((req.body || {}).email || '').trim().slice(0, 200) || null, detail: blocked.detail });
+      if (file) fs.unlink(file.path, () => {});
+      return res.status(blocked.status).json({ message: blocked.message, reload: blocked.reload });
+    }
+
+    const proofRejected = req.proofRejected || (file && !acceptUploadedProof(file));
+    const { values: body, errors } = validateRegistration(req.body || {}, file, proofRejected);
+    if (Object.keys(errors).length) {
+      console.log(`[Debug] Validation failed: ${Object.keys(errors).join(', ')}.`);
+      return reject('Please correct the highlighted fields.', errors);
+    }
+
+    const event = getEventBySlug(String((req.body || {}).event || DEFAULT_EVENT_SLUG));
+    if (!event) return reject('Unknown event.');
+    const closedReason = registrationClosedReason(event);
+    if (closedReason) return reject(closedReason);
+
+    const id = req._reg_id || uuidv4();
+    const submittedAt = new Date();
+    const created_at = submittedAt.toISOString();
+    // Over a track's seat limit, the registration joins that track's waitlist
+    const status = isTrackFull(event, body.practice_track) ? 'Waitlisted' : 'Pending Verification';
+    const fee = calculateFee(event, body, submittedAt);
+
+    const stmt = db.prepare(`
+      INSERT INTO registrations (
+        id, created_at, status,
+        middle_temple_member, bmts_member_interest, title,
+        first_name, last_name, company, po_box, city,
+        telephone, email, practice_track, payment_method,
+        payment_file_name, payment_file_path, admin_notes, event_id,
+        amount_due, fee_tier, duplicate_of, payment_reference
+      ) VALUES (
+        @id, @created_at, @status,
+        @middle_temple_member, @bmts_member_interest, @title,
+        @first_name, @last_name, @company, @po_box, @city,
+        @telephone, @email, @practice_track, @payment_method,
+        @payment_file_name, @payment_file_path, @admin_notes, @event_id,
+        @amount_due, @fee_tier, @duplicate_of, @payment_reference
+      )
+    `);
+
+    const params = {
+      id, created_at, status,
+      middle_temple_member: body.middle_temple_member || '',
+      bmts_member_interest: body.bmts_member_interest || '',
+      title: body.title,
+      first_name: body.first_name,
+      last_name: body.last_name,
+      company: body.company || '',
+      po_box: body.po_box || '',
+      city: body.city || '',
+      telephone: body.telephone,
+      email: body.email,
+      practice_track: body.practice_track,
+      payment_method: body.payment_method || '',
+      payment_file_name: file ? (file.originalname || file.filename) : '',
+      payment_file_path: file ? file.path : '',
+      admin_notes: '',
+      event_id: event.id,
+      amount_due: fee ? fee.amount : null,
+      fee_tier: fee ? fee.tier : null,
+      duplicate_of: null,
+      payment_reference: newPaymentReference()
+    };
+
+    // Checked before inserting so the new registration doesn't match itself
+    const duplicates = findDuplicateRegistrations(event.id, body);
+    if (duplicates.length) params.duplicate_of = duplicates[0].id;
+
+    stmt.run(params);
+    rememberUsedFormToken(String(req.body.form_token));
+    const proofId = file ? recordPaymentProof(id, file, 'registrant') : null;
+
+    // Professional email: submission received (or waitlisted)
+    const registrant = {
+      id,
+      title: body.title,
+      first_name: body.first_name,
+      last_name: body.last_name,
+      email: body.email,
+      telephone: body.telephone,
+      company: body.company || '',
+      practice_track: body.practice_track,
+      payment_method: body.payment_method || '',
+      amount_due: params.amount_due,
+      fee_tier: params.fee_tier,
+      payment_reference: params.payment_reference
+    };
+    const emailTemplate = status === 'Waitlisted'
+      ? generateWaitlistEmail(registrant, event)
+      : generateRegistrationConfirmationEmail(registrant, event);
+
+    logRegistrationEvent(id, { actorType: 'registrant', action: 'created', newStatus: status, emailSent: emailTemplate.subject });
+    if (duplicates.length) {
+      const matches = duplicates.map(d => `${d.id} (${d.reasons.join(', ')})`).join('; ');
+      console.log(`[Duplicates] Registration ${id} matches ${matches}`);
+      logRegistrationEvent(id, { actorType: 'system', action: 'duplicate_flagged', newStatus: status, notes: `Possible duplicate of ${matches}` });
+    }
+    if (proofId) flagReusedProof(id, proofId);
+
+    queueEmail(body.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: id });
+
+    // Email notification to owner about new registration
+    const ownerEmail = process.env.OWNER_EMAIL || 'bahamasmts@bmts-events.com';
+    const adminEmailTemplate = generateAdminNotificationEmail({
+      id,
+      title: body.title,
+      first_name: body.first_name,
+      last_name: body.last_name,
+      email: body.email,
+      telephone: body.telephone,
+      company: body.company || '',
+      city: body.city || '',
+      po_box: body.po_box || '',
+      practice_track: body.practice_track,
+      payment_method: body.payment_method || '',
+      middle_temple_member: body.middle_temple_member,
+      bmts_member_interest: body.bmts_member_interest,
+      status,
+      amount_due: params.amount_due,
+      fee_tier: params.fee_tier,
+      payment_reference: params.payment_reference,
+      payment_file_name: file ? (file.originalname || file.filename) : '',
+      duplicate_of: params.duplicate_of
+    }, event);
+
+    queueEmail(ownerEmail, adminEmailTemplate.subject, adminEmailTemplate.text, { html: adminEmailTemplate.html, registrationId: id });
+
+    // Card payers go straight on to the checkout; if it can't be opened they can pay from the portal
+    let checkoutUrl = null;
+    if (body.payment_method === CARD_PAYMENT_METHOD && status !== 'Waitlisted' && params.amount_due !== null) {
+      try {
+        checkoutUrl = await startCardCheckout(db.prepare('SELECT * FROM registrations WHERE id = ?').get(id));
+      } catch (err) {
+        console.error(`[Payments] Could not start a checkout for ${id}:`, err.message);
+      }
+    }
+
+    console.log(`[Debug] Registration successful for ID: ${id}`);
+    return res.status(200).json({
+      registration_id: id,
+      checkout_url: checkoutUrl,
+      portal_token: createPortalToken(id),
+      payment_reference: params.payment_reference,
+      waitlisted: status === 'Waitlisted',
+      // Let the registrant know before they pay twice; the committee will merge the registrations
+      duplicate_warning: duplicates.length
+        ? 'It looks like you have already registered for this event. There is no need to pay again; our team will review and combine your registrations.'
+        : null
+    });
+
+  } catch (err) {
+    console.error('[Debug] An error occurred in /api/register:', err);
+    return reject(err.message || 'Submission failed.');
+  }
+});
+
+// Registrant portal (reached through the signed link in every registrant email)
+const PORTAL_CONTACT_FIELDS = ['telephone', 'email', 'company', 'po_box', 'city'];
+// Statuses where the committee is waiting on something from the registrant
+const AWAITING_REGISTRANT_STATUSES = ['Payment Rejected', 'Awaiting Resubmission'];
+const PROOF_UPLOAD_STATUSES = ['Pending Verification', ...AWAITING_REGISTRANT_STATUSES];
+
+// Links (and tickets) from a merged duplicate keep working and lead to the registration it was merged into
+function followMerges(row) {
+  while (row && row.status === 'Merged' && row.merged_into) {
+    row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(row.merged_into);
+  }
+  return row;
+}
+
+function getPortalRegistration(req) {
+  const id = verifyPortalToken(req.query.token || (req.body && req.body.token));
+  return followMerges(id ? db.prepare('SELECT * FROM registrations WHERE id = ?').get(id) : null);
+}
+
+function portalView(row) {
+  const event = getEvent(row.event_id);
+  return {
+    registration: {
+      id: row.id,
+      created_at: row.created_at,
+      status: row.status,
+      title: row.title,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      email: row.email,
+      telephone: row.telephone,
+      company: row.company,
+      po_box: row.po_box,
+      city: row.city,
+      practice_track: row.practice_track,
+      payment_method: row.payment_method,
+      amount_due: row.amount_due,
+      fee_label: row.amount_due === null ? null : (FEE_TIER_LABELS[row.fee_tier] || FEE_TIER_LABELS.standard),
+      payment_reference: row.payment_reference,
+      payment_file_name: row.payment_file_name,
+      message: row.registrant_message || '',
+      waitlist_offer_expires_at: row.status === 'Waitlisted' ? row.waitlist_offer_expires_at : null
+    },
+    event: event ? publicEvent(event) : null,
+    ticket_url: TICKET_STATUSES.includes(row.status) ? ticketUrl(row.id) : null,
+    can_download_invoice: INVOICE_STATUSES.includes(row.status) && row.amount_due !== null,
+    can_edit_contact: row.status !== 'Cancelled',
+    can_upload_proof: PROOF_UPLOAD_STATUSES.includes(row.status),
+    can_pay_by_card: canPayByCard(row),
+    can_accept_offer: hasOpenWaitlistOffer(row)
+  };
+}
+
+function hasOpenWaitlistOffer(row) {
+  return row.status === 'Waitlisted' && !!row.waitlist_offer_expires_at && new Date(row.waitlist_offer_expires_at) > new Date();
+}
+
+async function notifyOwnerOfRegistrantUpdate(registration, change) {
+  const ownerEmail = process.env.OWNER_EMAIL || 'bahamasmts@bmts-events.com';
+  const emailTemplate = generateRegistrantUpdateAdminEmail(registration, getEvent(registration.event_id), change);
+  queueEmail(ownerEmail, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: registration.id });
+}
+
+app.get('/api/portal', (req, res) => {
+  const row = getPortalRegistration(req);
+  if (!row) return res.status(401).json({ message: 'This link is invalid or has expired. Please request a new one.' });
+  res.json(portalView(row));
+});
+
+// Invoice for firms that need one before paying
+app.get('/api/portal/invoice', async (req, res) => {
+  const row = getPortalRegistration(req);
+  if (!row) return res.status(401).json({ message: 'This link is invalid or has expired. Please request a new one.' });
+  if (!INVOICE_STATUSES.includes(row.status) || row.amount_due === null) {
+    return res.status(409).json({ message: 'An invoice is not available for this registration.' });
+  }
+  try {
+    const invoice = currentInvoice(row, { actorType: 'registrant' });
+    const pdf = await renderBillingPdf(invoice);
+    res.setHeader('Content-Disposition', `attachment; filename="${billingFileName(invoice)}"`);
+    res.type('pdf').send(pdf);
+  } catch (err) {
+    console.error(`[Billing] Could not make the invoice for ${row.id}:`, err.message);
+    res.status(500).json({ message: 'The invoice could not be created. Please try again later.' });
+  }
+});
+
+app.post('/api/portal/contact', async (req, res) => {
+  const row = getPortalRegistration(req);
+  if (!row) return res.status(401).json({ message: 'This link is invalid or has expired. Please request a new one.' });
+  if (row.status === 'Cancelled') return res.status(400).json({ message: 'This registration has been cancelled.' });
+
+  // Checked with the registration form's rules and answered the same way, a message per field
+  const body = req.body || {};
+  const updates = {};
+  const errors = {};
+  for (const k of PORTAL_CONTACT_FIELDS) {
+    if (body[k] === undefined) continue;
+    const { value, error } = checkField(REGISTRATION_FIELDS[k], body[k]);
+    if (error) errors[k] = error;
+    else updates[k] = value;
+  }
+  if (Object.keys(errors).length) return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+  if (!Object.keys(updates).length) return res.status(400).json({ message: 'Nothing to update.' });
+
+  // Correcting details the committee asked about puts the registration back in the review queue
+  const status = AWAITING_REGISTRANT_STATUSES.includes(row.status) ? 'Pending Verification' : row.status;
+  db.transaction(() => {
+    db.prepare(`UPDATE registrations SET ${Object.keys(updates).map(k => `${k} = @${k}`).join(', ')}, status = @status, updated_at = @updated_at WHERE id = @id`)
+      .run({ ...updates, status, updated_at: new Date().toISOString(), id: row.id });
+    logRegistrationEvent(row.id, {
+      actorType: 'registrant',
+      action: 'contact_updated',
+      oldStatus: row.status,
+      newStatus: status,
+      notes: `Updated ${Object.keys(updates).join(', ')}`
+    });
+  })();
+
+  const updated = db.prepare('SELECT * FROM registrations WHERE id = ?').get(row.id);
+  await notifyOwnerOfRegistrantUpdate(updated, 'updated their contact details');
+  res.json({ ok: true, ...portalView(updated) });
+});
+
+// Take up an offered seat from the waitlist; the registration then goes for payment verification as usual
+app.post('/api/portal/accept-offer', async (req, res) => {
+  const row = getPortalRegistration(req);
+  if (!row) return res.status(401).json({ message: 'This link is invalid or has expired. Please request a new one.' });
+  if (!hasOpenWaitlistOffer(row)) return res.status(400).json({ message: 'There is no open seat offer for this registration.' });
+
+  const status = 'Pending Verification';
+  db.transaction(() => {
+    db.prepare('UPDATE registrations SET status = ?, waitlist_offer_expires_at = NULL, registrant_message = NULL, updated_at = ? WHERE id = ?')
+      .run(status, new Date().toISOString(), row.id);
+    logRegistrationEvent(row.id, { actorType: 'registrant', action: 'waitlist_offer_accepted', oldStatus: row.status, newStatus: status });
+  })();
+  console.log(`[Waitlist] ${row.id} accepted a ${row.practice_track} seat`);
+
+  const updated = db.prepare('SELECT * FROM registrations WHERE id = ?').get(row.id);
+  await notifyOwnerOfRegistrantUpdate(updated, 'accepted a seat offered from the waitlist');
+  res.json({ ok: true, ...portalView(updated) });
+});
+
+// The token comes in the query string, so the link is checked before anything is written to disk
+function checkPortalUpload(req, res, next) {
+  const row = getPortalRegistration(req);
+  if (!row) return res.status(401).json({ message: 'This link is invalid or has expired. Please request a new one.' });
+  if (!PROOF_UPLOAD_STATUSES.includes(row.status)) {
+    return res.status(400).json({ message: `A new payment proof can't be uploaded while the registration is ${row.status}.` });
+  }
+  req.portalRegistration = row;
+  next();
+}
+
+app.post('/api/portal/payment-proof', checkPortalUpload, refuseUploadsWhenFull, acceptProofUpload, async (req, res) => {
+  const file = req.file;
+  const row = req.portalRegistration;
+  const reject = (code, message) => {
+    if (file) fs.unlink(file.path, () => {});
+    return res.status(code).json({ message });
+  };
+
+  if (!file) return reject(400, 'Please choose a payment proof to upload.');
+  if (!acceptUploadedProof(file)) return reject(400, 'Please upload a PDF, JPG, JPEG or PNG file.');
+
+  let proofId;
+  db.transaction(() => {
+    proofId = recordPaymentProof(row.id, file, 'registrant');
+    db.prepare("UPDATE registrations SET status = 'Pending Verification', updated_at = ? WHERE id = ?").run(new Date().toISOString(), row.id);
+    logRegistrationEvent(row.id, {
+      actorType: 'registrant',
+      action: 'proof_uploaded',
+      oldStatus: row.status,
+      newStatus: 'Pending Verification',
+      notes: file.originalname || file.filename
+    });
+    flagReusedProof(row.id, proofId);
+  })();
+
+  const updated = db.prepare('SELECT * FROM registrations WHERE id = ?').get(row.id);
+  await notifyOwnerOfRegistrantUpdate(updated, 'uploaded a new payment proof');
+  res.json({ ok: true, ...portalView(updated) });
+});
+
+// Card payments through the hosted checkout of the configured provider (see loadPaymentProvider). A completed
+// checkout verifies the registration without review unless something doesn't add up, in which case it's left
+// for the committee with a note in the history.
+// A card payment settles the registration even after a proof was rejected, so these match PROOF_UPLOAD_STATUSES
+const CARD_PAYABLE_STATUSES = PROOF_UPLOAD_STATUSES;
+
+function paidCardPayment(registrationId) {
+  return db.prepare("SELECT * FROM card_payments WHERE registration_id = ? AND status IN ('paid', 'partially_refunded') ORDER BY id DESC LIMIT 1")
+    .get(registrationId) || null;
+}
+
+function canPayByCard(row) {
+  return !!paymentProvider && CARD_PAYABLE_STATUSES.includes(row.status) && row.amount_due !== null && !paidCardPayment(row.id);
+}
+
+// Opens a checkout session for what the registration owes and returns the URL to send the registrant to
+async function startCardCheckout(row) {
+  const event = getEvent(row.event_id);
+  const token = encodeURIComponent(createPortalToken(row.id));
+  const checkout = await paymentProvider.createCheckout({
+    reference: row.payment_reference,
+    amount: row.amount_due,
+    currency: PAYMENT_CURRENCY,
+    description: `Registration – ${eventTitle(event)}, ${row.practice_track} Advocacy track`,
+    email: row.email,
+    successUrl: `${SITE_URL}/thank-you.html?id=${encodeURIComponent(row.id)}&token=${token}&paid=card`,
+    cancelUrl: `${SITE_URL}/portal.html?token=${token}`
+  });
+  db.prepare(`
+    INSERT INTO card_payments (registration_id, provider, checkout_id, amount, currency, status, created_at)
+    VALUES (?, ?, ?, ?, ?, 'pending', ?)
+  `).run(row.id, paymentProvider.name, checkout.id, row.amount_due, PAYMENT_CURRENCY, new Date().toISOString());
+  return checkout.url;
+}
+
+// Refund totals only grow, so a webhook repeating a refund that's already recorded changes nothing.
+// Returns whether anything was recorded.
+function applyCardRefund(payment, totalRefunded, by, reason = null) {
+  const total = Math.min(Math.round(totalRefunded * 100) / 100, payment.amount);
+  if (!(total > payment.amount_refunded + 0.005)) return false;
+  const status = total + 0.005 >= payment.amount ? 'refunded' : 'partially_refunded';
+  db.prepare('UPDATE card_payments SET amount_refunded = ?, status = ?, updated_at = ? WHERE id = ?')
+    .run(total, status, new Date().toISOString(), payment.id);
+  const row = followMerges(db.prepare('SELECT * FROM registrations WHERE id = ?').get(payment.registration_id));
+  const refunded = formatMoney(total - payment.amount_refunded);
+  logRegistrationEvent(row.id, { ...by, action: 'card_refunded', notes: `${refunded} of card payment ${payment.payment_id} refunded${reason ? `: ${reason}` : ''}` });
+  return true;
+}
+
+// Applies a webhook event, returning the emails to send once it's committed
+function handlePaymentEvent(event) {
+  const by = { actorType: 'system', actor: paymentProvider.name };
+  const emails = [];
+  const payment = db.prepare('SELECT * FROM card_payments WHERE provider = ? AND checkout_id = ?').get(paymentProvider.name, event.checkout_id);
+  if (!payment) {
+    console.log(`[Payments] Ignoring ${event.type} for unknown checkout ${event.checkout_id}`);
+    return emails;
+  }
+  const now = new Date().toISOString();
+
+  if (event.type === 'checkout.failed') {
+    if (payment.status === 'pending') db.prepare("UPDATE card_payments SET status = 'failed', updated_at = ? WHERE id = ?").run(now, payment.id);
+  } else if (event.type === 'payment.refunded') {
+    applyCardRefund(payment, Number(event.amount_refunded), by);
+  } else if (event.type === 'checkout.completed' && ['pending', 'failed'].includes(payment.status)) {
+    db.prepare("UPDATE card_payments SET status = 'paid', payment_id = ?, paid_at = ?, updated_at = ? WHERE id = ?")
+      .run(event.payment_id, now, now, payment.id);
+    const row = followMerges(db.prepare('SELECT * FROM registrations WHERE id = ?').get(payment.registration_id));
+    logRegistrationEvent(row.id, { ...by, action: 'card_payment_received', notes: `${formatMoney(event.amount)} ${event.currency}, payment ${event.payment_id}` });
+
+    const problem = event.currency !== payment.currency || Number(event.amount) + 0.005 < payment.amount ? 'it is less than the amount charged'
+      : row.amount_due !== null && Number(event.amount) + 0.005 < row.amount_due ? 'it is less than the amount now due'
+      : PAID_STATUSES.includes(row.status) ? 'the registration had already been paid for'
+      : !CARD_PAYABLE_STATUSES.includes(row.status) ? `the registration is ${row.status}`
+      : null;
+    if (problem) {
+      console.log(`[Payments] Card payment ${event.payment_id} for ${row.id} needs review: ${problem}`);
+      logRegistrationEvent(row.id, { ...by, action: 'card_payment_review', notes: `Not verified automatically because ${problem}.` });
+      return emails;
+    }
+    const paid = { ...row, payment_method: CARD_PAYMENT_METHOD };
+    db.prepare('UPDATE registrations SET payment_method = ? WHERE id = ?').run(CARD_PAYMENT_METHOD, row.id);
+    const emailTemplate = recordStatusChange(paid, 'Payment Verified', { notes: null, ...by });
+    if (emailTemplate) emails.push({ row: paid, emailTemplate });
+  }
+  return emails;
+}
+
+app.post('/api/portal/checkout', async (req, res) => {
+  const row = getPortalRegistration(req);
+  if (!row) return res.status(401).json({ message: 'This link is invalid or has expired. Please request a new one.' });
+  if (!canPayByCard(row)) return res.status(400).json({ message: 'Card payment is not available for this registration.' });
+  try {
+    res.json({ checkout_url: await startCardCheckout(row) });
+  } catch (err) {
+    console.error(`[Payments] Could not start a checkout for ${row.id}:`, err.message);
+    res.status(502).json({ message: 'The card payment page could not be opened. Please try again later.' });
+  }
+});
+
+// Provider webhooks. Bodies the JSON and form parsers don't take are read as sent.
+app.post('/api/payments/webhook', express.raw({ type: () => true }), (req, res) => {
+  if (!paymentProvider) return res.status(404).json({ message: 'Not found' });
+  let event;
+  try {
+    event = paymentProvider.parseWebhook(req.rawBody || (Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)), req.headers);
+  } catch (err) {
+    console.log(`[Payments] Rejected a webhook: ${err.message}`);
+    return res.status(400).json({ message: 'Invalid webhook' });
+  }
+
+  let emails = [];
+  try {
+    db.transaction(() => {
+      // Providers resend an event until they get a 2xx, so each one is only handled once
+      const info = db.prepare('INSERT OR IGNORE INTO payment_webhook_events (provider, event_id, type, received_at) VALUES (?, ?, ?, ?)')
+        .run(paymentProvider.name, event.id, event.type, new Date().toISOString());
+      if (info.changes) emails = handlePaymentEvent(event);
+    })();
+  } catch (err) {
+    console.error(`[Payments] Could not handle webhook ${event.id}:`, err);
+    return res.status(500).json({ message: 'Could not process the event' });
+  }
+
+  for (const { row, emailTemplate } of emails) {
+    queueEmail(row.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: row.id, attachments: emailTemplate.attachments });
+  }
+  res.json({ received: true });
+});
+
+// Email a fresh portal link; the response is the same whether or not the details match
+app.post('/api/portal/request-link', async (req, res) => {
+  const body = req.body || {};
+  const id = String(body.registration_id || '').trim();
+  const email = String(body.email || '').trim().toLowerCase();
+
+  const row = id && email ? db.prepare('SELECT * FROM registrations WHERE id = ?').get(id) : null;
+  if (row && String(row.email).trim().toLowerCase() === email) {
+    const emailTemplate = generatePortalLinkEmail(row, getEvent(row.event_id));
+    queueEmail(row.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: row.id });
+  }
+  res.json({ ok: true, message: 'If those details match a registration, a new link has been sent to the email address on file.' });
+});
+
+// Ticket page data for a registrant; the token is the one in their QR code
+function getTicketRegistration(req) {
+  const id = verifyTicketToken(req.query.token);
+  return followMerges(id ? db.prepare('SELECT * FROM registrations WHERE id = ?').get(id) : null);
+}
+
+app.get('/api/ticket', (req, res) => {
+  const row = getTicketRegistration(req);
+  if (!row) return res.status(404).json({ message: 'This ticket link is not valid.' });
+  const event = getEvent(row.event_id);
+  const problem = ticketProblem(row);
+  res.json({
+    registration_id: row.id,
+    name: `${row.title} ${row.first_name} ${row.last_name}`,
+    practice_track: row.practice_track,
+    status: row.status,
+    valid: !problem,
+    message: problem,
+    event: event ? publicEvent(event) : null,
+    days: event ? eventDays(event).map(day => ({ day, checked_in: !!db.prepare('SELECT 1 FROM attendance WHERE registration_id = ? AND day = ?').get(row.id, day) })) : []
+  });
+});
+
+app.get('/api/ticket/qr', async (req, res) => {
+  const row = getTicketRegistration(req);
+  if (!row) return res.status(404).send('Not found');
+  try {
+    const png = await QRCode.toBuffer(ticketUrl(row.id), TICKET_QR_OPTIONS);
+    res.set('Cache-Control', 'private, max-age=86400').type('png').send(png);
+  } catch (err) {
+    console.error(`[Tickets] Could not draw the QR code for ${row.id}:`, err.message);
+    res.status(500).send('Could not draw the QR code.');
+  }
+});
+
+// Public check that a certificate is genuine
+app.get('/api/certificates/:number', (req, res) => {
+  const certificate = getCertificate(req.params.number);
+  if (!certificate) return res.status(404).json({ message: 'No certificate with this number was found.' });
+  const event = getEvent(certificate.event_id);
+  res.json({
+    certificate_number: certificate.certificate_number,
+    name: certificate.name,
+    practice_track: certificate.practice_track,
+    issued_at: certificate.issued_at,
+    valid: !certificate.revoked_at,
+    revoked_at: certificate.revoked_at,
+    event: event ? { name: event.name, programme: event.programme, dates: formatEventDates(event), location: event.location } : null
+  });
+});
+
+app.get('/verify/:certificateNumber', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'verify.html'));
+});
+
+// Admin auth
+// Roles are cumulative: check-in volunteers can do everything viewers can, verifiers everything check-in
+// volunteers can, super admins everything verifiers can
+const ADMIN_ROLES = ['viewer', 'check_in', 'verifier', 'super_admin'];
+const ADMIN_SESSION_COOKIE = 'bmts_admin_session';
+const ADMIN_SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS || '12', 10);
+const MIN_ADMIN_PASSWORD_LENGTH = 10;
+
+// Stored as "scrypt$N$r$p$salt$hash"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64, { N: 16384, r: 8, p: 1 });
+  return `scrypt$16384$8$1$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hasRole(user, role) {
+  return ADMIN_ROLES.indexOf(user.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+function createAdminUser({ username, password, role, name = null, email = null }) {
+  username = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{2,40}$/.test(username)) throw new Error('Username must be 2-40 characters of letters, numbers, dots, dashes and underscores.');
+  if (!ADMIN_ROLES.includes(role)) throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}.`);
+  if (String(password || '').length < MIN_ADMIN_PASSWORD_LENGTH) throw new Error(`Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters.`);
+  if (db.prepare('SELECT id FROM admin_users WHERE username = ?').get(username)) throw new Error('An admin with this username already exists.');
+
+  const info = db.prepare(`
+    INSERT INTO admin_users (username, name, email, password_hash, role, active, created_at)
+    VALUES (?, ?, ?, ?, ?, 1, ?)
+  `).run(username, name, email, hashPassword(password), role, new Date().toISOString());
+  return info.lastInsertRowid;
+}
+
+// Upgrading from the shared ADMIN_USER/ADMIN_PASS login: carry it over as the first super admin
+if (!db.prepare('SELECT id FROM admin_users LIMIT 1').get() && process.env.ADMIN_USER && process.env.ADMIN_PASS) {
+  if (process.env.ADMIN_PASS === 'change-me-now') {
+    console.warn('[Admin] ADMIN_PASS is still the default; not creating an admin from it. Run `node index.js create-admin` instead.');
+  } else {
+    try {
+      createAdminUser({ username: process.env.ADMIN_USER, password: process.env.ADMIN_PASS, role: 'super_admin' });
+      console.log(`[Admin] Created super admin '${process.env.ADMIN_USER.trim().toLowerCase()}' from ADMIN_USER/ADMIN_PASS. These variables can now be removed.`);
+    } catch (err) {
+      console.error('[Admin] Could not create an admin from ADMIN_USER/ADMIN_PASS:', err.message);
+    }
+  }
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  String(req.headers.cookie || '').split(';').forEach(pair => {
+    const i = pair.indexOf('=');
+    if (i > 0) cookies[pair.slice(0, i).trim()] = decodeURIComponent(pair.slice(i + 1).trim());
+  });
+  return cookies;
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Only a hash of the session token is stored, so a leaked database can't be used to log in
+function createAdminSession(user, req) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  db.prepare(`
+    INSERT INTO admin_sessions (token_hash, admin_user_id, created_at, expires_at, last_seen_at, ip, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(hashSessionToken(token), user.id, now.toISOString(),
+    new Date(now.getTime() + ADMIN_SESSION_HOURS * 60 * 60 * 1000).toISOString(), now.toISOString(),
+    req.ip, String(req.headers['user-agent'] || '').slice(0, 200));
+  return token;
+}
+
+function getAdminSession(req) {
+  const token = parseCookies(req)[ADMIN_SESSION_COOKIE];
+  if (!token) return null;
+  const session = db.prepare(`
+    SELECT s.token_hash, s.expires_at, u.id, u.username, u.name, u.email, u.role, u.active
+    FROM admin_sessions s JOIN admin_users u ON u.id = s.admin_user_id
+    WHERE s.token_hash = ?
+  `).get(hashSessionToken(token));
+  if (!session || !session.active || new Date(session.expires_at) < new Date()) return null;
+
+  db.prepare('UPDATE admin_sessions SET last_seen_at = ? WHERE token_hash = ?').run(new Date().toISOString(), session.token_hash);
+  return session;
+}
+
+function requireRole(role) {
+  return function (req, res, next) {
+    const session = getAdminSession(req);
+    if (!session) {
+      if (req.path.startsWith('/admin/api/') || req.method !== 'GET') return res.status(401).json({ message: 'Please log in.' });
+      return res.redirect('/admin/login');
+    }
+    if (!hasRole(session, role)) return res.status(403).json({ message: 'Your admin role does not allow this action.' });
+
+    req.admin = { id: session.id, username: session.username, name: session.name, email: session.email, role: session.role };
+    // Audited actions are recorded against the signed-in admin
+    req.adminUser = session.username;
+    next();
+  };
+}
+
+const requireAdmin = requireRole('viewer');
+const requireCheckIn = requireRole('check_in');
+const requireVerifier = requireRole('verifier');
+const requireSuperAdmin = requireRole('super_admin');
+
+// Check-in volunteers land on the door screen rather than the dashboard
+function adminHome(role) {
+  return role === 'check_in' ? '/admin/checkin' : '/admin/';
+}
+
+app.get('/admin/login', (req, res) => {
+  const session = getAdminSession(req);
+  if (session) return res.redirect(adminHome(session.role));
+  const html = fs.readFileSync(path.join(__dirname, 'templates', 'login.html'), 'utf-8');
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(html);
+});
+
+app.post('/admin/login', (req, res) => {
+  const username = String((req.body && req.body.username) || '').trim().toLowerCase();
+  const password = String((req.body && req.body.password) || '');
+
+  const user = db.prepare('SELECT * FROM admin_users WHERE username = ?').get(username);
+  // Check a password even for unknown users so response times don't reveal which usernames exist
+  const valid = verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+  if (!user || !user.active || !valid) {
+    console.warn(`[Admin] Failed login for '${username}' from ${req.ip}`);
+    return res.status(401).json({ message: 'Invalid username or password.' });
+  }
+
+  const now = new Date().toISOString();
+  db.prepare('DELETE FROM admin_sessions WHERE expires_at < ?').run(now);
+  db.prepare('UPDATE admin_users SET last_login_at = ? WHERE id = ?').run(now, user.id);
+
+  res.cookie(ADMIN_SESSION_COOKIE, createAdminSession(user, req), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/admin',
+    maxAge: ADMIN_SESSION_HOURS * 60 * 60 * 1000
+  });
+  console.log(`[Admin] ${user.username} logged in from ${req.ip}`);
+  res.json({ ok: true, home: adminHome(user.role) });
+});
+
+app.post('/admin/logout', (req, res) => {
+  const token = parseCookies(req)[ADMIN_SESSION_COOKIE];
+  if (token) db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(hashSessionToken(token));
+  res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/admin' });
+  res.json({ ok: true });
+});
+
+app.get('/admin/api/me', requireAdmin, (req, res) => {
+  res.json({ user: req.admin, roles: ADMIN_ROLES });
+});
+
+app.get('/admin/api/users', requireSuperAdmin, (req, res) => {
+  const rows = db.prepare('SELECT id, username, name, email, role, active, created_at, last_login_at FROM admin_users ORDER BY username').all();
+  res.json({ rows });
+});
+
+app.post('/admin/api/users', requireSuperAdmin, (req, res) => {
+  const body = req.body || {};
+  try {
+    const id = createAdminUser({ username: body.username, password: body.password, role: body.role, name: body.name || null, email: body.email || null });
+    console.log(`[Admin] ${req.adminUser} created admin '${body.username}' (${body.role})`);
+    res.json({ ok: true, id });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+app.post('/admin/api/users/:id', requireSuperAdmin, (req, res) => {
+  const user = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(req.params.id);
+  if (!user) return res.status(404).json({ message: 'Not found' });
+  const body = req.body || {};
+
+  const role = body.role !== undefined ? String(body.role) : user.role;
+  const active = body.active !== undefined ? (body.active ? 1 : 0) : user.active;
+  if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}.` });
+  if (user.id === req.admin.id && (role !== 'super_admin' || !active)) {
+    return res.status(400).json({ message: 'You cannot remove your own super admin access.' });
+  }
+
+  let passwordHash = user.password_hash;
+  if (body.password) {
+    if (String(body.password).length < MIN_ADMIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters.` });
+    }
+    passwordHash = hashPassword(String(body.password));
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE admin_users SET name = ?, email = ?, role = ?, active = ?, password_hash = ? WHERE id = ?')
+      .run(body.name !== undefined ? body.name : user.name, body.email !== undefined ? body.email : user.email, role, active, passwordHash, user.id);
+    // Deactivating an account or changing its password ends its sessions
+    if (!active || body.password) db.prepare('DELETE FROM admin_sessions WHERE admin_user_id = ?').run(user.id);
+  })();
+  console.log(`[Admin] ${req.adminUser} updated admin '${user.username}'`);
+  res.json({ ok: true });
+});
+
 // Admin pages
 app.get('/admin/', requireAdmin, (req, res) => {
   const html = fs.readFileSync(path.join(__dirname, 'templates', 'admin.html'), 'utf-8');
@@ -740,70 +2545,2403 @@ app.get('/admin/', requireAdmin, (req, res) => {
   res.send(html);
 });
 
-app.get('/admin/api/registrations', requireAdmin, (req, res) => {
-  const status = req.query.status;
-  let rows;
-  if (status) {
-    rows = db.prepare('SELECT id, created_at, status, first_name, last_name, email, telephone, practice_track, payment_method FROM registrations WHERE status = ? ORDER BY created_at DESC').all(status);
-  } else {
-    rows = db.prepare('SELECT id, created_at, status, first_name, last_name, email, telephone, practice_track, payment_method FROM registrations ORDER BY created_at DESC').all();
+app.get('/admin/api/events', requireAdmin, (req, res) => {
+  const rows = db.prepare(`
+    SELECT e.*, (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id) AS registration_count
+    FROM events e ORDER BY e.start_date DESC
+  `).all();
+  res.json({ rows });
+});
+
+app.post('/admin/api/events', requireSuperAdmin, (req, res) => {
+  const { values, error } = parseEventInput(req.body || {});
+  if (error) return res.status(400).json({ message: error });
+  if (getEventBySlug(values.slug)) return res.status(409).json({ message: 'An event with this slug already exists.' });
+
+  const columns = EVENT_FIELDS.concat('created_at');
+  const info = db.prepare(`INSERT INTO events (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`)
+    .run({ ...values, created_at: new Date().toISOString() });
+  res.json({ ok: true, row: getEvent(info.lastInsertRowid) });
+});
+
+app.post('/admin/api/events/:id', requireSuperAdmin, async (req, res) => {
+  const existing = getEvent(req.params.id);
+  if (!existing) return res.status(404).json({ message: 'Not found' });
+
+  const { values, error } = parseEventInput(req.body || {}, existing);
+  if (error) return res.status(400).json({ message: error });
+  const clash = getEventBySlug(values.slug);
+  if (clash && clash.id !== existing.id) return res.status(409).json({ message: 'An event with this slug already exists.' });
+
+  db.prepare(`UPDATE events SET ${EVENT_FIELDS.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+    .run({ ...values, id: existing.id });
+  // Raising a seat limit frees seats for the waitlist
+  for (const track of PRACTICE_TRACKS) await offerWaitlistedSeats(existing.id, track);
+  res.json({ ok: true, row: getEvent(existing.id) });
+});
+
+app.get('/admin/api/events/:id/seats', requireAdmin, (req, res) => {
+  const event = getEvent(req.params.id);
+  if (!event) return res.status(404).json({ message: 'Not found' });
+  res.json({ rows: trackSeats(event) });
+});
+
+// Exact-match filters: query parameter -> column
+const REGISTRATION_EQUALITY_FILTERS = {
+  status: 'r.status',
+  event: 'e.slug',
+  track: 'r.practice_track',
+  payment_method: 'r.payment_method',
+  middle_temple_member: 'r.middle_temple_member',
+  bmts_member_interest: 'r.bmts_member_interest'
+};
+
+// Sortable columns: sort parameter -> ORDER BY expression
+const REGISTRATION_SORTS = {
+  created_at: 'r.created_at',
+  name: 'r.last_name COLLATE NOCASE, r.first_name COLLATE NOCASE',
+  email: 'r.email COLLATE NOCASE',
+  company: 'r.company COLLATE NOCASE',
+  track: 'r.practice_track',
+  status: 'r.status'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function likePattern(term) {
+  return '%' + term.replace(/[\\%_]/g, m => '\\' + m) + '%';
+}
+
+// Filters shared by the admin list and the export, so an export contains exactly what the list shows
+function registrationListFilters(query) {
+  const where = [];
+  const params = [];
+  Object.entries(REGISTRATION_EQUALITY_FILTERS).forEach(([param, column]) => {
+    if (!query[param]) return;
+    where.push(`${column} = ?`);
+    params.push(String(query[param]));
+  });
+
+  if (query.duplicates) where.push("r.duplicate_of IS NOT NULL AND r.status != 'Merged'");
+
+  // Every word has to match the name, email, company, registration ID or payment reference
+  String(query.q || '').trim().split(/\s+/).filter(Boolean).forEach(word => {
+    where.push(`(r.first_name || ' ' || r.last_name LIKE ? ESCAPE '\\' OR r.email LIKE ? ESCAPE '\\'
+      OR r.company LIKE ? ESCAPE '\\' OR r.id LIKE ? ESCAPE '\\' OR r.payment_reference LIKE ? ESCAPE '\\')`);
+    const pattern = likePattern(word);
+    params.push(pattern, pattern, pattern, pattern, pattern);
+  });
+
+  // Submission date range (UTC), inclusive, as YYYY-MM-DD
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.from || ''))) {
+    where.push('r.created_at >= ?');
+    params.push(String(query.from));
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.to || ''))) {
+    where.push(`r.created_at < date(?, '+1 day')`);
+    params.push(String(query.to));
+  }
+  return { where: where.length ? 'WHERE ' + where.join(' AND ') : '', params };
+}
+
+function registrationListOrder(query) {
+  const sort = REGISTRATION_SORTS[query.sort] ? query.sort : 'created_at';
+  const dir = String(query.dir || '').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  // Apply the direction to every column of a multi-column sort, and break ties by ID so pages are stable
+  return 'ORDER BY ' + REGISTRATION_SORTS[sort].split(', ').map(c => `${c} ${dir}`).join(', ') + `, r.id ${dir}`;
+}
+
+app.get('/admin/api/registrations', requireAdmin, (req, res) => {
+  const { where, params } = registrationListFilters(req.query);
+  const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const total = db.prepare(`
+    SELECT COUNT(*) AS n FROM registrations r LEFT JOIN events e ON e.id = r.event_id ${where}
+  `).get(...params).n;
+  const pages = Math.max(Math.ceil(total / pageSize), 1);
+  // A page past the end (e.g. after filtering) falls back to the last page
+  const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pages);
+  const rows = db.prepare(`
+    SELECT r.id, r.created_at, r.status, r.first_name, r.last_name, r.email, r.telephone, r.company, r.practice_track, r.payment_method,
+      r.duplicate_of, r.merged_into, e.slug AS event_slug, e.name AS event_name
+    FROM registrations r
+    LEFT JOIN events e ON e.id = r.event_id
+    ${where}
+    ${registrationListOrder(req.query)}
+    LIMIT ? OFFSET ?
+  `).all(...params, pageSize, (page - 1) * pageSize);
+  res.json({ rows, total, page, page_size: pageSize, pages });
+});
+
+// Export columns in spreadsheet order. `value` derives computed fields; everything else is read from the row by key.
+const EXPORT_COLUMNS = [
+  { key: 'id', label: 'Registration ID' },
+  { key: 'event_name', label: 'Event' },
+  { key: 'created_at', label: 'Submitted', type: 'date' },
+  { key: 'status', label: 'Status' },
+  { key: 'title', label: 'Title' },
+  { key: 'first_name', label: 'First Name' },
+  { key: 'last_name', label: 'Last Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'telephone', label: 'Telephone' },
+  { key: 'company', label: 'Firm / Company' },
+  { key: 'po_box', label: 'P.O. Box' },
+  { key: 'city', label: 'City' },
+  { key: 'practice_track', label: 'Practice Track' },
+  { key: 'middle_temple_member', label: 'Middle Temple Member' },
+  { key: 'bmts_member_interest', label: 'BMTS Member Interest' },
+  { key: 'payment_method', label: 'Payment Method' },
+  { key: 'payment_reference', label: 'Payment Reference' },
+  { key: 'amount_due', label: 'Amount Due', type: 'money' },
+  { key: 'fee_tier', label: 'Fee Tier', value: r => r.fee_tier ? (FEE_TIER_LABELS[r.fee_tier] || r.fee_tier) : null },
+  { key: 'payment_file_name', label: 'Payment Proof File' },
+  { key: 'proof_count', label: 'Proof Uploads' },
+  { key: 'verified_at', label: 'Payment Verified On', type: 'date' },
+  { key: 'confirmed_at', label: 'Confirmed On', type: 'date' },
+  { key: 'cancelled_at', label: 'Cancelled On', type: 'date' },
+  { key: 'last_status_change_at', label: 'Last Status Change', type: 'date' },
+  { key: 'duplicate_of', label: 'Possible Duplicate Of', default: false },
+  { key: 'merged_into', label: 'Merged Into', default: false },
+  { key: 'admin_notes', label: 'Admin Notes', default: false }
+];
+
+function exportColumnValue(column, row) {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined ? null : value;
+}
+
+// A cell starting with one of these is run as a formula by Excel/Sheets when a CSV is opened
+function escapeFormula(value) {
+  return /^[=+\-@\t\r]/.test(value) ? "'" + value : value;
+}
+
+function csvCell(value) {
+  if (value === null) return '';
+  if (typeof value !== 'string') return String(value);
+  const escaped = escapeFormula(value);
+  return /[",\r\n]/.test(escaped) ? '"' + escaped.replace(/"/g, '""') + '"' : escaped;
+}
+
+function buildCsv(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')];
+  rows.forEach(row => lines.push(columns.map(c => csvCell(exportColumnValue(c, row))).join(',')));
+  // BOM so Excel reads the file as UTF-8
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+async function buildXlsx(columns, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Registrations', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(c => ({
+    header: c.label,
+    key: c.key,
+    width: c.type === 'date' ? 20 : Math.max(12, c.label.length + 2),
+    style: c.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : c.type === 'money' ? { numFmt: '#,##0.00' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  // XLSX cells are typed, so text is never evaluated as a formula and needs no escaping
+  rows.forEach(row => {
+    const values = {};
+    columns.forEach(c => {
+      const value = exportColumnValue(c, row);
+      values[c.key] = c.type === 'date' && value ? new Date(value) : value;
+    });
+    sheet.addRow(values);
+  });
+  return workbook.xlsx.writeBuffer();
+}
+
+app.get('/admin/api/registrations/export/columns', requireAdmin, (req, res) => {
+  res.json({ rows: EXPORT_COLUMNS.map(c => ({ key: c.key, label: c.label, default: c.default !== false })) });
+});
+
+app.get('/admin/api/registrations/export', requireAdmin, async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ message: 'Format must be csv or xlsx.' });
+
+  let columns = EXPORT_COLUMNS.filter(c => c.default !== false);
+  if (req.query.columns) {
+    const keys = String(req.query.columns).split(',').map(k => k.trim()).filter(Boolean);
+    const unknown = keys.filter(k => !EXPORT_COLUMNS.some(c => c.key === k));
+    if (unknown.length) return res.status(400).json({ message: `Unknown columns: ${unknown.join(', ')}` });
+    columns = keys.map(k => EXPORT_COLUMNS.find(c => c.key === k));
+  }
+  if (!columns.length) return res.status(400).json({ message: 'Choose at least one column.' });
+
+  const { where, params } = registrationListFilters(req.query);
+  const rows = db.prepare(`
+    SELECT r.*, e.slug AS event_slug, e.name AS event_name,
+      (SELECT COUNT(*) FROM payment_proofs p WHERE p.registration_id = r.id) AS proof_count,
+      (SELECT MIN(created_at) FROM registration_events h WHERE h.registration_id = r.id AND h.action = 'status_change' AND h.new_status = 'Payment Verified') AS verified_at,
+      (SELECT MIN(created_at) FROM registration_events h WHERE h.registration_id = r.id AND h.action = 'status_change' AND h.new_status = 'Confirmed') AS confirmed_at,
+      (SELECT MAX(created_at) FROM registration_events h WHERE h.registration_id = r.id AND h.action = 'status_change' AND h.new_status = 'Cancelled') AS cancelled_at,
+      (SELECT MAX(created_at) FROM registration_events h WHERE h.registration_id = r.id AND h.action = 'status_change') AS last_status_change_at
+    FROM registrations r
+    LEFT JOIN events e ON e.id = r.event_id
+    ${where}
+    ${registrationListOrder(req.query)}
+  `).all(...params);
+
+  const filename = `registrations-${sanitize(String(req.query.event || 'all'))}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  console.log(`[Export] ${req.adminUser} exported ${rows.length} registrations as ${format}`);
+  try {
+    if (format === 'xlsx') {
+      const buffer = await buildXlsx(columns, rows);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(Buffer.from(buffer));
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buildCsv(columns, rows));
+  } catch (err) {
+    console.error('[Export] Failed:', err.message);
+    res.status(500).json({ message: 'Export failed.' });
+  }
+});
+
+// Figures for the committee, for one event or all of them. Merged duplicates are left out so no one is
+// counted twice. Days are UTC, like the export's date filters.
+const STATS_STUCK_DAYS = 7;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+app.get('/admin/api/stats', requireAdmin, (req, res) => {
+  const slug = String(req.query.event || '');
+  const event = slug ? getEventBySlug(slug) : null;
+  if (slug && !event) return res.status(404).json({ message: 'Unknown event.' });
+  const stuckDays = Math.max(parseInt(req.query.stuck_days, 10) || STATS_STUCK_DAYS, 1);
+
+  const scope = event ? "r.status != 'Merged' AND r.event_id = ?" : "r.status != 'Merged'";
+  const scopeParams = event ? [event.id] : [];
+  // pending_since is the last move into Pending Verification, whatever made it: an admin, a proof upload or
+  // corrected contact details
+  const rows = db.prepare(`
+    SELECT r.id, r.created_at, r.status, r.title, r.first_name, r.last_name, r.email, r.practice_track, r.payment_method,
+      r.middle_temple_member, r.bmts_member_interest, r.amount_due, r.fee_tier, r.payment_reference,
+      (SELECT MIN(created_at) FROM registration_events h WHERE h.registration_id = r.id AND h.action = 'status_change' AND h.new_status = 'Payment Verified') AS verified_at,
+      (SELECT MAX(created_at) FROM registration_events h WHERE h.registration_id = r.id AND h.new_status = 'Pending Verification'
+        AND COALESCE(h.old_status, '') != 'Pending Verification') AS pending_since
+    FROM registrations r
+    WHERE ${scope}
+    ORDER BY r.created_at
+  `).all(...scopeParams);
+
+  // Each answer with how many registrations gave it, most common first
+  const countBy = key => {
+    const counts = new Map();
+    rows.forEach(r => counts.set(r[key] || '', (counts.get(r[key] || '') || 0) + 1));
+    return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  };
+
+  const perDay = [];
+  rows.forEach(r => {
+    const day = r.created_at.slice(0, 10);
+    let last = perDay[perDay.length - 1];
+    if (!last || last.day !== day) {
+      last = { day, count: 0, early_bird: 0, regular: 0, cumulative: last ? last.cumulative : 0 };
+      perDay.push(last);
+    }
+    last.count += 1;
+    last.cumulative += 1;
+    if (r.fee_tier === 'early_bird') last.early_bird += 1;
+    else last.regular += 1;
+  });
+
+  // Expected is what registrations holding a seat owe; verified is the part of it already confirmed as paid
+  const sum = list => Math.round(list.reduce((total, r) => total + (r.amount_due || 0), 0) * 100) / 100;
+  const owing = rows.filter(r => SEAT_HOLDING_STATUSES.includes(r.status));
+  const verified = sum(owing.filter(r => PAID_STATUSES.includes(r.status)));
+  const refunded = db.prepare(`
+    SELECT COALESCE(SUM(c.amount_refunded), 0) FROM card_payments c JOIN registrations r ON r.id = c.registration_id WHERE ${scope}
+  `).pluck().get(...scopeParams);
+
+  const hoursToVerify = rows.filter(r => r.verified_at).map(r => (new Date(r.verified_at) - new Date(r.created_at)) / 3600000);
+  const medianHours = median(hoursToVerify);
+
+  const now = Date.now();
+  const stuck = rows
+    .filter(r => r.status === 'Pending Verification')
+    .map(r => {
+      const since = r.pending_since && r.pending_since > r.created_at ? r.pending_since : r.created_at;
+      return {
+        id: r.id,
+        name: `${r.title || ''} ${r.first_name || ''} ${r.last_name || ''}`.trim(),
+        email: r.email,
+        payment_method: r.payment_method,
+        payment_reference: r.payment_reference,
+        amount_due: r.amount_due,
+        created_at: r.created_at,
+        pending_since: since,
+        days_pending: Math.floor((now - new Date(since)) / 86400000)
+      };
+    })
+    .filter(r => r.days_pending >= stuckDays)
+    .sort((a, b) => a.pending_since.localeCompare(b.pending_since));
+
+  res.json({
+    event: event ? event.slug : null,
+    generated_at: new Date().toISOString(),
+    total: rows.length,
+    merged: db.prepare(`SELECT COUNT(*) FROM registrations r WHERE r.status = 'Merged'${event ? ' AND r.event_id = ?' : ''}`).pluck().get(...scopeParams),
+    per_day: perDay,
+    by_fee_tier: countBy('fee_tier').map(t => ({ ...t, label: FEE_TIER_LABELS[t.value] || 'No fee' })),
+    by_status: countBy('status'),
+    by_track: countBy('practice_track'),
+    by_payment_method: countBy('payment_method'),
+    by_middle_temple_member: countBy('middle_temple_member'),
+    by_bmts_member_interest: countBy('bmts_member_interest'),
+    revenue: {
+      expected: sum(owing),
+      verified,
+      outstanding: Math.round((sum(owing) - verified) * 100) / 100,
+      refunded,
+      waitlisted: sum(rows.filter(r => r.status === 'Waitlisted')),
+      // Registrations made before fees were set up have no amount and aren't in the totals
+      without_amount: owing.filter(r => r.amount_due === null).length
+    },
+    verification: {
+      verified_count: hoursToVerify.length,
+      median_hours: medianHours === null ? null : Math.round(medianHours * 10) / 10
+    },
+    stuck_days: stuckDays,
+    stuck
+  });
+});
+
+app.get('/admin/api/registration/:id', requireAdmin, (req, res) => {
+  const id = req.params.id;
+  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
+  if (!row) return res.status(404).json({ message: 'Not found' });
+  const history = db.prepare('SELECT * FROM registration_events WHERE registration_id = ? ORDER BY created_at, id').all(id);
+  res.json({
+    row,
+    event: getEvent(row.event_id) || null,
+    history,
+    allowed_statuses: STATUS_TRANSITIONS[row.status] || [],
+    duplicates: row.status === 'Merged' ? [] : findDuplicateRegistrations(row.event_id, row, row.id),
+    merged: db.prepare('SELECT id, created_at, status, first_name, last_name, email, merged_at FROM registrations WHERE merged_into = ? ORDER BY created_at').all(id)
+  });
+});
+
+// Merge duplicates into this registration; body: { ids: [...] }
+app.post('/admin/api/registration/:id/merge', requireVerifier, async (req, res) => {
+  const survivor = db.prepare('SELECT * FROM registrations WHERE id = ?').get(req.params.id);
+  if (!survivor) return res.status(404).json({ message: 'Not found' });
+  if (survivor.status === 'Merged') return res.status(400).json({ message: 'This registration has already been merged into another one.' });
+
+  const ids = Array.isArray(req.body && req.body.ids) ? req.body.ids.map(String) : [];
+  if (!ids.length) return res.status(400).json({ message: 'Choose at least one registration to merge.' });
+  const sources = [];
+  for (const sourceId of new Set(ids)) {
+    const source = db.prepare('SELECT * FROM registrations WHERE id = ?').get(sourceId);
+    if (!source) return res.status(404).json({ message: `Registration ${sourceId} not found.` });
+    if (source.id === survivor.id) return res.status(400).json({ message: 'A registration cannot be merged into itself.' });
+    if (source.event_id !== survivor.event_id) return res.status(400).json({ message: 'Only registrations for the same event can be merged.' });
+    if (source.status === 'Merged') return res.status(400).json({ message: `Registration ${source.id} has already been merged.` });
+    sources.push(source);
+  }
+
+  mergeRegistrations(survivor, sources, req.adminUser);
+  console.log(`[Duplicates] ${req.adminUser} merged ${sources.map(r => r.id).join(', ')} into ${survivor.id}`);
+  // Merged duplicates give up the seats they held
+  for (const track of new Set(sources.map(r => r.practice_track))) await offerWaitlistedSeats(survivor.event_id, track);
+  res.json({ ok: true });
+});
+
+// Email delivery log
+const EMAIL_LOG_COLUMNS = 'o.id, o.created_at, o.registration_id, o.to_address, o.subject, o.status, o.attempts, o.next_attempt_at, o.last_error, o.sent_at, o.resent_from, o.broadcast_id';
+
+app.get('/admin/api/registration/:id/emails', requireAdmin, (req, res) => {
+  const rows = db.prepare(`SELECT ${EMAIL_LOG_COLUMNS} FROM email_outbox o WHERE o.registration_id = ? ORDER BY o.created_at DESC, o.id DESC`).all(req.params.id);
+  res.json({ rows });
+});
+
+// Emails across all registrations, e.g. ?status=failed for the failed-email view
+app.get('/admin/api/emails', requireAdmin, (req, res) => {
+  const status = req.query.status ? String(req.query.status) : null;
+  const rows = db.prepare(`
+    SELECT ${EMAIL_LOG_COLUMNS}, r.first_name, r.last_name
+    FROM email_outbox o LEFT JOIN registrations r ON r.id = o.registration_id
+    ${status ? 'WHERE o.status = ?' : ''}
+    ORDER BY o.created_at DESC, o.id DESC LIMIT 200
+  `).all(...(status ? [status] : []));
+  res.json({ rows });
+});
+
+// Queue a fresh copy of an email; the original stays in the log
+app.post('/admin/api/emails/:id/resend', requireVerifier, (req, res) => {
+  const email = db.prepare('SELECT * FROM email_outbox WHERE id = ?').get(req.params.id);
+  if (!email) return res.status(404).json({ message: 'Not found' });
+
+  const id = queueEmail(email.to_address, email.subject, email.text_body, {
+    html: email.html_body, registrationId: email.registration_id, resentFrom: email.id,
+    attachments: email.attachments ? JSON.parse(email.attachments) : null
+  });
+  if (email.registration_id) {
+    logRegistrationEvent(email.registration_id, { actorType: 'admin', actor: req.adminUser, action: 'email_resent', emailSent: email.subject });
+  }
+  console.log(`[Email] ${req.adminUser} resent email ${email.id} to ${email.to_address}`);
+  res.json({ ok: true, id });
+});
+
+// Email templates
+function emailTemplateVariables(name) {
+  return [...EMAIL_VARIABLES, ...Object.keys(EMAIL_TEMPLATES[name].variables)];
+}
+
+// The edited copy in a request body, with any part left out taken from the current template
+function templateFromBody(name, body) {
+  const current = loadEmailTemplate(name);
+  const part = (value, fallback) => (typeof value === 'string' ? value : fallback);
+  return {
+    subject: part(body.subject, current.subject),
+    text: part(body.text, current.text),
+    html: part(body.html, current.html)
+  };
+}
+
+function templateProblems(name, template) {
+  const errors = [];
+  if (!template.subject.trim()) errors.push('Subject is required.');
+  if (!template.text.trim()) errors.push('Plain-text version is required.');
+  if (!template.html.trim()) errors.push('HTML version is required.');
+  const allowed = emailTemplateVariables(name);
+  for (const part of ['subject', 'text', 'html']) errors.push(...templateErrors(template[part], allowed));
+  return [...new Set(errors)];
+}
+
+// Variables for previews and test sends: a real registration, sample values for the rest, and dummy
+// portal and ticket links so a test email never carries a working link to someone's registration
+function previewVariables(name, registrationId) {
+  const row = registrationId
+    ? db.prepare('SELECT * FROM registrations WHERE id = ?').get(registrationId)
+    : db.prepare("SELECT * FROM registrations WHERE status != 'Merged' ORDER BY created_at DESC LIMIT 1").get();
+  if (!row) return null;
+  return {
+    ...emailVariables(row, getEvent(row.event_id)),
+    ...EMAIL_TEMPLATES[name].variables,
+    portal_url: `${SITE_URL}/portal.html?token=preview`,
+    ticket_url: `${SITE_URL}/ticket.html?token=preview`
+  };
+}
+
+function findEmailTemplate(req, res) {
+  if (!Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, req.params.name)) {
+    res.status(404).json({ message: 'Not found' });
+    return null;
+  }
+  return req.params.name;
+}
+
+app.get('/admin/api/email-templates', requireAdmin, (req, res) => {
+  const custom = Object.fromEntries(db.prepare('SELECT name, updated_at, updated_by FROM email_templates').all().map(r => [r.name, r]));
+  res.json(Object.entries(EMAIL_TEMPLATES).map(([name, t]) => ({
+    name,
+    label: t.label,
+    audience: t.audience,
+    customised: Boolean(custom[name]),
+    updated_at: custom[name] ? custom[name].updated_at : null,
+    updated_by: custom[name] ? custom[name].updated_by : null
+  })));
+});
+
+app.get('/admin/api/email-templates/:name', requireAdmin, (req, res) => {
+  const name = findEmailTemplate(req, res);
+  if (!name) return;
+  const custom = db.prepare('SELECT updated_at, updated_by FROM email_templates WHERE name = ?').get(name);
+  res.json({
+    name,
+    label: EMAIL_TEMPLATES[name].label,
+    audience: EMAIL_TEMPLATES[name].audience,
+    variables: emailTemplateVariables(name),
+    ...loadEmailTemplate(name),
+    customised: Boolean(custom),
+    updated_at: custom ? custom.updated_at : null,
+    updated_by: custom ? custom.updated_by : null,
+    default: defaultEmailTemplate(name)
+  });
+});
+
+app.post('/admin/api/email-templates/:name', requireSuperAdmin, (req, res) => {
+  const name = findEmailTemplate(req, res);
+  if (!name) return;
+  const template = templateFromBody(name, req.body || {});
+  const errors = templateProblems(name, template);
+  if (errors.length) return res.status(400).json({ message: errors[0], errors });
+
+  db.prepare(`
+    INSERT INTO email_templates (name, subject, text_body, html_body, updated_at, updated_by) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET subject = excluded.subject, text_body = excluded.text_body, html_body = excluded.html_body,
+      updated_at = excluded.updated_at, updated_by = excluded.updated_by
+  `).run(name, template.subject, template.text, template.html, new Date().toISOString(), req.adminUser);
+  console.log(`[Email Templates] ${req.adminUser} updated '${name}'`);
+  res.json({ ok: true });
+});
+
+// Drop the edited copy and go back to the template shipped in templates/emails
+app.post('/admin/api/email-templates/:name/reset', requireSuperAdmin, (req, res) => {
+  const name = findEmailTemplate(req, res);
+  if (!name) return;
+  db.prepare('DELETE FROM email_templates WHERE name = ?').run(name);
+  console.log(`[Email Templates] ${req.adminUser} reset '${name}' to the default`);
+  res.json({ ok: true });
+});
+
+// Render the saved template, or an unsaved draft sent in the body, against a registration
+// (the most recent one when registration_id is left out)
+app.post('/admin/api/email-templates/:name/preview', requireAdmin, (req, res) => {
+  const name = findEmailTemplate(req, res);
+  if (!name) return;
+  const body = req.body || {};
+  const template = templateFromBody(name, body);
+  const errors = templateProblems(name, template);
+  if (errors.length) return res.status(400).json({ message: errors[0], errors });
+
+  const vars = previewVariables(name, body.registration_id);
+  if (!vars) return res.status(404).json({ message: body.registration_id ? 'Registration not found.' : 'There are no registrations to preview against yet.' });
+  res.json({ registration_id: vars.registration_id, ...renderEmail(name, vars, template, { documents: false }) });
+});
+
+// Send the rendered template to the signed-in admin, or to the address given
+app.post('/admin/api/email-templates/:name/test', requireSuperAdmin, (req, res) => {
+  const name = findEmailTemplate(req, res);
+  if (!name) return;
+  const body = req.body || {};
+  const to = String(body.to || req.admin.email || '').trim();
+  if (!to) return res.status(400).json({ message: 'Enter an address to send the test to, or add an email address to your admin account.' });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) return res.status(400).json({ message: 'Enter a valid email address.' });
+
+  const template = templateFromBody(name, body);
+  const errors = templateProblems(name, template);
+  if (errors.length) return res.status(400).json({ message: errors[0], errors });
+
+  const vars = previewVariables(name, body.registration_id);
+  if (!vars) return res.status(404).json({ message: body.registration_id ? 'Registration not found.' : 'There are no registrations to preview against yet.' });
+  const email = renderEmail(name, vars, template, { documents: false });
+  const id = queueEmail(to, `[Test] ${email.subject}`, email.text, { html: email.html, attachments: email.attachments });
+  console.log(`[Email Templates] ${req.adminUser} sent a test of '${name}' to ${to}`);
+  res.json({ ok: true, id, to });
+});
+
+// Broadcasts: an announcement to every registration in a segment (event, statuses, tracks, member flags).
+// Each recipient gets their own copy through the outbox, personalised with the same placeholders as the
+// email templates and spread out to BROADCAST_RATE_PER_MINUTE so a big send doesn't trip SMTP limits.
+const BROADCAST_RATE_PER_MINUTE = parseInt(process.env.BROADCAST_RATE_PER_MINUTE || '20', 10);
+const BROADCAST_DIR = path.join(UPLOAD_DIR, 'broadcasts');
+const BROADCAST_ATTACHMENT_TYPES = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.jpg', '.jpeg', '.png', '.txt'];
+const MAX_BROADCAST_ATTACHMENTS = 5;
+fs.mkdirSync(BROADCAST_DIR, { recursive: true });
+
+const broadcastUpload = multer({
+  storage: multer.diskStorage({
+    destination: BROADCAST_DIR,
+    filename: function (req, file, cb) {
+      const safe = sanitize(file.originalname || 'attachment') || 'attachment';
+      cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safe}`);
+    }
+  }),
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_BROADCAST_ATTACHMENTS },
+  fileFilter: function (req, file, cb) {
+    if (BROADCAST_ATTACHMENT_TYPES.includes(path.extname(file.originalname || '').toLowerCase())) cb(null, true);
+    else cb(new Error(`Attachments must be one of: ${BROADCAST_ATTACHMENT_TYPES.join(', ')}.`));
+  }
+});
+
+// Repeated form fields arrive as arrays, single ones as strings
+function listParam(value) {
+  return (Array.isArray(value) ? value : [value]).map(v => String(v || '').trim()).filter(Boolean);
+}
+
+// Returns { segment } or { error }. With no statuses picked, every active registration (not cancelled or merged) is included
+function parseSegment(input) {
+  const segment = {
+    event: String(input.event || '').trim(),
+    statuses: listParam(input.status),
+    tracks: listParam(input.track),
+    middle_temple_member: String(input.middle_temple_member || '').trim(),
+    bmts_member_interest: String(input.bmts_member_interest || '').trim()
+  };
+  if (segment.event && !getEventBySlug(segment.event)) return { error: 'Unknown event.' };
+  const badStatus = segment.statuses.find(st => !STATUSES.includes(st) || st === 'Merged');
+  if (badStatus) return { error: `Invalid status: ${badStatus}.` };
+  const badTrack = segment.tracks.find(t => !PRACTICE_TRACKS.includes(t));
+  if (badTrack) return { error: `Invalid track: ${badTrack}.` };
+  for (const flag of ['middle_temple_member', 'bmts_member_interest']) {
+    if (segment[flag] && !['Yes', 'No'].includes(segment[flag])) return { error: `${flag} must be Yes or No.` };
+  }
+  return { segment };
+}
+
+function segmentRecipients(segment) {
+  const statuses = segment.statuses.length ? segment.statuses : STATUSES.filter(st => st !== 'Cancelled' && st !== 'Merged');
+  const where = [`r.status IN (${statuses.map(() => '?').join(', ')})`];
+  const params = [...statuses];
+  if (segment.event) {
+    where.push('e.slug = ?');
+    params.push(segment.event);
+  }
+  if (segment.tracks.length) {
+    where.push(`r.practice_track IN (${segment.tracks.map(() => '?').join(', ')})`);
+    params.push(...segment.tracks);
+  }
+  for (const flag of ['middle_temple_member', 'bmts_member_interest']) {
+    if (!segment[flag]) continue;
+    where.push(`r.${flag} = ?`);
+    params.push(segment[flag]);
+  }
+  return db.prepare(`
+    SELECT r.* FROM registrations r LEFT JOIN events e ON e.id = r.event_id
+    WHERE ${where.join(' AND ')} ORDER BY r.created_at
+  `).all(...params);
+}
+
+// Plain text to simple HTML: blank lines separate paragraphs, single line breaks are kept
+function textToHtml(text) {
+  return String(text).trim().split(/\r?\n\s*\r?\n/)
+    .map(para => `<p>${escapeHtml(para).replace(/\r?\n/g, '<br>\n')}</p>`)
+    .join('\n');
+}
+
+function broadcastTemplate(subject, body) {
+  return { subject, text: body, html: textToHtml(body) };
+}
+
+// Checks the message half of a broadcast request; returns an error message or null
+function broadcastMessageError(subject, body) {
+  if (!subject.trim()) return 'Subject is required.';
+  if (!body.trim()) return 'Message is required.';
+  const errors = [...templateErrors(subject, EMAIL_VARIABLES), ...templateErrors(body, EMAIL_VARIABLES)];
+  return errors.length ? errors[0] : null;
+}
+
+function renderBroadcast(template, registration) {
+  return renderWithLayout(template, emailVariables(registration, getEvent(registration.event_id)), { registrant: true });
+}
+
+// Recipient count for a segment, with a sample of who's in it and, if a message is given, how the first one will look
+app.post('/admin/api/broadcasts/preview', requireAdmin, (req, res) => {
+  const body = req.body || {};
+  const { segment, error } = parseSegment(body);
+  if (error) return res.status(400).json({ message: error });
+
+  const recipients = segmentRecipients(segment);
+  const result = {
+    count: recipients.length,
+    sample: recipients.slice(0, 10).map(r => ({ id: r.id, name: `${r.first_name} ${r.last_name}`, email: r.email, status: r.status }))
+  };
+
+  const subject = String(body.subject || '');
+  const message = String(body.body || '');
+  if (recipients.length && subject.trim() && message.trim()) {
+    const messageError = broadcastMessageError(subject, message);
+    if (messageError) return res.status(400).json({ message: messageError });
+    result.email = renderBroadcast(broadcastTemplate(subject, message), recipients[0]);
+  }
+  res.json(result);
+});
+
+app.post('/admin/api/broadcasts', requireSuperAdmin, (req, res, next) => {
+  broadcastUpload.array('attachments', MAX_BROADCAST_ATTACHMENTS)(req, res, err => {
+    if (err) return res.status(400).json({ message: err.code === 'LIMIT_FILE_SIZE' ? 'Attachments must be 10MB or smaller.' : err.message });
+    next();
+  });
+}, (req, res) => {
+  const body = req.body || {};
+  const files = req.files || [];
+  const reject = (status, message) => {
+    files.forEach(f => fs.unlink(f.path, () => {}));
+    return res.status(status).json({ message });
+  };
+
+  const { segment, error } = parseSegment(body);
+  if (error) return reject(400, error);
+  const subject = String(body.subject || '');
+  const message = String(body.body || '');
+  const messageError = broadcastMessageError(subject, message);
+  if (messageError) return reject(400, messageError);
+
+  const recipients = segmentRecipients(segment);
+  if (!recipients.length) return reject(400, 'No registrations match this segment.');
+  // The admin confirmed a count from the preview; don't send if the segment has changed since
+  if (body.expected_count !== undefined && Number(body.expected_count) !== recipients.length) {
+    return reject(409, `The segment now has ${recipients.length} recipients, not ${body.expected_count}. Preview it again before sending.`);
+  }
+
+  const attachments = files.map(f => ({ filename: f.originalname, path: f.path, contentType: f.mimetype }));
+  const template = broadcastTemplate(subject, message);
+  const intervalMs = 60000 / Math.max(BROADCAST_RATE_PER_MINUTE, 1);
+
+  const broadcastId = db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO broadcasts (created_at, created_by, subject, body, segment, attachments, recipient_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(new Date().toISOString(), req.adminUser, subject, message, JSON.stringify(segment),
+      attachments.length ? JSON.stringify(attachments) : null, recipients.length);
+
+    // Start after any broadcast email still waiting, so two broadcasts together keep to the same rate
+    const queuedUntil = db.prepare("SELECT MAX(next_attempt_at) AS t FROM email_outbox WHERE broadcast_id IS NOT NULL AND status = 'pending'").get().t;
+    const start = Math.max(Date.now(), queuedUntil ? new Date(queuedUntil).getTime() + intervalMs : 0);
+
+    recipients.forEach((r, i) => {
+      const email = renderBroadcast(template, r);
+      queueEmail(r.email, email.subject, email.text, {
+        html: email.html,
+        registrationId: r.id,
+        attachments,
+        broadcastId: info.lastInsertRowid,
+        sendAt: new Date(start + i * intervalMs).toISOString()
+      });
+      logRegistrationEvent(r.id, {
+        actorType: 'admin', actor: req.adminUser, action: 'broadcast', notes: `Broadcast #${info.lastInsertRowid}`, emailSent: email.subject
+      });
+    });
+    return info.lastInsertRowid;
+  })();
+
+  console.log(`[Broadcast] ${req.adminUser} queued broadcast ${broadcastId} '${subject}' to ${recipients.length} registrations`);
+  res.json({ ok: true, id: broadcastId, recipients: recipients.length });
+});
+
+const BROADCAST_COLUMNS = `
+  b.id, b.created_at, b.created_by, b.subject, b.segment, b.attachments, b.recipient_count,
+  (SELECT COUNT(*) FROM email_outbox o WHERE o.broadcast_id = b.id AND o.status = 'sent') AS sent,
+  (SELECT COUNT(*) FROM email_outbox o WHERE o.broadcast_id = b.id AND o.status = 'failed') AS failed
+`;
+
+function broadcastView(row) {
+  return {
+    ...row,
+    segment: JSON.parse(row.segment),
+    attachments: row.attachments ? JSON.parse(row.attachments).map(a => a.filename) : []
+  };
+}
+
+app.get('/admin/api/broadcasts', requireAdmin, (req, res) => {
+  const rows = db.prepare(`SELECT ${BROADCAST_COLUMNS} FROM broadcasts b ORDER BY b.id DESC LIMIT 100`).all();
+  res.json({ rows: rows.map(broadcastView) });
+});
+
+app.get('/admin/api/broadcasts/:id', requireAdmin, (req, res) => {
+  const row = db.prepare(`SELECT ${BROADCAST_COLUMNS}, b.body FROM broadcasts b WHERE b.id = ?`).get(req.params.id);
+  if (!row) return res.status(404).json({ message: 'Not found' });
+  const recipients = db.prepare(`
+    SELECT o.id AS email_id, o.registration_id, o.to_address, o.status, o.attempts, o.next_attempt_at, o.sent_at, o.last_error,
+      r.first_name, r.last_name
+    FROM email_outbox o LEFT JOIN registrations r ON r.id = o.registration_id
+    WHERE o.broadcast_id = ? ORDER BY o.id
+  `).all(row.id);
+  res.json({ ...broadcastView(row), recipients });
+});
+
+// Clear the duplicate flag when the admin has checked it's a different person or a genuine second booking
+app.post('/admin/api/registration/:id/not-duplicate', requireVerifier, (req, res) => {
+  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(req.params.id);
+  if (!row) return res.status(404).json({ message: 'Not found' });
+  if (!row.duplicate_of) return res.json({ ok: true });
+
+  db.transaction(() => {
+    db.prepare('UPDATE registrations SET duplicate_of = NULL, updated_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    logRegistrationEvent(row.id, {
+      actorType: 'admin', actor: req.adminUser, action: 'duplicate_dismissed', oldStatus: row.status, newStatus: row.status,
+      notes: `Not a duplicate of ${row.duplicate_of}`
+    });
+  })();
+  res.json({ ok: true });
+});
+
+app.post('/admin/api/registration/:id/status', requireVerifier, async (req, res) => {
+  const id = req.params.id;
+  const status = (req.body && req.body.status) ? String(req.body.status) : '';
+  const notes = (req.body && req.body.admin_notes) ? String(req.body.admin_notes) : '';
+
+  if (!STATUSES.includes(status)) return res.status(400).json({ message: 'Invalid status' });
+
+  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
+  if (!row) return res.status(404).json({ message: 'Not found' });
+
+  if (!canTransition(row.status, status)) {
+    return res.status(409).json({
+      message: `Cannot change status from ${row.status} to ${status}.`,
+      allowed: STATUS_TRANSITIONS[row.status] || []
+    });
+  }
+
+  await changeRegistrationStatus(row, status, { notes, actorType: 'admin', actor: req.adminUser });
+
+  res.json({ ok: true });
+});
+
+// Apply one status change to many registrations at once, e.g. verifying a batch of payments from a bank statement.
+// All changes are made in a single transaction; a registration that can't move (not found, transition not allowed)
+// is skipped and reported without affecting the others. Blank notes leave each registration's own notes alone.
+const MAX_BULK_IDS = 500;
+
+app.post('/admin/api/registrations/bulk-status', requireVerifier, async (req, res) => {
+  const body = req.body || {};
+  const ids = [...new Set((Array.isArray(body.ids) ? body.ids : []).map(String))];
+  const status = body.status ? String(body.status) : '';
+  const notes = body.admin_notes ? String(body.admin_notes) : null;
+
+  if (!ids.length) return res.status(400).json({ message: 'Select at least one registration.' });
+  if (ids.length > MAX_BULK_IDS) return res.status(400).json({ message: `Select at most ${MAX_BULK_IDS} registrations at a time.` });
+  if (!STATUSES.includes(status)) return res.status(400).json({ message: 'Invalid status' });
+
+  const results = [];
+  const emails = [];
+  db.transaction(() => {
+    for (const id of ids) {
+      const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
+      if (!row) {
+        results.push({ id, ok: false, message: 'Not found' });
+        continue;
+      }
+      if (!canTransition(row.status, status)) {
+        results.push({ id, ok: false, old_status: row.status, message: `Cannot change status from ${row.status} to ${status}.` });
+        continue;
+      }
+      // Each row gets its own savepoint, so an error rolls back just that registration
+      try {
+        const emailTemplate = recordStatusChange(row, status, { notes, actorType: 'admin', actor: req.adminUser });
+        if (emailTemplate) emails.push({ row, emailTemplate });
+        results.push({ id, ok: true, old_status: row.status, status, email_sent: emailTemplate ? emailTemplate.subject : null });
+      } catch (err) {
+        console.error(`[Bulk] Failed to update ${id}:`, err.message);
+        results.push({ id, ok: false, old_status: row.status, message: 'Could not update this registration.' });
+      }
+    }
+  })();
+
+  for (const { row, emailTemplate } of emails) {
+    queueEmail(row.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: row.id, attachments: emailTemplate.attachments });
+  }
+
+  // Seats freed by cancellations go to the waitlist, once per track
+  if (status === 'Cancelled') {
+    const tracks = new Map(emails.map(({ row }) => [`${row.event_id}|${row.practice_track}`, row]));
+    for (const row of tracks.values()) await offerWaitlistedSeats(row.event_id, row.practice_track);
+  }
+
+  const updated = results.filter(r => r.ok).length;
+  console.log(`[Bulk] ${req.adminUser} moved ${updated} of ${ids.length} registrations to ${status}`);
+  res.json({ ok: true, updated, failed: ids.length - updated, results });
+});
+
+// Every proof submitted for a registration, newest first
+app.get('/admin/api/registration/:id/payment-proof', requireAdmin, (req, res) => {
+  const id = req.params.id;
+  const row = db.prepare('SELECT id FROM registrations WHERE id = ?').get(id);
+  if (!row) return res.status(404).json({ message: 'Not found' });
+
+  const proofs = db.prepare(`
+    SELECT id, uploaded_at, original_name, mimetype, size, sha256, uploaded_by_type, uploaded_by, merged_from, file_path
+    FROM payment_proofs WHERE registration_id = ? ORDER BY uploaded_at DESC, id DESC
+  `).all(id);
+  const rows = proofs.map((p, i) => {
+    const { file_path, ...proof } = p;
+    return { ...proof, version: proofs.length - i, file_exists: fs.existsSync(file_path), reused_by: proofReusedBy(p.sha256, id) };
+  });
+  res.json({ rows });
+});
+
+app.get('/admin/api/registration/:id/payment-proof/:proofId', requireAdmin, (req, res) => {
+  const proof = db.prepare('SELECT * FROM payment_proofs WHERE id = ? AND registration_id = ?').get(req.params.proofId, req.params.id);
+  if (!proof) return res.status(404).send('Not found');
+  if (!fs.existsSync(proof.file_path)) return res.status(404).send('File missing');
+  res.download(proof.file_path, proof.original_name || path.basename(proof.file_path));
+});
+
+// Upload a proof on the registrant's behalf (e.g. one they emailed to the committee)
+app.post('/admin/api/registration/:id/payment-proof', requireVerifier, (req, res, next) => {
+  if (!db.prepare('SELECT 1 FROM registrations WHERE id = ?').get(req.params.id)) return res.status(404).json({ message: 'Not found' });
+  req._reg_id = req.params.id;
+  next();
+}, acceptProofUpload, (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'Please choose a payment proof to upload.' });
+  if (!acceptUploadedProof(req.file)) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ message: 'That file is not a genuine PDF, JPG or PNG.' });
+  }
+
+  const proofId = recordPaymentProof(req.params.id, req.file, 'admin', req.adminUser);
+  logRegistrationEvent(req.params.id, { actorType: 'admin', actor: req.adminUser, action: 'proof_uploaded', notes: req.file.originalname || req.file.filename });
+  flagReusedProof(req.params.id, proofId);
+  res.json({ ok: true, id: proofId });
+});
+
+// Upload housekeeping: a periodic sweep deletes files in UPLOAD_DIR that nothing refers to (e.g. left by a
+// request that failed part-way), and the integrity report lists those files, registrations whose proof is
+// missing from disk, proofs sent for more than one registration and stored proofs that fail the content check
+const UPLOAD_SWEEP_INTERVAL = parseInt(process.env.UPLOAD_SWEEP_INTERVAL || '86400000', 10); // Default: daily
+// Uploads are written before the registration that refers to them, so recent files are never swept
+const ORPHAN_GRACE_MS = 24 * 3600 * 1000;
+
+// Stored file names are unique (a UUID or random part and a timestamp), so references are compared by name.
+// That also matches paths stored relative to a different working directory.
+function referencedUploadNames() {
+  const names = new Set();
+  db.prepare("SELECT payment_file_path AS p FROM registrations WHERE payment_file_path IS NOT NULL AND payment_file_path != '' UNION SELECT file_path FROM payment_proofs")
+    .all().forEach(r => names.add(path.basename(r.p)));
+  db.prepare('SELECT attachments FROM broadcasts WHERE attachments IS NOT NULL UNION ALL SELECT attachments FROM email_outbox WHERE attachments IS NOT NULL')
+    .all().forEach(r => {
+      try {
+        JSON.parse(r.attachments).forEach(a => { if (a && a.path) names.add(path.basename(a.path)); });
+      } catch (err) {
+        // Not a file list
+      }
+    });
+  return names;
+}
+
+function findOrphanedUploads() {
+  const referenced = referencedUploadNames();
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  return listUploadFiles()
+    .filter(rel => !path.basename(rel).startsWith('.') && !referenced.has(path.basename(rel)))
+    .map(rel => {
+      const stat = fs.statSync(path.join(UPLOAD_DIR, rel));
+      return { file: rel, size: stat.size, modified_at: stat.mtime.toISOString(), deletable: stat.mtimeMs < cutoff };
+    });
+}
+
+function sweepOrphanedUploads() {
+  const deleted = findOrphanedUploads().filter(f => f.deletable);
+  deleted.forEach(f => {
+    fs.unlinkSync(path.join(UPLOAD_DIR, f.file));
+    console.log(`[Uploads] Deleted orphaned file ${f.file}`);
+  });
+  return deleted;
+}
+
+function startUploadSweep() {
+  if (!(UPLOAD_SWEEP_INTERVAL > 0)) return;
+  const sweep = () => {
+    try {
+      sweepOrphanedUploads();
+    } catch (err) {
+      console.error('[Uploads] Sweep failed:', err.message);
+    }
+  };
+  sweep();
+  setInterval(sweep, UPLOAD_SWEEP_INTERVAL);
+}
+
+app.get('/admin/api/uploads/integrity', requireAdmin, (req, res) => {
+  const fullName = r => `${r.title || ''} ${r.first_name || ''} ${r.last_name || ''}`.trim();
+  const missing = db.prepare(`
+    SELECT id, title, first_name, last_name, status, payment_file_name, payment_file_path FROM registrations
+    WHERE payment_file_path IS NOT NULL AND payment_file_path != '' ORDER BY created_at
+  `).all()
+    .filter(r => !fs.existsSync(r.payment_file_path))
+    .map(r => ({ id: r.id, name: fullName(r), status: r.status, file_name: r.payment_file_name }));
+
+  const people = new Map(db.prepare('SELECT id, title, first_name, last_name, status FROM registrations').all().map(r => [r.id, r]));
+  const reused = db.prepare(`
+    SELECT sha256, GROUP_CONCAT(DISTINCT registration_id) AS ids FROM payment_proofs
+    WHERE sha256 IS NOT NULL GROUP BY sha256 HAVING COUNT(DISTINCT registration_id) > 1
+  `).all().map(g => ({
+    sha256: g.sha256,
+    registrations: g.ids.split(',').map(id => people.get(id)).filter(Boolean).map(r => ({ id: r.id, name: fullName(r), status: r.status }))
+  }));
+
+  // Proofs stored before uploads were checked by content
+  const unrecognised = db.prepare('SELECT id, registration_id, original_name, file_path FROM payment_proofs ORDER BY uploaded_at').all()
+    .filter(p => fs.existsSync(p.file_path) && !sniffFileType(p.file_path))
+    .map(p => ({ proof_id: p.id, registration_id: p.registration_id, original_name: p.original_name }));
+
+  res.json({
+    missing,
+    reused,
+    unrecognised,
+    orphans: findOrphanedUploads(),
+    sweep_interval_hours: UPLOAD_SWEEP_INTERVAL > 0 ? UPLOAD_SWEEP_INTERVAL / 3600000 : null
+  });
+});
+
+app.post('/admin/api/uploads/sweep', requireSuperAdmin, (req, res) => {
+  const deleted = sweepOrphanedUploads();
+  console.log(`[Uploads] ${req.adminUser} swept ${deleted.length} orphaned file(s).`);
+  res.json({ ok: true, deleted: deleted.length });
+});
+
+// Registration attempts turned away by the abuse checks, with the limits in force
+app.get('/admin/api/abuse', requireAdmin, (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days || '7', 10) || 7, 1), ABUSE_LOG_DAYS);
+  const since = new Date(Date.now() - days * 86400000).toISOString();
+  const totals = {};
+  db.prepare('SELECT reason, SUM(count) AS count FROM abuse_events WHERE last_at >= ? GROUP BY reason').all(since)
+    .forEach(r => { totals[r.reason] = r.count; });
+  res.json({
+    days,
+    reasons: ABUSE_REASONS,
+    totals,
+    by_day: db.prepare('SELECT substr(first_at, 1, 10) AS day, SUM(count) AS count FROM abuse_events WHERE last_at >= ? GROUP BY day ORDER BY day DESC').all(since),
+    recent: db.prepare('SELECT reason, ip, email, detail, count, first_at, last_at FROM abuse_events WHERE last_at >= ? ORDER BY last_at DESC LIMIT 100').all(since),
+    limits: {
+      ip_per_hour: REGISTER_IP_LIMIT > 0 ? REGISTER_IP_LIMIT : null,
+      email_per_day: REGISTER_EMAIL_LIMIT > 0 ? REGISTER_EMAIL_LIMIT : null,
+      min_seconds: REGISTER_MIN_SECONDS,
+      pow_difficulty: REGISTER_POW_DIFFICULTY > 0 ? REGISTER_POW_DIFFICULTY : null,
+      trust_proxy: app.get('trust proxy')
+    },
+    storage: { used_bytes: uploadStorageUsed(), limit_bytes: UPLOAD_STORAGE_LIMIT_MB > 0 ? UPLOAD_STORAGE_LIMIT_MB * 1024 * 1024 : null }
+  });
+});
+
+
+// Door check-in, one attendance record per registration per programme day
+
+app.get('/admin/checkin', requireCheckIn, (req, res) => {
+  res.sendFile(path.join(__dirname, 'templates', 'checkin.html'));
+});
+
+// Resolves the event and programme day a check-in request is for: the event defaults to DEFAULT_EVENT_SLUG
+// and the day to today at the venue. When today isn't a programme day, lookups fall back to the first day so the
+// desk can get ready, but check-ins need the day spelled out. Returns { event, day, days } or { error }.
+function checkinContext(input, { firstDayFallback = false } = {}) {
+  const event = getEventBySlug(String(input.event || DEFAULT_EVENT_SLUG));
+  if (!event) return { error: 'Unknown event.' };
+  const days = eventDays(event);
+  const today = eventToday(event);
+  let day = input.day ? String(input.day) : today;
+  if (!input.day && !days.includes(today)) {
+    if (!firstDayFallback) return { error: `Today is not a day of ${event.name}; choose a programme day.` };
+    day = days[0];
+  }
+  if (!days.includes(day)) return { error: `${day} is not a day of ${event.name}.` };
+  return { event, day, days };
+}
+
+function checkinSummary(event, day) {
+  const statuses = TICKET_STATUSES.map(() => '?').join(', ');
+  const tracks = db.prepare(`
+    SELECT r.practice_track AS track, COUNT(*) AS expected, COUNT(a.id) AS arrived
+    FROM registrations r LEFT JOIN attendance a ON a.registration_id = r.id AND a.day = ?
+    WHERE r.event_id = ? AND r.status IN (${statuses})
+    GROUP BY r.practice_track ORDER BY r.practice_track
+  `).all(day, event.id, ...TICKET_STATUSES);
+  const recent = db.prepare(`
+    SELECT a.registration_id, a.checked_in_at, a.checked_in_by, r.first_name, r.last_name, r.practice_track
+    FROM attendance a JOIN registrations r ON r.id = a.registration_id
+    WHERE a.event_id = ? AND a.day = ? ORDER BY a.checked_in_at DESC LIMIT 10
+  `).all(event.id, day);
+  return {
+    event: { slug: event.slug, name: event.name },
+    day,
+    day_number: eventDays(event).indexOf(day) + 1,
+    expected: tracks.reduce((sum, t) => sum + t.expected, 0),
+    // Everyone checked in, including anyone whose registration has changed status since
+    arrived: db.prepare('SELECT COUNT(*) AS c FROM attendance WHERE event_id = ? AND day = ?').get(event.id, day).c,
+    tracks,
+    recent
+  };
+}
+
+function ticketHolder(row) {
+  return {
+    id: row.id,
+    name: `${row.title} ${row.first_name} ${row.last_name}`,
+    company: row.company,
+    practice_track: row.practice_track,
+    status: row.status
+  };
+}
+
+app.get('/admin/api/checkin/summary', requireCheckIn, (req, res) => {
+  const { event, day, days, error } = checkinContext(req.query, { firstDayFallback: true });
+  if (error) return res.status(400).json({ message: error });
+  res.json({ ...checkinSummary(event, day), days });
+});
+
+// Manual lookup for people without their QR code
+app.get('/admin/api/checkin/search', requireCheckIn, (req, res) => {
+  const { event, day, error } = checkinContext(req.query, { firstDayFallback: true });
+  if (error) return res.status(400).json({ message: error });
+  const words = String(req.query.q || '').trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return res.json({ rows: [] });
+
+  const where = ['r.event_id = ?', "r.status != 'Merged'"];
+  const params = [event.id];
+  for (const word of words) {
+    where.push("(r.first_name LIKE ? ESCAPE '\\' OR r.last_name LIKE ? ESCAPE '\\' OR r.email LIKE ? ESCAPE '\\' OR r.company LIKE ? ESCAPE '\\' OR r.id LIKE ? ESCAPE '\\')");
+    const pattern = likePattern(word);
+    params.push(pattern, pattern, pattern, pattern, pattern);
+  }
+  const rows = db.prepare(`
+    SELECT r.*, a.checked_in_at FROM registrations r
+    LEFT JOIN attendance a ON a.registration_id = r.id AND a.day = ?
+    WHERE ${where.join(' AND ')} ORDER BY r.last_name, r.first_name LIMIT 20
+  `).all(day, ...params);
+  res.json({ rows: rows.map(r => ({ ...ticketHolder(r), email: r.email, checked_in_at: r.checked_in_at, problem: ticketProblem(r) })) });
+});
+
+// Check in by scanned ticket (token, or the ticket URL the QR code holds) or by registration_id from a lookup
+app.post('/admin/api/checkin', requireCheckIn, (req, res) => {
+  const body = req.body || {};
+  const { event, day, error } = checkinContext(body);
+  if (error) return res.status(400).json({ message: error });
+
+  let id = null;
+  if (body.token) {
+    id = verifyTicketToken(body.token);
+    if (!id) return res.status(400).json({ message: 'This is not a valid ticket.' });
+  } else {
+    id = String(body.registration_id || '').trim();
+  }
+  const row = followMerges(id ? db.prepare('SELECT * FROM registrations WHERE id = ?').get(id) : null);
+  if (!row) return res.status(404).json({ message: 'Registration not found.' });
+
+  if (row.event_id !== event.id) {
+    const other = getEvent(row.event_id);
+    return res.status(409).json({ message: `This ticket is for ${other ? other.name : 'another event'}.`, registration: ticketHolder(row) });
+  }
+  const problem = ticketProblem(row);
+  if (problem) return res.status(409).json({ message: problem, registration: ticketHolder(row) });
+
+  const existing = db.prepare('SELECT * FROM attendance WHERE registration_id = ? AND day = ?').get(row.id, day);
+  if (existing) {
+    return res.json({ ok: true, already: true, checked_in_at: existing.checked_in_at, registration: ticketHolder(row), summary: checkinSummary(event, day) });
+  }
+
+  const now = new Date().toISOString();
+  const dayNumber = eventDays(event).indexOf(day) + 1;
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO attendance (registration_id, event_id, day, checked_in_at, checked_in_by, method) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(row.id, event.id, day, now, req.adminUser, body.token ? 'scan' : 'lookup');
+    logRegistrationEvent(row.id, { actorType: 'admin', actor: req.adminUser, action: 'checked_in', notes: `Day ${dayNumber} (${day})` });
+  })();
+  console.log(`[Check-in] ${req.adminUser} checked in ${row.id} for ${event.slug} day ${dayNumber}`);
+  res.json({ ok: true, already: false, checked_in_at: now, registration: ticketHolder(row), summary: checkinSummary(event, day) });
+});
+
+// Undo a check-in made by mistake
+app.post('/admin/api/checkin/undo', requireCheckIn, (req, res) => {
+  const body = req.body || {};
+  const { event, day, error } = checkinContext(body);
+  if (error) return res.status(400).json({ message: error });
+  const id = String(body.registration_id || '');
+
+  const info = db.prepare('DELETE FROM attendance WHERE registration_id = ? AND event_id = ? AND day = ?').run(id, event.id, day);
+  if (!info.changes) return res.status(404).json({ message: 'This registration is not checked in for that day.' });
+  logRegistrationEvent(id, { actorType: 'admin', actor: req.adminUser, action: 'check_in_undone', notes: `Day ${eventDays(event).indexOf(day) + 1} (${day})` });
+  res.json({ ok: true, summary: checkinSummary(event, day) });
+});
+
+// Certificates of completion
+// A registrant becomes eligible by attending the event's certificate_min_days (every day when not set), or
+// when the committee overrides the rule for them. Numbers are assigned the first time a certificate is
+// downloaded or emailed, and the name and track are kept as issued so the verification page matches the PDF.
+const CERTIFICATE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CERTIFICATE_OVERRIDES = ['eligible', 'ineligible'];
+
+function getCertificate(number) {
+  if (!number) return null;
+  return db.prepare('SELECT * FROM certificates WHERE certificate_number = ?').get(String(number).trim().toUpperCase()) || null;
+}
+
+function certificateVerifyUrl(number) {
+  return `${SITE_URL}/verify/${encodeURIComponent(number)}`;
+}
+
+// e.g. BMTS-2026-7KQ2M9XA; random so numbers can't be guessed from one another
+function newCertificateNumber(event) {
+  for (;;) {
+    const code = Array.from(crypto.randomBytes(8), b => CERTIFICATE_ALPHABET[b % CERTIFICATE_ALPHABET.length]).join('');
+    const number = `BMTS-${event.start_date.slice(0, 4)}-${code}`;
+    if (!getCertificate(number)) return number;
+  }
+}
+
+function certificateRequiredDays(event) {
+  const days = eventDays(event).length;
+  return Math.min(event.certificate_min_days || days, days);
+}
+
+function certificateEligibility(row, requiredDays) {
+  if (row.certificate_override === 'eligible') return { eligible: true, reason: 'Marked eligible by the committee.' };
+  if (row.certificate_override === 'ineligible') return { eligible: false, reason: 'Marked not eligible by the committee.' };
+  const problem = ticketProblem(row);
+  if (problem) return { eligible: false, reason: problem };
+  if (row.days_attended < requiredDays) {
+    return { eligible: false, reason: `Attended ${row.days_attended} of the ${requiredDays} days required.` };
+  }
+  return { eligible: true, reason: `Attended ${row.days_attended} days (${requiredDays} required).` };
+}
+
+// Every registration for the event (or just ids) with attendance, certificate and eligibility
+function certificateCandidates(event, ids = null) {
+  const where = ['r.event_id = ?', "r.status != 'Merged'"];
+  const params = [event.id];
+  if (ids) {
+    where.push(`r.id IN (${ids.map(() => '?').join(', ') || 'NULL'})`);
+    params.push(...ids);
+  }
+  const requiredDays = certificateRequiredDays(event);
+  return db.prepare(`
+    SELECT r.*, c.certificate_number, c.issued_at, c.revoked_at, c.emailed_at,
+      (SELECT COUNT(*) FROM attendance a WHERE a.registration_id = r.id AND a.event_id = r.event_id) AS days_attended
+    FROM registrations r LEFT JOIN certificates c ON c.registration_id = r.id
+    WHERE ${where.join(' AND ')} ORDER BY r.last_name, r.first_name
+  `).all(...params).map(row => ({ ...row, ...certificateEligibility(row, requiredDays) }));
+}
+
+function certificateRowView(row) {
+  return {
+    id: row.id,
+    name: `${row.title} ${row.first_name} ${row.last_name}`,
+    email: row.email,
+    practice_track: row.practice_track,
+    status: row.status,
+    days_attended: row.days_attended,
+    certificate_override: row.certificate_override,
+    eligible: row.eligible,
+    reason: row.reason,
+    certificate_number: row.certificate_number,
+    issued_at: row.issued_at,
+    revoked_at: row.revoked_at,
+    emailed_at: row.emailed_at
+  };
+}
+
+// Issues (or reinstates) the certificate for an eligible candidate row; returns the certificate
+function issueCertificate(row, event, actor) {
+  const existing = db.prepare('SELECT * FROM certificates WHERE registration_id = ?').get(row.id);
+  if (existing) {
+    if (existing.revoked_at) {
+      db.prepare('UPDATE certificates SET revoked_at = NULL WHERE id = ?').run(existing.id);
+      logRegistrationEvent(row.id, { actorType: 'admin', actor, action: 'certificate_reinstated', notes: existing.certificate_number });
+    }
+    return getCertificate(existing.certificate_number);
+  }
+  const number = newCertificateNumber(event);
+  db.prepare(`
+    INSERT INTO certificates (certificate_number, registration_id, event_id, name, practice_track, issued_at, issued_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(number, row.id, event.id, `${row.title} ${row.first_name} ${row.last_name}`, row.practice_track, new Date().toISOString(), actor);
+  logRegistrationEvent(row.id, { actorType: 'admin', actor, action: 'certificate_issued', notes: number });
+  return getCertificate(number);
+}
+
+const CERTIFICATE_GOLD = '#8a6d2f';
+const CERTIFICATE_INK = '#0f1013';
+
+// A4 landscape PDF; resolves to a Buffer
+async function renderCertificatePdf(certificate) {
+  const event = getEvent(certificate.event_id);
+  const verifyUrl = certificateVerifyUrl(certificate.certificate_number);
+  const qr = await QRCode.toBuffer(verifyUrl, { ...TICKET_QR_OPTIONS, margin: 1 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 0,
+      info: { Title: `Certificate of Completion ${certificate.certificate_number}`, Author: 'The Bahamas Middle Temple Society' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const centred = (text, y, font, size, color = CERTIFICATE_INK, options = {}) => {
+      doc.font(font).fontSize(size).fillColor(color).text(text, 60, y, { width: width - 120, align: 'center', ...options });
+    };
+
+    doc.rect(22, 22, width - 44, height - 44).lineWidth(3).stroke(CERTIFICATE_GOLD);
+    doc.rect(32, 32, width - 64, height - 64).lineWidth(0.75).stroke(CERTIFICATE_GOLD);
+
+    centred('THE BAHAMAS MIDDLE TEMPLE SOCIETY', 72, 'Times-Bold', 15, CERTIFICATE_INK, { characterSpacing: 2 });
+    centred('Certificate of Completion', 108, 'Times-Bold', 40, CERTIFICATE_GOLD);
+    centred('This is to certify that', 182, 'Times-Italic', 16);
+    centred(certificate.name, 210, 'Times-Bold', 30);
+    doc.moveTo(width / 2 - 190, 252).lineTo(width / 2 + 190, 252).lineWidth(0.75).stroke(CERTIFICATE_GOLD);
+    centred(`has completed the ${certificate.practice_track} Advocacy track of`, 268, 'Times-Roman', 15);
+    centred(event ? eventTitle(event) : '', 294, 'Times-Bold', 18);
+    if (event) {
+      const where = [event.venue, event.location].filter(Boolean).join(', ');
+      centred(`held ${formatEventDates(event)}${where ? ` at ${where}` : ''}`, 324, 'Times-Roman', 14);
+    }
+
+    const footerY = height - 150;
+    doc.moveTo(80, footerY + 40).lineTo(300, footerY + 40).lineWidth(0.75).stroke(CERTIFICATE_INK);
+    doc.font('Times-Roman').fontSize(12).fillColor(CERTIFICATE_INK)
+      .text('Organising Committee', 80, footerY + 48, { width: 220, align: 'center' })
+      .text('The Bahamas Middle Temple Society', 80, footerY + 64, { width: 220, align: 'center' });
+
+    const issued = new Date(certificate.issued_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    doc.font('Times-Bold').fontSize(12).text(`Certificate No. ${certificate.certificate_number}`, 310, footerY + 40, { width: width - 620, align: 'center' });
+    doc.font('Times-Roman').fontSize(11).text(`Issued ${issued}`, 310, footerY + 58, { width: width - 620, align: 'center' });
+
+    doc.image(qr, width - 190, footerY - 10, { width: 96 });
+    doc.font('Times-Roman').fontSize(8).fillColor(CERTIFICATE_GOLD)
+      .text('Verify this certificate at', width - 250, footerY + 90, { width: 216, align: 'center' })
+      .text(verifyUrl, width - 250, footerY + 101, { width: 216, align: 'center' });
+
+    doc.end();
+  });
+}
+
+function certificateFileName(certificate) {
+  return sanitize(`${certificate.certificate_number} ${certificate.name}.pdf`);
+}
+
+function certificateEvent(query) {
+  return getEventBySlug(String(query.event || DEFAULT_EVENT_SLUG));
+}
+
+app.get('/admin/api/certificates', requireAdmin, (req, res) => {
+  const event = certificateEvent(req.query);
+  if (!event) return res.status(404).json({ message: 'Unknown event.' });
+  // Anyone with a ticket, an override or a certificate; other registrations can't earn one
+  const rows = certificateCandidates(event)
+    .filter(r => r.eligible || r.certificate_number || r.certificate_override || TICKET_STATUSES.includes(r.status));
+  res.json({
+    event: { slug: event.slug, name: event.name },
+    days: eventDays(event).length,
+    required_days: certificateRequiredDays(event),
+    counts: {
+      eligible: rows.filter(r => r.eligible).length,
+      issued: rows.filter(r => r.certificate_number && !r.revoked_at).length,
+      emailed: rows.filter(r => r.emailed_at && !r.revoked_at).length
+    },
+    rows: rows.map(certificateRowView)
+  });
+});
+
+// override: 'eligible', 'ineligible' or '' to go back to the attendance rule. Marking a registration
+// ineligible revokes a certificate it already has.
+app.post('/admin/api/registration/:id/certificate-override', requireVerifier, (req, res) => {
+  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(req.params.id);
+  if (!row) return res.status(404).json({ message: 'Not found' });
+  const override = String((req.body && req.body.override) || '') || null;
+  if (override && !CERTIFICATE_OVERRIDES.includes(override)) {
+    return res.status(400).json({ message: `override must be one of: ${CERTIFICATE_OVERRIDES.join(', ')}, or empty.` });
+  }
+  const reason = String((req.body && req.body.notes) || '').trim();
+  const label = { eligible: 'Marked eligible for a certificate', ineligible: 'Marked not eligible for a certificate' }[override] ||
+    'Certificate eligibility follows attendance again';
+
+  db.transaction(() => {
+    db.prepare('UPDATE registrations SET certificate_override = ?, updated_at = ? WHERE id = ?').run(override, new Date().toISOString(), row.id);
+    logRegistrationEvent(row.id, { actorType: 'admin', actor: req.adminUser, action: 'certificate_override', notes: reason ? `${label}: ${reason}` : label });
+    if (override === 'ineligible') {
+      const certificate = db.prepare('SELECT * FROM certificates WHERE registration_id = ? AND revoked_at IS NULL').get(row.id);
+      if (certificate) {
+        db.prepare('UPDATE certificates SET revoked_at = ? WHERE id = ?').run(new Date().toISOString(), certificate.id);
+        logRegistrationEvent(row.id, { actorType: 'admin', actor: req.adminUser, action: 'certificate_revoked', notes: certificate.certificate_number });
+      }
+    }
+  })();
+  const [updated] = certificateCandidates(getEvent(row.event_id), [row.id]);
+  res.json({ ok: true, row: certificateRowView(updated) });
+});
+
+app.get('/admin/api/registration/:id/certificate', requireVerifier, async (req, res) => {
+  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(req.params.id);
+  if (!row) return res.status(404).json({ message: 'Not found' });
+  const event = getEvent(row.event_id);
+  const [candidate] = certificateCandidates(event, [row.id]);
+  if (!candidate || !candidate.eligible) {
+    return res.status(409).json({ message: `Not eligible for a certificate. ${candidate ? candidate.reason : ''}`.trim() });
+  }
+  try {
+    const certificate = issueCertificate(candidate, event, req.adminUser);
+    const pdf = await renderCertificatePdf(certificate);
+    res.setHeader('Content-Disposition', `attachment; filename="${certificateFileName(certificate)}"`);
+    res.type('pdf').send(pdf);
+  } catch (err) {
+    console.error(`[Certificates] Could not make the certificate for ${row.id}:`, err.message);
+    res.status(500).json({ message: 'The certificate could not be created. Check the server log.' });
+  }
+});
+
+// Every eligible registrant's certificate in one ZIP
+app.get('/admin/api/certificates/download', requireVerifier, async (req, res) => {
+  const event = certificateEvent(req.query);
+  if (!event) return res.status(404).json({ message: 'Unknown event.' });
+  const eligible = certificateCandidates(event).filter(r => r.eligible);
+  if (!eligible.length) return res.status(400).json({ message: 'Nobody is eligible for a certificate yet.' });
+
+  const archive = archiver('zip');
+  try {
+    const certificates = db.transaction(() => eligible.map(r => issueCertificate(r, event, req.adminUser)))();
+    archive.on('error', err => {
+      console.error('[Certificates] ZIP failed:', err.message);
+      res.destroy(err);
+    });
+    res.setHeader('Content-Disposition', `attachment; filename="certificates-${event.slug}.zip"`);
+    res.type('zip');
+    archive.pipe(res);
+    for (const certificate of certificates) {
+      archive.append(await renderCertificatePdf(certificate), { name: certificateFileName(certificate) });
+    }
+    archive.finalize();
+    console.log(`[Certificates] ${req.adminUser} downloaded ${certificates.length} certificates for ${event.slug}`);
+  } catch (err) {
+    console.error('[Certificates] ZIP failed:', err.message);
+    // Once the ZIP has started there's no sending an error instead, so the download is cut short
+    if (res.headersSent) return res.destroy(err);
+    archive.unpipe(res);
+    archive.abort();
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ message: 'The certificates could not be created. Check the server log.' });
   }
-  res.json({ rows });
 });
 
-app.get('/admin/api/registration/:id', requireAdmin, (req, res) => {
-  const id = req.params.id;
-  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
-  if (!row) return res.status(404).json({ message: 'Not found' });
-  res.json({ row });
+// Emails certificates to eligible registrants, or just ids; those already emailed are skipped unless resend is set.
+// Sending is spread out at BROADCAST_RATE_PER_MINUTE like a broadcast.
+app.post('/admin/api/certificates/email', requireVerifier, (req, res) => {
+  const body = req.body || {};
+  const event = certificateEvent(body);
+  if (!event) return res.status(404).json({ message: 'Unknown event.' });
+  const ids = body.ids === undefined ? null : [].concat(body.ids).map(String);
+
+  const candidates = certificateCandidates(event, ids).filter(r => r.eligible);
+  const recipients = candidates.filter(r => body.resend || !r.emailed_at);
+  if (!recipients.length) {
+    return res.status(400).json({ message: candidates.length ? 'Every eligible registrant has already been emailed their certificate.' : 'Nobody is eligible for a certificate yet.' });
+  }
+
+  const intervalMs = 60000 / Math.max(BROADCAST_RATE_PER_MINUTE, 1);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    recipients.forEach((r, i) => {
+      const certificate = issueCertificate(r, event, req.adminUser);
+      const email = generateCertificateEmail(r, event, certificate);
+      queueEmail(r.email, email.subject, email.text, {
+        html: email.html,
+        registrationId: r.id,
+        attachments: email.attachments,
+        sendAt: new Date(Date.now() + i * intervalMs).toISOString()
+      });
+      db.prepare('UPDATE certificates SET emailed_at = ? WHERE id = ?').run(now, certificate.id);
+      logRegistrationEvent(r.id, { actorType: 'admin', actor: req.adminUser, action: 'certificate_emailed', notes: certificate.certificate_number, emailSent: email.subject });
+    });
+  })();
+
+  console.log(`[Certificates] ${req.adminUser} queued ${recipients.length} certificate emails for ${event.slug}`);
+  res.json({ ok: true, queued: recipients.length, skipped: candidates.length - recipients.length });
 });
 
-app.post('/admin/api/registration/:id/status', requireAdmin, async (req, res) => {
-  const id = req.params.id;
-  const status = (req.body && req.body.status) ? String(req.body.status) : '';
-  const notes = (req.body && req.body.admin_notes) ? String(req.body.admin_notes) : '';
+// Receipts and invoices
+// Each kind has its own gap-free sequence (REC-00001, INV-00001, ...). A number is taken in the same
+// transaction as the change that needs it, so a failed change never leaves a hole. Documents are never
+// deleted: a wrong one is voided, which keeps its number in the register, and a replacement is issued.
+// Payer details and the amount are copied onto the document when it is issued.
+const BILLING_KINDS = {
+  receipt: { prefix: 'REC', label: 'Receipt' },
+  invoice: { prefix: 'INV', label: 'Invoice' }
+};
+const PAYEE_NAME = process.env.PAYEE_NAME || 'The Bahamas Bar Association';
+const PAYMENT_INSTRUCTIONS = [
+  `Bank Transfer: Royal Bank of Canada, Main Branch, 05625 1141985 (${PAYEE_NAME})`,
+  `Cheque: payable to ${PAYEE_NAME.toUpperCase()}`
+];
+// Statuses in which a registrant can still download an invoice from the portal
+const INVOICE_STATUSES = ['Pending Verification', 'Payment Rejected', 'Awaiting Resubmission', 'Waitlisted'];
+
+function getBillingDocument(number) {
+  if (!number) return null;
+  return db.prepare('SELECT * FROM billing_documents WHERE number = ?').get(String(number).trim().toUpperCase()) || null;
+}
 
-  const allowed = ['Pending Verification', 'Payment Verified', 'Payment Rejected', 'Awaiting Resubmission', 'Cancelled', 'Waitlisted', 'Confirmed'];
-  if (!allowed.includes(status)) return res.status(400).json({ message: 'Invalid status' });
+function activeBillingDocument(registrationId, kind) {
+  return db.prepare('SELECT * FROM billing_documents WHERE registration_id = ? AND kind = ? AND voided_at IS NULL ORDER BY seq DESC LIMIT 1')
+    .get(registrationId, kind) || null;
+}
 
-  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
-  if (!row) return res.status(404).json({ message: 'Not found' });
+function billingPayer(row) {
+  return {
+    payer_name: `${row.title} ${row.first_name} ${row.last_name}`,
+    firm: row.company || null,
+    address: [row.po_box ? `P.O. Box ${row.po_box}` : null, row.city].filter(Boolean).join(', ') || null,
+    email: row.email
+  };
+}
 
-  const oldStatus = row.status;
+// by is who it's done by, { actorType, actor } as for logRegistrationEvent.
+// Returns null when the registration has no amount due, as there is nothing to put on the document.
+function issueBillingDocument(kind, row, by) {
+  if (row.amount_due === null || row.amount_due === undefined) return null;
+  const event = getEvent(row.event_id);
+  return db.transaction(() => {
+    const seq = db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS next FROM billing_documents WHERE kind = ?').get(kind).next;
+    const number = `${BILLING_KINDS[kind].prefix}-${String(seq).padStart(5, '0')}`;
+    db.prepare(`
+      INSERT INTO billing_documents (
+        kind, seq, number, registration_id, event_id, payer_name, firm, address, email,
+        description, amount, fee_label, payment_method, issued_at, issued_by
+      ) VALUES (
+        @kind, @seq, @number, @registration_id, @event_id, @payer_name, @firm, @address, @email,
+        @description, @amount, @fee_label, @payment_method, @issued_at, @issued_by
+      )
+    `).run({
+      kind, seq, number,
+      registration_id: row.id,
+      event_id: row.event_id,
+      ...billingPayer(row),
+      description: `Registration – ${eventTitle(event)}, ${row.practice_track} Advocacy track`,
+      amount: row.amount_due,
+      fee_label: FEE_TIER_LABELS[row.fee_tier] || FEE_TIER_LABELS.standard,
+      payment_method: row.payment_method || null,
+      issued_at: new Date().toISOString(),
+      issued_by: by.actor
+    });
+    logRegistrationEvent(row.id, { ...by, action: `${kind}_issued`, notes: number });
+    return getBillingDocument(number);
+  })();
+}
+
+function voidBillingDocument(document, by, reason, replacedBy = null) {
+  db.prepare('UPDATE billing_documents SET voided_at = ?, voided_by = ?, void_reason = ?, replaced_by = ? WHERE id = ?')
+    .run(new Date().toISOString(), by.actor, reason, replacedBy, document.id);
+  logRegistrationEvent(document.registration_id, { ...by, action: `${document.kind}_voided`, notes: `${document.number}: ${reason}` });
+}
+
+// Called when a payment is verified; keeps the receipt already issued if the registration has one
+function issueReceipt(row, by) {
+  return activeBillingDocument(row.id, 'receipt') || issueBillingDocument('receipt', row, by);
+}
+
+// Voids the current document of this kind (if any) and issues a new one from the registration as it is now
+function reissueBillingDocument(kind, row, by, reason) {
+  return db.transaction(() => {
+    const previous = activeBillingDocument(row.id, kind);
+    const document = issueBillingDocument(kind, row, by);
+    if (previous && document) voidBillingDocument(previous, by, reason || `Replaced by ${document.number}`, document.number);
+    return { document, previous };
+  })();
+}
+
+// The invoice to hand out now: the current one while it still matches the registration, otherwise a new one
+function currentInvoice(row, by) {
+  const invoice = activeBillingDocument(row.id, 'invoice');
+  const payer = billingPayer(row);
+  if (invoice && invoice.amount === row.amount_due && invoice.payer_name === payer.payer_name && invoice.firm === payer.firm) return invoice;
+  return reissueBillingDocument('invoice', row, by, 'Registration details changed').document;
+}
+
+function billingDocumentView(document) {
+  return { ...document, label: BILLING_KINDS[document.kind].label, amount_formatted: formatMoney(document.amount) };
+}
+
+function billingFileName(document) {
+  return `${BILLING_KINDS[document.kind].label} ${document.number}.pdf`;
+}
+
+// A4 portrait PDF; resolves to a Buffer. Voided documents are stamped VOID.
+function renderBillingPdf(document) {
+  const event = getEvent(document.event_id);
+  const receipt = document.kind === 'receipt';
+  const label = BILLING_KINDS[document.kind].label;
+  const date = value => new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
 
-  db.prepare('UPDATE registrations SET status = ?, admin_notes = ? WHERE id = ?').run(status, notes, id);
-
-  // Email based on status - only send if status actually changed
-  if (status !== oldStatus) {
-    if (status === 'Payment Verified') {
-      const emailTemplate = generatePaymentVerifiedEmail(row);
-      await sendEmail(row.email, emailTemplate.subject, emailTemplate.text);
-    } else if (status === 'Payment Rejected') {
-      const emailTemplate = generatePaymentRejectedEmail(row, notes);
-      await sendEmail(row.email, emailTemplate.subject, emailTemplate.text);
-    } else if (status === 'Awaiting Resubmission') {
-      const emailTemplate = generateAwaitingResubmissionEmail(row, notes);
-      await sendEmail(row.email, emailTemplate.subject, emailTemplate.text);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: { Title: `${label} ${document.number}`, Author: 'The Bahamas Middle Temple Society' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = 56;
+    const right = doc.page.width - 56;
+    const width = right - left;
+
+    doc.rect(0, 0, doc.page.width, 8).fill(CERTIFICATE_GOLD);
+    doc.fillColor(CERTIFICATE_INK).font('Helvetica-Bold').fontSize(16).text('The Bahamas Middle Temple Society', left, 48);
+    doc.font('Helvetica').fontSize(10).fillColor('#5b6270').text(event ? eventTitle(event) : '', left, 70, { width: width - 180 });
+    doc.font('Helvetica-Bold').fontSize(24).fillColor(CERTIFICATE_GOLD).text(label.toUpperCase(), left, 44, { width, align: 'right' });
+    const registration = db.prepare('SELECT payment_reference FROM registrations WHERE id = ?').get(document.registration_id) || {};
+    doc.font('Helvetica').fontSize(10).fillColor(CERTIFICATE_INK)
+      .text(`No. ${document.number}`, left, 74, { width, align: 'right' })
+      .text(`Date: ${date(document.issued_at)}`, { width, align: 'right' })
+      .text(`Registration ID: ${document.registration_id}`, { width, align: 'right' });
+    if (!receipt && registration.payment_reference) doc.text(`Payment reference: ${registration.payment_reference}`, { width, align: 'right' });
+
+    const block = (title, lines, x, y, w) => {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#8a6d2f').text(title.toUpperCase(), x, y, { width: w, characterSpacing: 1 });
+      doc.font('Helvetica').fontSize(11).fillColor(CERTIFICATE_INK);
+      lines.filter(Boolean).forEach(line => doc.text(line, { width: w }));
+    };
+    const top = 150;
+    block(receipt ? 'Received from' : 'Bill to', [document.payer_name, document.firm, document.address, document.email], left, top, width / 2 - 10);
+    block(receipt ? 'Received by' : 'Payable to', [PAYEE_NAME, 'on behalf of The Bahamas Middle Temple Society', CONTACT_EMAIL], left + width / 2 + 10, top, width / 2 - 10);
+
+    let y = 270;
+    doc.rect(left, y, width, 24).fill('#faf5e9');
+    doc.fillColor(CERTIFICATE_INK).font('Helvetica-Bold').fontSize(10)
+      .text('Description', left + 10, y + 8)
+      .text('Amount', left, y + 8, { width: width - 10, align: 'right' });
+    y += 34;
+    doc.font('Helvetica').fontSize(11).text(document.description, left + 10, y, { width: width - 130 });
+    doc.text(formatMoney(document.amount), left, y, { width: width - 10, align: 'right' });
+    y = doc.y + 2;
+    doc.fontSize(9).fillColor('#5b6270').text(document.fee_label || '', left + 10, y);
+    y = doc.y + 14;
+    doc.moveTo(left, y).lineTo(right, y).lineWidth(0.75).stroke('#e4dccb');
+    y += 10;
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(CERTIFICATE_INK)
+      .text(receipt ? 'Total received' : 'Total due', left + 10, y)
+      .text(formatMoney(document.amount), left, y, { width: width - 10, align: 'right' });
+
+    y += 44;
+    doc.font('Helvetica').fontSize(10).fillColor(CERTIFICATE_INK);
+    if (receipt) {
+      doc.text(`Payment method: ${document.payment_method || 'Not recorded'}`, left, y);
+      doc.text(`Received with thanks by ${PAYEE_NAME}. This receipt confirms payment in full of the amount shown.`, { width });
     } else {
-      // For any other status changes, send a general status update email
-      const emailTemplate = generateStatusChangeNotificationEmail(row, status, oldStatus, notes);
-      await sendEmail(row.email, emailTemplate.subject, emailTemplate.text);
+      doc.font('Helvetica-Bold').text('How to pay', left, y);
+      doc.font('Helvetica');
+      PAYMENT_INSTRUCTIONS.forEach(line => doc.text(line, { width }));
+      doc.moveDown(0.5).text(registration.payment_reference
+        ? `Please quote the payment reference ${registration.payment_reference} with your payment and upload the payment proof from your registration page.`
+        : 'Please quote the Registration ID with your payment and upload the payment proof from your registration page.', { width });
+    }
+
+    if (document.voided_at) {
+      doc.save().rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+        .font('Helvetica-Bold').fontSize(120).fillColor('#c0392b').fillOpacity(0.25)
+        .text('VOID', 0, doc.page.height / 2 - 60, { width: doc.page.width, align: 'center' })
+        .restore();
+      doc.fillOpacity(1).font('Helvetica-Bold').fontSize(10).fillColor('#c0392b')
+        .text(`Voided ${date(document.voided_at)}: ${document.void_reason || ''}`, left, doc.page.height - 130, { width });
     }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#5b6270')
+      .text(`For enquiries, contact ${CONTACT_EMAIL}`, left, doc.page.height - 90, { width, align: 'center' });
+    doc.end();
+  });
+}
+
+function findRegistration(req, res) {
+  const row = db.prepare('SELECT * FROM registrations WHERE id = ?').get(req.params.id);
+  if (!row) res.status(404).json({ message: 'Not found' });
+  return row;
+}
+
+function queueBillingEmail(row, document, extra = {}) {
+  const event = getEvent(row.event_id);
+  const email = renderEmail(document.kind, {
+    ...emailVariables(row, event),
+    [`${document.kind}_number`]: document.number,
+    [`${document.kind}_amount`]: formatMoney(document.amount),
+    ...extra
+  });
+  queueEmail(row.email, email.subject, email.text, { html: email.html, registrationId: row.id, attachments: email.attachments });
+  return email.subject;
+}
+
+// The register accountants reconcile against: every document of a kind in number order, voided ones included
+app.get('/admin/api/billing-documents', requireAdmin, (req, res) => {
+  const kind = String(req.query.kind || 'receipt');
+  if (!BILLING_KINDS[kind]) return res.status(400).json({ message: `kind must be one of: ${Object.keys(BILLING_KINDS).join(', ')}.` });
+  const rows = db.prepare('SELECT * FROM billing_documents WHERE kind = ? ORDER BY seq').all(kind);
+  res.json({ rows: rows.map(billingDocumentView) });
+});
+
+app.get('/admin/api/billing-documents/:number', requireAdmin, async (req, res) => {
+  const document = getBillingDocument(req.params.number);
+  if (!document) return res.status(404).json({ message: 'Not found' });
+  try {
+    const pdf = await renderBillingPdf(document);
+    res.setHeader('Content-Disposition', `inline; filename="${billingFileName(document)}"`);
+    res.type('pdf').send(pdf);
+  } catch (err) {
+    console.error(`[Billing] Could not draw ${document.number}:`, err.message);
+    res.status(500).json({ message: 'The document could not be created. Check the server log.' });
   }
+});
 
-  res.json({ ok: true });
+app.post('/admin/api/billing-documents/:number/void', requireVerifier, (req, res) => {
+  const document = getBillingDocument(req.params.number);
+  if (!document) return res.status(404).json({ message: 'Not found' });
+  if (document.voided_at) return res.status(409).json({ message: `${document.number} is already void.` });
+  const reason = String((req.body && req.body.reason) || '').trim();
+  if (!reason) return res.status(400).json({ message: 'Please give a reason for voiding.' });
+
+  voidBillingDocument(document, { actorType: 'admin', actor: req.adminUser }, reason);
+  console.log(`[Billing] ${req.adminUser} voided ${document.number}`);
+  res.json({ ok: true, document: billingDocumentView(getBillingDocument(document.number)) });
 });
 
-app.get('/admin/api/registration/:id/payment-proof', requireAdmin, (req, res) => {
-  const id = req.params.id;
-  const row = db.prepare('SELECT payment_file_path, payment_file_name FROM registrations WHERE id = ?').get(id);
-  if (!row) return res.status(404).send('Not found');
-  if (!fs.existsSync(row.payment_file_path)) return res.status(404).send('File missing');
-  res.download(row.payment_file_path, row.payment_file_name);
+app.get('/admin/api/registration/:id/billing-documents', requireAdmin, (req, res) => {
+  const rows = db.prepare('SELECT * FROM billing_documents WHERE registration_id = ? ORDER BY issued_at DESC, id DESC').all(req.params.id);
+  res.json({ rows: rows.map(billingDocumentView) });
+});
+
+// Issues a receipt for a verified registration, replacing the current one if there is one (e.g. after the
+// payer's details were corrected). body: { reason, email }
+app.post('/admin/api/registration/:id/receipt', requireVerifier, (req, res) => {
+  const row = findRegistration(req, res);
+  if (!row) return;
+  if (!TICKET_STATUSES.includes(row.status)) return res.status(409).json({ message: 'Receipts are only issued once the payment has been verified.' });
+  if (row.amount_due === null) return res.status(409).json({ message: 'This registration has no amount due, so there is nothing to receipt.' });
+
+  const reason = String((req.body && req.body.reason) || '').trim();
+  const { document, previous } = reissueBillingDocument('receipt', row, { actorType: 'admin', actor: req.adminUser }, reason || null);
+  const emailSent = req.body && req.body.email ? queueBillingEmail(row, document, { replaces_number: previous ? previous.number : '' }) : null;
+  if (emailSent) logRegistrationEvent(row.id, { actorType: 'admin', actor: req.adminUser, action: 'receipt_emailed', notes: document.number, emailSent });
+  console.log(`[Billing] ${req.adminUser} issued ${document.number}${previous ? ` replacing ${previous.number}` : ''} for ${row.id}`);
+  res.json({ ok: true, document: billingDocumentView(document), replaced: previous ? previous.number : null, email_sent: !!emailSent });
+});
+
+// Issues (or reuses) an invoice; body: { email }
+app.post('/admin/api/registration/:id/invoice', requireVerifier, (req, res) => {
+  const row = findRegistration(req, res);
+  if (!row) return;
+  if (['Cancelled', 'Merged'].includes(row.status)) return res.status(409).json({ message: `This registration is ${row.status.toLowerCase()}.` });
+  if (row.amount_due === null) return res.status(409).json({ message: 'This registration has no amount due, so there is nothing to invoice.' });
+
+  const document = currentInvoice(row, { actorType: 'admin', actor: req.adminUser });
+  const emailSent = req.body && req.body.email ? queueBillingEmail(row, document) : null;
+  if (emailSent) logRegistrationEvent(row.id, { actorType: 'admin', actor: req.adminUser, action: 'invoice_emailed', notes: document.number, emailSent });
+  res.json({ ok: true, document: billingDocumentView(document), email_sent: !!emailSent });
+});
+
+app.get('/admin/api/registration/:id/card-payments', requireAdmin, (req, res) => {
+  const row = findRegistration(req, res);
+  if (!row) return;
+  const rows = db.prepare('SELECT * FROM card_payments WHERE registration_id = ? ORDER BY id DESC').all(row.id);
+  res.json({ rows, provider: paymentProvider ? paymentProvider.name : null });
+});
+
+// Refund the registration's card payment through the provider. body: { amount (defaults to all that's left),
+// reason, cancel }. With cancel the registration is cancelled too, and a full refund voids its receipt.
+app.post('/admin/api/registration/:id/refund', requireSuperAdmin, async (req, res) => {
+  const row = findRegistration(req, res);
+  if (!row) return;
+  if (!paymentProvider) return res.status(409).json({ message: 'Card payments are not enabled.' });
+  const payment = db.prepare(`
+    SELECT * FROM card_payments WHERE registration_id = ? AND provider = ? AND status IN ('paid', 'partially_refunded')
+    ORDER BY id DESC LIMIT 1
+  `).get(row.id, paymentProvider.name);
+  if (!payment) return res.status(409).json({ message: 'This registration has no card payment to refund.' });
+
+  const body = req.body || {};
+  const remaining = Math.round((payment.amount - payment.amount_refunded) * 100) / 100;
+  const amount = body.amount === undefined || body.amount === '' ? remaining : Math.round(Number(body.amount) * 100) / 100;
+  if (!(amount > 0) || amount > remaining) return res.status(400).json({ message: `Enter an amount between $0.01 and ${formatMoney(remaining)}.` });
+  const reason = String(body.reason || '').trim();
+  if (!reason) return res.status(400).json({ message: 'Please give a reason for the refund.' });
+  const cancel = !!body.cancel && canTransition(row.status, 'Cancelled') && row.status !== 'Cancelled';
+
+  let refund;
+  try {
+    refund = await paymentProvider.refund({ paymentId: payment.payment_id, amount });
+  } catch (err) {
+    console.error(`[Payments] Refund of ${payment.payment_id} failed:`, err.message);
+    return res.status(502).json({ message: `The payment provider did not make the refund: ${err.message}` });
+  }
+
+  const by = { actorType: 'admin', actor: req.adminUser };
+  let emailTemplate = null;
+  db.transaction(() => {
+    // Re-read in case the provider's refund webhook arrived first
+    const current = db.prepare('SELECT * FROM card_payments WHERE id = ?').get(payment.id);
+    applyCardRefund(current, payment.amount_refunded + amount, by, reason);
+    if (!cancel) return;
+    const receipt = amount >= remaining ? activeBillingDocument(row.id, 'receipt') : null;
+    if (receipt) voidBillingDocument(receipt, by, 'Payment refunded');
+    emailTemplate = recordStatusChange(row, 'Cancelled', { notes: reason, ...by });
+  })();
+
+  if (emailTemplate) {
+    queueEmail(row.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: row.id, attachments: emailTemplate.attachments });
+    await offerWaitlistedSeats(row.event_id, row.practice_track);
+  }
+  console.log(`[Payments] ${req.adminUser} refunded ${formatMoney(amount)} of card payment ${payment.payment_id} (${refund.id})`);
+  res.json({ ok: true, refund_id: refund.id, amount, cancelled: cancel });
+});
+
+// Bank reconciliation: the treasurer uploads the bank's CSV statement export, each credit on it is matched to
+// the registration it most likely pays for, and suggested matches are confirmed in bulk into Payment Verified.
+// The statement itself is never written to disk; only its credits are kept.
+const MAX_STATEMENT_BYTES = 5 * 1024 * 1024;
+// A credit is scored against each registration out of 100; below BANK_MATCH_MIN_SCORE it isn't suggested at all
+const BANK_MATCH_WEIGHTS = { reference: 50, amount: 30, last_name: 12, first_name: 8, company: 12 };
+const BANK_MATCH_MIN_SCORE = 40;
+const BANK_CONFIDENCE_LEVELS = [{ level: 'high', min: 75 }, { level: 'medium', min: 50 }, { level: 'low', min: 0 }];
+const BANK_TRANSACTION_STATUSES = ['suggested', 'unmatched', 'confirmed', 'ignored'];
+// Registrations already paid for; confirming a credit against one records the match without changing the status
+const PAID_STATUSES = ['Payment Verified', 'Confirmed'];
+
+// Header names seen in bank CSV exports (lowercased). Every description-like column is joined into one.
+const STATEMENT_COLUMNS = {
+  date: /^(transaction |posting |posted |value )?date$/,
+  description: /description|details|narrative|memo|particulars|payee|payer|remitter|reference/,
+  credit: /^(credit|credits|deposit|deposits|paid in|money in)( amount)?$/,
+  amount: /^(transaction )?amount\b|^[a-z]{3}\$$/
+};
+
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_STATEMENT_BYTES, files: 1 },
+  fileFilter: function (req, file, cb) {
+    if (path.extname(file.originalname || '').toLowerCase() === '.csv') cb(null, true);
+    else cb(new Error('Please upload the statement as a .csv file.'));
+  }
+});
+
+// RFC 4180: quoted fields may contain commas, line breaks and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (source[i + 1] === '"') field += source[i++];
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) rows.push([...row, field]);
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// '1,250.00', '$350', '(40.00)' and '-40.00' all read; null when there's no number
+function parseStatementAmount(value) {
+  const text = String(value || '').trim();
+  const digits = text.replace(/[^0-9.]/g, '');
+  if (!digits || isNaN(Number(digits))) return null;
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^0-9.()-]/g, ''));
+  return Math.round(Number(digits) * (negative ? -100 : 100)) / 100;
+}
+
+// YYYY-MM-DD where the date can be read (ISO, or month/day/year as the bank exports it), otherwise as given
+function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!m) return text;
+  // Day first when the first number can't be a month
+  const [month, day] = Number(m[1]) > 12 ? [m[2], m[1]] : [m[1], m[2]];
+  return `${m[3]}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// Finds the header row (exports can start with a few lines about the account) and returns the credits below it
+function readStatement(text) {
+  const rows = parseCsv(text);
+  for (let h = 0; h < Math.min(rows.length, 10); h++) {
+    const names = rows[h].map(v => v.trim().toLowerCase());
+    const find = pattern => names.findIndex(n => pattern.test(n));
+    const date = find(STATEMENT_COLUMNS.date);
+    const credit = find(STATEMENT_COLUMNS.credit);
+    const amount = find(STATEMENT_COLUMNS.amount);
+    if (date === -1 || (credit === -1 && amount === -1)) continue;
+
+    const descriptions = names.map((n, i) => (STATEMENT_COLUMNS.description.test(n) ? i : -1)).filter(i => i !== -1);
+    const body = rows.slice(h + 1);
+    const credits = [];
+    for (const row of body) {
+      // With separate credit and debit columns the credit column is used; a single amount column has credits positive
+      const value = parseStatementAmount(row[credit !== -1 ? credit : amount]);
+      if (value === null || value <= 0) continue;
+      credits.push({
+        posted_on: parseStatementDate(row[date]),
+        description: descriptions.map(i => String(row[i] || '').trim()).filter(Boolean).join(' · '),
+        amount: value
+      });
+    }
+    return { row_count: body.length, credits };
+  }
+  return { error: 'Could not find the date and amount columns. Please upload the CSV statement exactly as exported from online banking.' };
+}
+
+function bankWords(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+}
+
+function bankConfidenceLevel(score) {
+  return BANK_CONFIDENCE_LEVELS.find(l => score >= l.min).level;
+}
+
+// How well a credit fits a registration; words is the credit's description split as by bankWords
+function scoreBankMatch(credit, words, row) {
+  const has = list => list.length > 0 && list.every(w => words.includes(w));
+  const reasons = [];
+  let score = 0;
+
+  // The reference may have been typed with or without its dash, or without the BMTS- prefix
+  const reference = bankWords(row.payment_reference);
+  if (reference.length && (words.join('').includes(reference.join('')) || words.includes(reference[reference.length - 1]))) {
+    score += BANK_MATCH_WEIGHTS.reference;
+    reasons.push('payment reference');
+  }
+  if (row.amount_due !== null && Math.abs(row.amount_due - credit.amount) < 0.005) {
+    score += BANK_MATCH_WEIGHTS.amount;
+    reasons.push('amount');
+  }
+  if (has(bankWords(row.last_name).filter(w => w.length > 1))) {
+    score += BANK_MATCH_WEIGHTS.last_name;
+    reasons.push('surname');
+    // Only the first given name, as middle names and initials are often left off
+    const first = bankWords(row.first_name)[0];
+    if (first && words.includes(first)) {
+      score += BANK_MATCH_WEIGHTS.first_name;
+      reasons.push('first name');
+    } else if (first && words.includes(first[0])) {
+      score += BANK_MATCH_WEIGHTS.first_name / 2;
+      reasons.push('initial');
+    }
+  } else if (has(bankWords(row.company).filter(w => w.length > 2))) {
+    // Firms often pay for their staff, so the payer is the firm rather than the registrant
+    score += BANK_MATCH_WEIGHTS.company;
+    reasons.push('firm');
+  }
+  return { score, reasons };
+}
+
+function bankMatchCandidates() {
+  return db.prepare(`
+    SELECT id, status, first_name, last_name, company, amount_due, payment_reference
+    FROM registrations WHERE status NOT IN ('Cancelled', 'Merged')
+  `).all();
+}
+
+// The best-fitting registration for a credit, or null when none scores high enough
+function matchBankCredit(credit, candidates) {
+  const words = bankWords(credit.description);
+  const scored = candidates
+    .map(row => ({ row, ...scoreBankMatch(credit, words, row) }))
+    .filter(m => m.score >= BANK_MATCH_MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length) return null;
+
+  const best = scored[0];
+  const tied = scored.filter(m => m.score === best.score).length - 1;
+  // Registrations that fit equally well can't be told apart, so the suggestion is only ever low confidence
+  const confidence = tied ? Math.min(best.score, BANK_CONFIDENCE_LEVELS.find(l => l.level === 'medium').min - 1) : best.score;
+  const reasons = tied ? [...best.reasons, `fits ${tied} other registration(s) as well`] : best.reasons;
+  return { registration_id: best.row.id, confidence, match_reasons: reasons.join(', ') };
+}
+
+const BANK_TRANSACTION_COLUMNS = `
+  t.*, r.title, r.first_name, r.last_name, r.company, r.status AS registration_status, r.amount_due, r.payment_reference
+`;
+
+function getBankTransaction(id) {
+  return db.prepare(`SELECT ${BANK_TRANSACTION_COLUMNS} FROM bank_transactions t LEFT JOIN registrations r ON r.id = t.registration_id WHERE t.id = ?`).get(id) || null;
+}
+
+function bankTransactionView(row) {
+  const registrationStatus = row.registration_status;
+  return {
+    ...row,
+    // Matches chosen by hand have no score
+    confidence_level: row.confidence === null ? (row.registration_id ? 'manual' : null) : bankConfidenceLevel(row.confidence),
+    can_confirm: row.status === 'suggested' && !!row.registration_id
+      && (PAID_STATUSES.includes(registrationStatus) || canTransition(registrationStatus, 'Payment Verified'))
+  };
+}
+
+function bankCreditNote(tx) {
+  return `Bank credit of ${formatMoney(tx.amount)} on ${tx.posted_on}: ${tx.description}`;
+}
+
+app.get('/admin/api/bank-imports', requireAdmin, (req, res) => {
+  res.json({ rows: db.prepare('SELECT * FROM bank_imports ORDER BY id DESC LIMIT 50').all() });
+});
+
+app.post('/admin/api/bank-imports', requireVerifier, (req, res, next) => {
+  statementUpload.single('statement')(req, res, err => {
+    if (err) return res.status(400).json({ message: err.code === 'LIMIT_FILE_SIZE' ? 'Statements must be 5MB or smaller.' : err.message });
+    next();
+  });
+}, (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'Please choose a CSV statement to import.' });
+  const statement = readStatement(req.file.buffer.toString('utf8'));
+  if (statement.error) return res.status(400).json({ message: statement.error });
+
+  const candidates = bankMatchCandidates();
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO bank_transactions (import_id, fingerprint, posted_on, description, amount, registration_id, confidence, match_reasons, status)
+    VALUES (@import_id, @fingerprint, @posted_on, @description, @amount, @registration_id, @confidence, @match_reasons, @status)
+  `);
+
+  const summary = db.transaction(() => {
+    const importId = db.prepare(`
+      INSERT INTO bank_imports (imported_at, imported_by, file_name, sha256, row_count, credit_count, new_count)
+      VALUES (?, ?, ?, ?, ?, ?, 0)
+    `).run(new Date().toISOString(), req.adminUser, req.file.originalname || null,
+      crypto.createHash('sha256').update(req.file.buffer).digest('hex'), statement.row_count, statement.credits.length).lastInsertRowid;
+
+    // Overlapping statements repeat transactions, which the fingerprint skips. Identical credits on one
+    // statement (same day, amount and description) are told apart by the order they appear in.
+    const seen = new Map();
+    let added = 0;
+    let suggested = 0;
+    for (const credit of statement.credits) {
+      const key = [credit.posted_on, credit.amount.toFixed(2), credit.description].join('|');
+      const occurrence = (seen.get(key) || 0) + 1;
+      seen.set(key, occurrence);
+      const match = matchBankCredit(credit, candidates);
+      const info = insert.run({
+        import_id: importId,
+        fingerprint: crypto.createHash('sha256').update(`${key}|${occurrence}`).digest('hex'),
+        ...credit,
+        registration_id: match ? match.registration_id : null,
+        confidence: match ? match.confidence : null,
+        match_reasons: match ? match.match_reasons : null,
+        status: match ? 'suggested' : 'unmatched'
+      });
+      added += info.changes;
+      if (info.changes && match) suggested++;
+    }
+    db.prepare('UPDATE bank_imports SET new_count = ? WHERE id = ?').run(added, importId);
+    return { id: importId, credits: statement.credits.length, added, suggested, already_imported: statement.credits.length - added };
+  })();
+
+  console.log(`[Bank] ${req.adminUser} imported ${req.file.originalname}: ${summary.added} new credit(s), ${summary.suggested} matched`);
+  res.json({ ok: true, ...summary });
+});
+
+// ?status= one of BANK_TRANSACTION_STATUSES (all when omitted)
+app.get('/admin/api/bank-transactions', requireAdmin, (req, res) => {
+  const status = req.query.status ? String(req.query.status) : '';
+  if (status && !BANK_TRANSACTION_STATUSES.includes(status)) return res.status(400).json({ message: 'Invalid status' });
+  const rows = db.prepare(`
+    SELECT ${BANK_TRANSACTION_COLUMNS} FROM bank_transactions t LEFT JOIN registrations r ON r.id = t.registration_id
+    ${status ? 'WHERE t.status = ?' : ''}
+    ORDER BY t.confidence IS NULL, t.confidence DESC, t.posted_on DESC, t.id DESC
+  `).all(...(status ? [status] : []));
+  const counts = Object.fromEntries(BANK_TRANSACTION_STATUSES.map(s => [s, 0]));
+  db.prepare('SELECT status, COUNT(*) AS n FROM bank_transactions GROUP BY status').all().forEach(c => { counts[c.status] = c.n; });
+  res.json({ rows: rows.map(bankTransactionView), counts });
+});
+
+// Confirm suggested matches; body: { ids: [...] }. Each registration moves to Payment Verified (with its
+// receipt and email) unless it was already verified, in which case the credit is just recorded against it.
+app.post('/admin/api/bank-transactions/confirm', requireVerifier, (req, res) => {
+  const ids = [...new Set((Array.isArray((req.body || {}).ids) ? req.body.ids : []).map(Number))];
+  if (!ids.length) return res.status(400).json({ message: 'Select at least one credit.' });
+  if (ids.length > MAX_BULK_IDS) return res.status(400).json({ message: `Select at most ${MAX_BULK_IDS} credits at a time.` });
+
+  const results = [];
+  const emails = [];
+  db.transaction(() => {
+    for (const id of ids) {
+      const tx = getBankTransaction(id);
+      if (!tx) {
+        results.push({ id, ok: false, message: 'Not found' });
+        continue;
+      }
+      if (tx.status !== 'suggested' || !tx.registration_id) {
+        results.push({ id, ok: false, message: 'This credit has no match to confirm.' });
+        continue;
+      }
+      const row = followMerges(db.prepare('SELECT * FROM registrations WHERE id = ?').get(tx.registration_id));
+      const paid = PAID_STATUSES.includes(row.status);
+      if (!paid && !canTransition(row.status, 'Payment Verified')) {
+        results.push({ id, ok: false, registration_id: row.id, message: `Cannot change status from ${row.status} to Payment Verified.` });
+        continue;
+      }
+      // Each credit gets its own savepoint, so an error rolls back just that one
+      try {
+        db.transaction(() => {
+          const emailTemplate = paid ? null : recordStatusChange(row, 'Payment Verified', { notes: null, actorType: 'admin', actor: req.adminUser });
+          if (emailTemplate) emails.push({ row, emailTemplate });
+          logRegistrationEvent(row.id, { actorType: 'admin', actor: req.adminUser, action: 'bank_payment_matched', notes: bankCreditNote(tx) });
+          db.prepare("UPDATE bank_transactions SET status = 'confirmed', resolved_at = ?, resolved_by = ? WHERE id = ?")
+            .run(new Date().toISOString(), req.adminUser, tx.id);
+        })();
+        results.push({ id, ok: true, registration_id: row.id, old_status: row.status, status: paid ? row.status : 'Payment Verified' });
+      } catch (err) {
+        console.error(`[Bank] Failed to confirm credit ${id}:`, err.message);
+        results.push({ id, ok: false, registration_id: row.id, message: 'Could not confirm this credit.' });
+      }
+    }
+  })();
+
+  for (const { row, emailTemplate } of emails) {
+    queueEmail(row.email, emailTemplate.subject, emailTemplate.text, { html: emailTemplate.html, registrationId: row.id, attachments: emailTemplate.attachments });
+  }
+
+  const confirmed = results.filter(r => r.ok).length;
+  console.log(`[Bank] ${req.adminUser} confirmed ${confirmed} of ${ids.length} bank credits`);
+  res.json({ ok: true, confirmed, failed: ids.length - confirmed, results });
+});
+
+// Match a credit by hand. body: { registration: ID or payment reference } to choose the registration,
+// { registration: '' } to clear the match, or { ignore: true } for credits that aren't registration payments.
+app.post('/admin/api/bank-transactions/:id', requireVerifier, (req, res) => {
+  const tx = getBankTransaction(req.params.id);
+  if (!tx) return res.status(404).json({ message: 'Not found' });
+  if (tx.status === 'confirmed') return res.status(409).json({ message: 'This credit has already been confirmed.' });
+  const body = req.body || {};
+  const resolved = [new Date().toISOString(), req.adminUser];
+
+  if (body.ignore) {
+    db.prepare("UPDATE bank_transactions SET status = 'ignored', resolved_at = ?, resolved_by = ? WHERE id = ?").run(...resolved, tx.id);
+  } else if (!String(body.registration || '').trim()) {
+    db.prepare("UPDATE bank_transactions SET status = 'unmatched', registration_id = NULL, confidence = NULL, match_reasons = NULL, resolved_at = NULL, resolved_by = NULL WHERE id = ?")
+      .run(tx.id);
+  } else {
+    const value = String(body.registration).trim();
+    const row = followMerges(db.prepare('SELECT * FROM registrations WHERE id = ? OR payment_reference = ?').get(value, value.toUpperCase()));
+    if (!row) return res.status(400).json({ message: 'No registration has that ID or payment reference.' });
+    db.prepare("UPDATE bank_transactions SET status = 'suggested', registration_id = ?, confidence = NULL, match_reasons = ?, resolved_at = NULL, resolved_by = NULL WHERE id = ?")
+      .run(row.id, `chosen by ${req.adminUser}`, tx.id);
+  }
+  res.json({ ok: true, transaction: bankTransactionView(getBankTransaction(tx.id)) });
+});
+
+// Backups: one .tar.gz holding an online copy of the database, every file under UPLOAD_DIR and a manifest of
+// their sizes and SHA-256 checksums, so a restore can check the archive before it replaces anything
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const BACKUP_FORMAT = 1;
+const BACKUP_DB_ENTRY = 'database/bmts.sqlite';
+const BACKUP_NAME_PATTERN = /^bmts-backup-(\d{8}-\d{6})-([a-z-]+)\.tar\.gz$/;
+
+fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+let backupInProgress = false;
+
+// Paths of the files under dir, relative to it and with forward slashes as stored in the archive
+function listFilesUnder(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const rel = prefix + entry.name;
+    if (entry.isDirectory()) return listFilesUnder(path.join(dir, entry.name), rel + '/');
+    return entry.isFile() ? [rel] : [];
+  });
+}
+
+// Uploads, leaving out the backups themselves if BACKUP_DIR is inside UPLOAD_DIR
+function listUploadFiles() {
+  const backupsRel = path.relative(UPLOAD_DIR, BACKUP_DIR).split(path.sep).join('/');
+  const nested = backupsRel && !backupsRel.startsWith('..') && !path.isAbsolute(backupsRel);
+  return listFilesUnder(UPLOAD_DIR).filter(rel => !nested || !(rel + '/').startsWith(backupsRel + '/'));
+}
+
+function listBackups() {
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => BACKUP_NAME_PATTERN.test(name))
+    .map(name => {
+      const [, stamp, reason] = name.match(BACKUP_NAME_PATTERN);
+      const createdAt = `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`;
+      return { name, reason, created_at: createdAt, size: fs.statSync(path.join(BACKUP_DIR, name)).size };
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+function writeBackupArchive(file, manifest, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(file);
+    const archive = archiver('tar', { gzip: true });
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    entries.forEach(e => archive.file(e.source, { name: e.name }));
+    archive.finalize();
+  });
+}
+
+// reason is part of the file name: 'manual' and 'cli' backups are kept until deleted by hand, 'scheduled'
+// ones are pruned by the retention rules and 'pre-restore' holds what a restore replaced
+async function createBackup({ reason, createdBy = null }) {
+  if (backupInProgress) throw new Error('A backup is already running.');
+  backupInProgress = true;
+  const createdAt = new Date();
+  const stamp = createdAt.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const name = `bmts-backup-${stamp}-${reason}.tar.gz`;
+  let staging = null;
+  try {
+    staging = fs.mkdtempSync(path.join(BACKUP_DIR, '.staging-'));
+    // better-sqlite3's online backup copies a consistent snapshot while the server keeps writing
+    const dbCopy = path.join(staging, 'bmts.sqlite');
+    await db.backup(dbCopy);
+
+    const entries = [{ name: BACKUP_DB_ENTRY, source: dbCopy }]
+      .concat(listUploadFiles().map(rel => ({ name: `uploads/${rel}`, source: path.join(UPLOAD_DIR, rel) })))
+      // An upload deleted since the directory was listed is left out
+      .filter(e => fs.existsSync(e.source));
+    const files = entries.map(e => ({ path: e.name, size: fs.statSync(e.source).size, sha256: sha256File(e.source) }));
+    const manifest = {
+      format: BACKUP_FORMAT,
+      created_at: createdAt.toISOString(),
+      reason,
+      created_by: createdBy,
+      schema_version: db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version,
+      // Stored upload paths start with this, so a restore into a different UPLOAD_DIR can rewrite them
+      upload_dir: UPLOAD_DIR,
+      files
+    };
+
+    const partial = path.join(staging, name);
+    await writeBackupArchive(partial, manifest, entries);
+    fs.renameSync(partial, path.join(BACKUP_DIR, name));
+    const size = fs.statSync(path.join(BACKUP_DIR, name)).size;
+    console.log(`[Backup] Wrote ${name}${createdBy ? ` for ${createdBy}` : ''} (${files.length - 1} upload(s), ${size} bytes).`);
+    return { name, reason, created_at: manifest.created_at, size, uploads: files.length - 1 };
+  } finally {
+    if (staging) fs.rmSync(staging, { recursive: true, force: true });
+    backupInProgress = false;
+  }
+}
+
+// Scheduled backups beyond the newest BACKUP_KEEP, or older than BACKUP_KEEP_DAYS, are deleted. The newest
+// one is always kept.
+function pruneBackups() {
+  const keep = parseInt(process.env.BACKUP_KEEP || '14', 10);
+  const keepDays = parseFloat(process.env.BACKUP_KEEP_DAYS || '0');
+  const cutoff = keepDays > 0 ? new Date(Date.now() - keepDays * 24 * 3600 * 1000).toISOString() : null;
+  listBackups()
+    .filter(b => b.reason === 'scheduled')
+    .filter((b, i) => i > 0 && (i >= keep || (cutoff && b.created_at < cutoff)))
+    .forEach(b => {
+      fs.unlinkSync(path.join(BACKUP_DIR, b.name));
+      console.log(`[Backup] Deleted ${b.name} (retention).`);
+    });
+}
+
+function startBackupSchedule() {
+  const hours = parseFloat(process.env.BACKUP_INTERVAL_HOURS || '0');
+  if (!(hours > 0)) return;
+  const interval = hours * 3600 * 1000;
+  const run = () => createBackup({ reason: 'scheduled' })
+    .then(pruneBackups)
+    .catch(err => console.error('[Backup] Scheduled backup failed:', err.message));
+  // A restart doesn't take an extra backup if the last scheduled one is recent enough
+  const last = listBackups().find(b => b.reason === 'scheduled');
+  const wait = last ? Math.max(0, Date.parse(last.created_at) + interval - Date.now()) : 0;
+  setTimeout(() => {
+    run();
+    setInterval(run, interval);
+  }, wait);
+  console.log(`[Backup] Scheduled every ${hours} hour(s) into ${BACKUP_DIR}.`);
+}
+
+// Extracts the archive into workDir and checks it against its manifest: every listed file present with the
+// recorded size and checksum, nothing unlisted, and a database that passes SQLite's integrity check
+async function verifyBackup(archivePath, workDir) {
+  await tar.x({ file: archivePath, cwd: workDir, strict: true });
+  const manifestPath = path.join(workDir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) throw new Error('The archive has no manifest.json.');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+    throw new Error('The archive is not a backup made by this application.');
+  }
+
+  const problems = [];
+  const listed = new Set();
+  manifest.files.forEach(f => {
+    const filePath = path.join(workDir, f.path);
+    if (!/^(database|uploads)\//.test(f.path) || path.relative(workDir, filePath).startsWith('..')) {
+      problems.push(`${f.path}: not a path a backup can contain`);
+      return;
+    }
+    listed.add(f.path);
+    if (!fs.existsSync(filePath)) problems.push(`${f.path}: missing from the archive`);
+    else if (fs.statSync(filePath).size !== f.size) problems.push(`${f.path}: size doesn't match the manifest`);
+    else if (sha256File(filePath) !== f.sha256) problems.push(`${f.path}: checksum doesn't match the manifest`);
+  });
+  if (!listed.has(BACKUP_DB_ENTRY)) problems.push(`${BACKUP_DB_ENTRY}: not in the manifest`);
+  listFilesUnder(workDir)
+    .filter(rel => rel !== 'manifest.json' && !listed.has(rel))
+    .forEach(rel => problems.push(`${rel}: in the archive but not in the manifest`));
+
+  if (!problems.length) {
+    const restored = new Database(path.join(workDir, BACKUP_DB_ENTRY), { readonly: true });
+    try {
+      const result = restored.pragma('integrity_check', { simple: true });
+      if (result !== 'ok') problems.push(`${BACKUP_DB_ENTRY}: integrity check failed (${result})`);
+    } finally {
+      restored.close();
+    }
+  }
+  if (problems.length) throw new Error(`The backup failed verification:\n  ${problems.join('\n  ')}`);
+  return manifest;
+}
+
+// Point stored upload paths at this server's UPLOAD_DIR when the backup came from one with a different setting
+function relocateUploadPaths(dbFile, fromDir, toDir) {
+  const from = path.normalize(fromDir || '') + path.sep;
+  const to = path.normalize(toDir) + path.sep;
+  if (!fromDir || from === to) return;
+  const restored = new Database(dbFile);
+  const hasColumn = (table, column) => restored.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  // JSON attachment lists hold the same paths as escaped strings
+  const escaped = value => JSON.stringify(value).slice(1, -1);
+  try {
+    restored.transaction(() => {
+      [['registrations', 'payment_file_path'], ['payment_proofs', 'file_path']].filter(([t, c]) => hasColumn(t, c)).forEach(([t, c]) => {
+        restored.prepare(`UPDATE ${t} SET ${c} = ? || substr(${c}, ?) WHERE substr(${c}, 1, ?) = ?`).run(to, from.length + 1, from.length, from);
+      });
+      [['email_outbox', 'attachments'], ['broadcasts', 'attachments']].filter(([t, c]) => hasColumn(t, c)).forEach(([t, c]) => {
+        restored.prepare(`UPDATE ${t} SET ${c} = replace(${c}, ?, ?) WHERE instr(${c}, ?) > 0`).run(`"${escaped(from)}`, `"${escaped(to)}`, `"${escaped(from)}`);
+      });
+    })();
+  } finally {
+    restored.close();
+  }
+}
+
+app.get('/admin/api/backups', requireSuperAdmin, (req, res) => {
+  res.json({
+    rows: listBackups(),
+    running: backupInProgress,
+    interval_hours: parseFloat(process.env.BACKUP_INTERVAL_HOURS || '0') || null
+  });
+});
+
+app.post('/admin/api/backups', requireSuperAdmin, async (req, res) => {
+  if (backupInProgress) return res.status(409).json({ message: 'A backup is already running.' });
+  try {
+    const backup = await createBackup({ reason: 'manual', createdBy: req.admin.username });
+    res.status(201).json({ ok: true, backup });
+  } catch (err) {
+    console.error('[Backup] Backup failed:', err.message);
+    res.status(500).json({ message: 'The backup failed. Check the server log.' });
+  }
+});
+
+app.get('/admin/api/backups/:name', requireSuperAdmin, (req, res) => {
+  const backup = listBackups().find(b => b.name === req.params.name);
+  if (!backup) return res.status(404).json({ message: 'Not found' });
+  res.download(path.join(BACKUP_DIR, backup.name));
 });
 
 app.get('/health', (req, res) => res.json({ ok: true }));
 
+// Errors passed on by a route or middleware (multer, the body parsers) are answered with JSON like the routes'
+// own, rather than Express's HTML page with the stack trace
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error(`[Server] ${req.method} ${req.path} failed:`, err.stack || err.message);
+  if (res.headersSent) return next(err);
+  res.status(status).json({ message: status >= 500 ? 'Something went wrong. Please try again later.' : err.message });
+});
+
 // Heartbeat mechanism to prevent instance spin-down - runs continuously
 function startHeartbeat() {
   const heartbeatUrl = process.env.HEARTBEAT_URL || `http://localhost:${PORT}/health`;
@@ -858,7 +4996,131 @@ function startHeartbeat() {
   console.log(`[Heartbeat] Started - continuously pinging ${heartbeatUrl} every ${intervalSeconds} second(s)`);
 }
 
-app.listen(PORT, () => {
-  console.log(`BMTS Events running on port ${PORT}`);
-  startHeartbeat();
-});
+// Command-line tasks: `node index.js <command> [--option value]` runs the task and exits instead of starting the server
+function parseCliArgs(args) {
+  const opts = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) continue;
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      opts[args[i].slice(2)] = true;
+    } else {
+      opts[args[i].slice(2)] = next;
+      i++;
+    }
+  }
+  return opts;
+}
+
+function prompt(question, { hidden = false } = {}) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: !!process.stdin.isTTY });
+    rl.question(question, answer => {
+      rl.close();
+      if (hidden && process.stdin.isTTY) process.stdout.write('\n');
+      resolve(answer);
+    });
+    // Input ended (e.g. nothing piped in) without an answer
+    rl.on('close', () => resolve(''));
+    // Don't echo passwords typed at a terminal
+    if (hidden && process.stdin.isTTY) rl._writeToOutput = () => {};
+  });
+}
+
+async function createAdminCommand(opts) {
+  const username = opts.username || await prompt('Username: ');
+  const role = opts.role || 'super_admin';
+  if (!ADMIN_ROLES.includes(role)) throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}.`);
+  // NEW_ADMIN_PASSWORD allows non-interactive use, e.g. from a provisioning script
+  const password = process.env.NEW_ADMIN_PASSWORD || await prompt('Password: ', { hidden: true });
+  createAdminUser({ username, password, role, name: opts.name || null, email: opts.email || null });
+  console.log(`[Admin] Created ${role} '${String(username).trim().toLowerCase()}'.`);
+}
+
+async function backupCommand() {
+  const backup = await createBackup({ reason: 'cli', createdBy: 'cli' });
+  console.log(path.join(BACKUP_DIR, backup.name));
+}
+
+// Run with the server stopped: the database file and the contents of UPLOAD_DIR are replaced in place
+async function restoreCommand(opts) {
+  if (!opts.file || opts.file === true) throw new Error('Name the backup to restore with --file <archive>.');
+  const archivePath = [path.resolve(opts.file), path.join(BACKUP_DIR, opts.file)].find(p => fs.existsSync(p));
+  if (!archivePath) throw new Error(`${opts.file} not found.`);
+
+  const workDir = fs.mkdtempSync(path.join(BACKUP_DIR, '.restore-'));
+  try {
+    const manifest = await verifyBackup(archivePath, workDir);
+    const uploads = manifest.files.filter(f => f.path.startsWith('uploads/')).map(f => f.path.slice('uploads/'.length));
+    console.log(`[Backup] ${path.basename(archivePath)} verified: database and ${uploads.length} upload(s), taken ${manifest.created_at}.`);
+    if (opts['dry-run']) return;
+
+    if (!opts.yes) {
+      const answer = await prompt(`This replaces ${DB_PATH} and everything in ${UPLOAD_DIR}. Stop the server first. Type "restore" to continue: `);
+      if (answer.trim() !== 'restore') throw new Error('Restore cancelled. Nothing was changed.');
+    }
+    // Keep what's about to be replaced, in case it was the wrong archive
+    const safety = await createBackup({ reason: 'pre-restore', createdBy: 'cli' });
+
+    const restoredDb = path.join(workDir, BACKUP_DB_ENTRY);
+    relocateUploadPaths(restoredDb, manifest.upload_dir, UPLOAD_DIR);
+    db.close();
+    ['-wal', '-shm', '-journal'].forEach(suffix => fs.rmSync(DB_PATH + suffix, { force: true }));
+    fs.copyFileSync(restoredDb, DB_PATH);
+
+    const restoring = new Set(uploads);
+    listUploadFiles().filter(rel => !restoring.has(rel)).forEach(rel => fs.unlinkSync(path.join(UPLOAD_DIR, rel)));
+    uploads.forEach(rel => {
+      const target = path.join(UPLOAD_DIR, rel);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(workDir, 'uploads', rel), target);
+    });
+    console.log(`[Backup] Restored ${path.basename(archivePath)}. The previous data is in ${safety.name}.`);
+    console.log('[Backup] Start the server to apply any schema migrations newer than the backup.');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+const CLI_COMMANDS = {
+  'create-admin': {
+    run: createAdminCommand,
+    usage: `create-admin --username <username> [--role ${ADMIN_ROLES.join('|')}] [--name "Full Name"] [--email address]`
+  },
+  backup: {
+    run: backupCommand,
+    usage: 'backup'
+  },
+  restore: {
+    run: restoreCommand,
+    usage: 'restore --file <archive> [--dry-run] [--yes]'
+  }
+};
+
+const cliCommand = process.argv[2];
+if (require.main !== module) {
+  // Required by the tests, which start the app on a port of their own and run the background jobs when they need to
+  module.exports = { app, db, expireWaitlistOffers, processOutbox, startEmailWorker };
+} else if (cliCommand) {
+  const command = CLI_COMMANDS[cliCommand];
+  if (!command) {
+    console.error(`[CLI] Unknown command '${cliCommand}'. Available commands:`);
+    Object.values({ ...MIGRATION_COMMANDS, ...CLI_COMMANDS }).forEach(c => console.error(`  node index.js ${c.usage}`));
+    process.exit(1);
+  }
+  command.run(parseCliArgs(process.argv.slice(3)))
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(`[CLI] ${err.message}`);
+      process.exit(1);
+    });
+} else {
+  app.listen(PORT, () => {
+    console.log(`BMTS Events running on port ${PORT}`);
+    startHeartbeat();
+    startWaitlistSweep();
+    startEmailWorker();
+    startBackupSchedule();
+    startUploadSweep();
+  });
+}
@@ -0,0 +1,29 @@
+// The first registrations table required a payment method. Older databases get the table rebuilt without
+// that NOT NULL constraint (this was the RUN_DB_MIGRATION block in index.js).
+module.exports = {
+  description: 'Allow registrations without a payment method',
+  up(db) {
+    // New databases get the table from the baseline schema
+    const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'registrations'").get();
+    if (!table) return;
+    const columns = db.prepare('PRAGMA table_info(registrations)').all();
+    const paymentMethod = columns.find(c => c.name === 'payment_method');
+    if (!paymentMethod || !paymentMethod.notnull) return;
+
+    // Rebuild from the table's own definition so columns added since the first schema are kept
+    const createSql = table.sql
+      .replace(/(payment_method\s+TEXT)\s+NOT\s+NULL/i, '$1')
+      .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`[]?registrations["`\]]?/i, 'CREATE TABLE _registrations_new');
+    if (/payment_method\s+TEXT\s+NOT\s+NULL/i.test(createSql)) {
+      throw new Error('Could not remove the NOT NULL constraint from registrations.payment_method.');
+    }
+    const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'registrations' AND sql IS NOT NULL").all();
+    const columnNames = columns.map(c => c.name).join(', ');
+
+    db.exec(createSql);
+    db.exec(`INSERT INTO _registrations_new (${columnNames}) SELECT ${columnNames} FROM registrations`);
+    db.exec('DROP TABLE registrations');
+    db.exec('ALTER TABLE _registrations_new RENAME TO registrations');
+    indexes.forEach(i => db.exec(i.sql));
+  }
+};
@@ -0,0 +1,223 @@
+// The schema as it stood when migrations were introduced. Databases from before then already have some of
+// these tables and columns, so everything here only adds what's missing.
+
+module.exports = {
+  description: 'Baseline schema',
+  up(db, { ensureColumn }) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS registrations (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        middle_temple_member TEXT,
+        bmts_member_interest TEXT,
+        title TEXT NOT NULL,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        company TEXT,
+        po_box TEXT,
+        city TEXT,
+        telephone TEXT NOT NULL,
+        email TEXT NOT NULL,
+        practice_track TEXT NOT NULL,
+        payment_method TEXT,
+        payment_file_name TEXT,
+        payment_file_path TEXT,
+        admin_notes TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_reg_created_at ON registrations(created_at);
+      CREATE INDEX IF NOT EXISTS idx_reg_status ON registrations(status);
+
+      CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        programme TEXT,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        venue TEXT,
+        venue_address TEXT,
+        location TEXT,
+        timezone TEXT NOT NULL DEFAULT 'America/Nassau',
+        fee_standard REAL,
+        fee_early_bird REAL,
+        fee_member REAL,
+        early_bird_deadline TEXT,
+        capacity INTEGER,
+        registration_opens_at TEXT,
+        registration_closes_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS payment_proofs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        registration_id TEXT NOT NULL REFERENCES registrations(id),
+        uploaded_at TEXT NOT NULL,
+        original_name TEXT,
+        file_path TEXT NOT NULL,
+        mimetype TEXT,
+        size INTEGER,
+        sha256 TEXT,
+        uploaded_by_type TEXT NOT NULL,
+        uploaded_by TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_proof_registration ON payment_proofs(registration_id);
+
+      CREATE TABLE IF NOT EXISTS registration_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        registration_id TEXT NOT NULL REFERENCES registrations(id),
+        created_at TEXT NOT NULL,
+        actor_type TEXT NOT NULL,
+        actor TEXT,
+        action TEXT NOT NULL,
+        old_status TEXT,
+        new_status TEXT,
+        notes TEXT,
+        email_sent TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_reg_events_registration ON registration_events(registration_id);
+
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        name TEXT,
+        email TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        last_login_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        registration_id TEXT,
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        sent_at TEXT,
+        message_id TEXT,
+        resent_from INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_outbox_due ON email_outbox(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_outbox_registration ON email_outbox(registration_id);
+
+      CREATE TABLE IF NOT EXISTS email_templates (
+        name TEXT PRIMARY KEY,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        updated_by TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS attendance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        registration_id TEXT NOT NULL,
+        event_id INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        checked_in_at TEXT NOT NULL,
+        checked_in_by TEXT,
+        method TEXT NOT NULL,
+        UNIQUE (registration_id, day)
+      );
+      CREATE INDEX IF NOT EXISTS idx_attendance_event_day ON attendance(event_id, day);
+
+      CREATE TABLE IF NOT EXISTS billing_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        number TEXT NOT NULL UNIQUE,
+        registration_id TEXT NOT NULL,
+        event_id INTEGER NOT NULL,
+        payer_name TEXT NOT NULL,
+        firm TEXT,
+        address TEXT,
+        email TEXT,
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        fee_label TEXT,
+        payment_method TEXT,
+        issued_at TEXT NOT NULL,
+        issued_by TEXT,
+        voided_at TEXT,
+        voided_by TEXT,
+        void_reason TEXT,
+        replaced_by TEXT,
+        UNIQUE (kind, seq)
+      );
+      CREATE INDEX IF NOT EXISTS idx_billing_registration ON billing_documents(registration_id);
+
+      CREATE TABLE IF NOT EXISTS certificates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        certificate_number TEXT NOT NULL UNIQUE,
+        registration_id TEXT NOT NULL UNIQUE,
+        event_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        practice_track TEXT NOT NULL,
+        issued_at TEXT NOT NULL,
+        issued_by TEXT,
+        revoked_at TEXT,
+        emailed_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS broadcasts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        segment TEXT NOT NULL,
+        attachments TEXT,
+        recipient_count INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        token_hash TEXT PRIMARY KEY,
+        admin_user_id INTEGER NOT NULL REFERENCES admin_users(id),
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_seen_at TEXT,
+        ip TEXT,
+        user_agent TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(admin_user_id);
+    `);
+
+    ensureColumn('registrations', 'event_id', 'INTEGER REFERENCES events(id)');
+    ensureColumn('registrations', 'amount_due', 'REAL');
+    ensureColumn('registrations', 'fee_tier', 'TEXT');
+    ensureColumn('registrations', 'registrant_message', 'TEXT');
+    ensureColumn('registrations', 'updated_at', 'TEXT');
+    // Set at submission when the registration looks like a repeat of an earlier one
+    ensureColumn('registrations', 'duplicate_of', 'TEXT');
+    ensureColumn('registrations', 'merged_into', 'TEXT');
+    ensureColumn('registrations', 'merged_at', 'TEXT');
+    // Where a proof or history entry came from when registrations are merged
+    ensureColumn('payment_proofs', 'merged_from', 'TEXT');
+    ensureColumn('registration_events', 'merged_from', 'TEXT');
+    ensureColumn('events', 'track_capacity', 'TEXT');
+    // A waitlisted registration holds a seat until its offer expires; a lapsed offer isn't repeated automatically
+    ensureColumn('registrations', 'waitlist_offer_expires_at', 'TEXT');
+    ensureColumn('registrations', 'waitlist_offer_lapsed_at', 'TEXT');
+    // Files sent with an email, as JSON [{ filename, path, contentType }], and the broadcast it belongs to
+    ensureColumn('email_outbox', 'attachments', 'TEXT');
+    ensureColumn('email_outbox', 'broadcast_id', 'INTEGER');
+    // Programme days a registrant must attend for a certificate (all of them when null), and a per-registration
+    // 'eligible' / 'ineligible' override of that rule
+    ensureColumn('events', 'certificate_min_days', 'INTEGER');
+    ensureColumn('registrations', 'certificate_override', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_reg_event ON registrations(event_id)');
+  }
+};
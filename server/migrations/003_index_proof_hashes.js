@@ -0,0 +1,7 @@
+// Proofs are looked up by hash to spot the same file sent for more than one registration
+module.exports = {
+  description: 'Index payment proofs by SHA-256',
+  up(db) {
+    db.exec('CREATE INDEX IF NOT EXISTS idx_proof_sha256 ON payment_proofs(sha256)');
+  }
+};
@@ -0,0 +1,62 @@
+// Each registration gets a short reference to quote on its bank transfer, so imported bank statements can be
+// matched back to it. Existing registrations are given one here. The alphabet leaves out 0/O and 1/I/L, which
+// get mixed up when a reference is typed into a banking app.
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+function newReference(taken) {
+  for (;;) {
+    const reference = 'BMTS-' + Array.from(crypto.randomBytes(6), b => ALPHABET[b % ALPHABET.length]).join('');
+    if (!taken.has(reference)) {
+      taken.add(reference);
+      return reference;
+    }
+  }
+}
+
+module.exports = {
+  description: 'Add payment references and bank statement imports',
+  up(db, { ensureColumn }) {
+    ensureColumn('registrations', 'payment_reference', 'TEXT');
+
+    const taken = new Set(db.prepare('SELECT payment_reference FROM registrations WHERE payment_reference IS NOT NULL').pluck().all());
+    const setReference = db.prepare('UPDATE registrations SET payment_reference = ? WHERE id = ?');
+    for (const id of db.prepare('SELECT id FROM registrations WHERE payment_reference IS NULL ORDER BY created_at').pluck().all()) {
+      setReference.run(newReference(taken), id);
+    }
+
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_reg_payment_reference ON registrations(payment_reference);
+
+      CREATE TABLE IF NOT EXISTS bank_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        imported_at TEXT NOT NULL,
+        imported_by TEXT,
+        file_name TEXT,
+        sha256 TEXT,
+        row_count INTEGER NOT NULL,
+        credit_count INTEGER NOT NULL,
+        new_count INTEGER NOT NULL
+      );
+
+      -- Only credits are kept. fingerprint stops a transaction being added twice when statements overlap.
+      CREATE TABLE IF NOT EXISTS bank_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        import_id INTEGER NOT NULL REFERENCES bank_imports(id),
+        fingerprint TEXT NOT NULL UNIQUE,
+        posted_on TEXT,
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        registration_id TEXT REFERENCES registrations(id),
+        confidence INTEGER,
+        match_reasons TEXT,
+        status TEXT NOT NULL,
+        resolved_at TEXT,
+        resolved_by TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_bank_tx_status ON bank_transactions(status);
+      CREATE INDEX IF NOT EXISTS idx_bank_tx_registration ON bank_transactions(registration_id);
+    `);
+  }
+};
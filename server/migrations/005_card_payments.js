@@ -0,0 +1,32 @@
+// Card payments taken through a hosted checkout, and the provider webhook events already handled (providers
+// retry and may send the same event more than once)
+module.exports = {
+  description: 'Add card payments',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS card_payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        registration_id TEXT NOT NULL REFERENCES registrations(id),
+        provider TEXT NOT NULL,
+        checkout_id TEXT NOT NULL UNIQUE,
+        payment_id TEXT,
+        amount REAL NOT NULL,
+        currency TEXT NOT NULL,
+        status TEXT NOT NULL,
+        amount_refunded REAL NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        paid_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_card_payment_registration ON card_payments(registration_id);
+
+      CREATE TABLE IF NOT EXISTS payment_webhook_events (
+        provider TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        type TEXT,
+        received_at TEXT NOT NULL,
+        PRIMARY KEY (provider, event_id)
+      );
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+// Registration attempts turned away by the abuse checks. Repeats of the same reason from the same address
+// within an hour add to one row's count rather than each adding a row, so a flood can't fill the database.
+module.exports = {
+  description: 'Add a log of rejected registration attempts',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS abuse_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reason TEXT NOT NULL,
+        ip TEXT,
+        email TEXT,
+        detail TEXT,
+        count INTEGER NOT NULL DEFAULT 1,
+        first_at TEXT NOT NULL,
+        last_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_abuse_reason_ip ON abuse_events(reason, ip);
+      CREATE INDEX IF NOT EXISTS idx_abuse_last_at ON abuse_events(last_at);
+    `);
+  }
+};
@@ -0,0 +1,145 @@
+// A stand-in card processor so the whole card flow can be tried offline. Its "hosted checkout" is a page on
+// this server with Pay and Decline buttons. It calls the webhook the way a real provider would: a JSON body,
+// signed with an HMAC-SHA256 of `${timestamp}.${body}` sent as X-Mock-Signature: t=<timestamp>,v1=<hex>.
+// Sessions are kept in memory, so a checkout started before a restart can't be completed.
+const crypto = require('crypto');
+
+// Signed events older than this are refused, so a captured webhook can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+module.exports = function createMockProvider({ secret, webhookUrl }) {
+  const sessions = new Map();
+  const payments = new Map();
+
+  function sign(body, timestamp) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async function sendEvent(type, data) {
+    const body = JSON.stringify({ id: randomId('evt'), type, created: Math.floor(Date.now() / 1000), data });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': `t=${timestamp},v1=${sign(body, timestamp)}` },
+      body
+    });
+    if (!res.ok) throw new Error(`Webhook returned ${res.status}`);
+  }
+
+  function checkoutPage(session) {
+    const amount = `${session.currency} ${Number(session.amount).toFixed(2)}`;
+    return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+  <meta name="robots" content="noindex,nofollow">
+  <title>Mock Card Payment</title>
+  <style>
+    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;background:#f4f5f7;color:#0f1013;margin:0;padding:40px 16px}
+    .box{max-width:420px;margin:0 auto;background:#fff;border-radius:14px;padding:24px;box-shadow:0 6px 24px rgba(0,0,0,.08)}
+    .warn{background:#fff4d6;border-radius:10px;padding:10px;font-size:13px;margin-bottom:16px}
+    button{padding:12px 16px;border-radius:10px;border:0;font-weight:700;cursor:pointer;margin-right:8px}
+    .pay{background:#1f6f4a;color:#fff}
+  </style>
+</head>
+<body>
+  <div class="box">
+    <div class="warn">Test checkout from the mock payment provider. No card is charged.</div>
+    <div>${escapeHtml(session.description)}</div>
+    <div style="font-size:28px;font-weight:800;margin:10px 0">${escapeHtml(amount)}</div>
+    <div style="font-size:13px;color:#5b6270;margin-bottom:18px">Reference ${escapeHtml(session.reference)}</div>
+    <form method="post">
+      <button class="pay" name="action" value="pay">Pay ${escapeHtml(amount)}</button>
+      <button name="action" value="decline">Decline card</button>
+    </form>
+  </div>
+</body>
+</html>`;
+  }
+
+  return {
+    name: 'mock',
+    label: 'Mock provider (testing only)',
+
+    async createCheckout({ reference, amount, currency, description, email, successUrl, cancelUrl }) {
+      const id = randomId('cs_mock');
+      sessions.set(id, { id, reference, amount, currency, description, email, successUrl, cancelUrl, status: 'open' });
+      return { id, url: `/mock-checkout/${id}` };
+    },
+
+    parseWebhook(rawBody, headers) {
+      const header = String(headers['x-mock-signature'] || '');
+      const parts = Object.fromEntries(header.split(',').map(p => p.trim().split('=')));
+      const timestamp = Number(parts.t);
+      if (!timestamp || !parts.v1) throw new Error('Missing signature');
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) throw new Error('Signature has expired');
+      const expected = Buffer.from(sign(rawBody.toString('utf8'), timestamp), 'hex');
+      const given = Buffer.from(parts.v1, 'hex');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new Error('Signature does not match');
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return { id: event.id, type: event.type, ...event.data };
+    },
+
+    async refund({ paymentId, amount }) {
+      const payment = payments.get(paymentId);
+      if (!payment) throw new Error('The mock provider has no record of this payment (it was probably made before a restart).');
+      if (amount > payment.amount - payment.amount_refunded + 0.005) throw new Error('The refund is more than is left of the payment.');
+      payment.amount_refunded = Math.round((payment.amount_refunded + amount) * 100) / 100;
+      const id = randomId('re_mock');
+      // Real providers confirm refunds by webhook too, after the API call has returned
+      setImmediate(() => {
+        sendEvent('payment.refunded', {
+          checkout_id: payment.checkout_id,
+          payment_id: paymentId,
+          amount: payment.amount,
+          currency: payment.currency,
+          amount_refunded: payment.amount_refunded
+        }).catch(err => console.error('[Payments] Mock refund webhook failed:', err.message));
+      });
+      return { id };
+    },
+
+    // The hosted checkout page
+    mount(app) {
+      app.get('/mock-checkout/:id', (req, res) => {
+        const session = sessions.get(req.params.id);
+        if (!session || session.status !== 'open') return res.status(404).send('This checkout has expired.');
+        res.type('html').send(checkoutPage(session));
+      });
+
+      app.post('/mock-checkout/:id', async (req, res) => {
+        const session = sessions.get(req.params.id);
+        if (!session || session.status !== 'open') return res.status(404).send('This checkout has expired.');
+        const paid = (req.body || {}).action === 'pay';
+        const payment = paid
+          ? { id: randomId('pi_mock'), checkout_id: session.id, amount: session.amount, currency: session.currency, amount_refunded: 0 }
+          : null;
+        try {
+          await sendEvent(paid ? 'checkout.completed' : 'checkout.failed', {
+            checkout_id: session.id,
+            payment_id: payment ? payment.id : null,
+            amount: session.amount,
+            currency: session.currency
+          });
+        } catch (err) {
+          console.error('[Payments] Mock webhook failed:', err.message);
+          return res.status(502).send('The payment could not be confirmed. Please try again.');
+        }
+        session.status = paid ? 'complete' : 'open';
+        if (payment) payments.set(payment.id, payment);
+        res.redirect(303, paid ? session.successUrl : session.cancelUrl);
+      });
+    }
+  };
+};
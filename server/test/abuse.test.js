@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const { setup } = require('./helpers');
+
+const ctx = setup({ REGISTER_MIN_SECONDS: '5', REGISTER_IP_LIMIT: '10', REGISTER_EMAIL_LIMIT: '2', REGISTER_POW_DIFFICULTY: '8' });
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+const uploadCount = () => fs.readdirSync(process.env.UPLOAD_DIR).filter(name => name.includes('.')).length;
+const abuse = reason => ctx.db.prepare('SELECT * FROM abuse_events WHERE reason = ?').get(reason);
+
+// Form tokens record when they were issued, so each test moves a mocked clock on itself
+function startClock(t) {
+  let now = Date.now();
+  t.mock.timers.enable({ apis: ['Date'], now });
+  return seconds => {
+    now += seconds * 1000;
+    t.mock.timers.setTime(now);
+  };
+}
+
+async function challenge() {
+  return (await fetch(`${ctx.base}/api/register/challenge`)).json();
+}
+
+// What the form's script does: find a nonce whose hash with the token starts with enough zero bits
+function solve(token, difficulty) {
+  for (let nonce = 0; ; nonce++) {
+    const hash = crypto.createHash('sha256').update(`${token}:${nonce}`).digest();
+    if (hash.readUInt32BE(0) >>> (32 - difficulty) === 0) return String(nonce);
+  }
+}
+
+// A registration sent the given number of seconds after the form was opened
+async function submit(wait, fields = {}, { after = 6, pow = true } = {}) {
+  const { form_token: token, pow_difficulty: difficulty } = await challenge();
+  wait(after);
+  return ctx.register({ form_token: token, pow_nonce: pow ? solve(token, difficulty) : '', ...fields });
+}
+
+test('a form opened, solved and filled in at a human pace is accepted', async t => {
+  const { honeypot_field: honeypot, pow_difficulty: difficulty } = await challenge();
+  assert.strictEqual(honeypot, 'website');
+  assert.strictEqual(difficulty, 8);
+  const res = await submit(startClock(t), { email: 'human@example.com' });
+  assert.strictEqual(res.status, 200);
+});
+
+test('a form sent back within REGISTER_MIN_SECONDS is refused', async t => {
+  const res = await submit(startClock(t), { email: 'quick@example.com' }, { after: 2 });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.message, /quicker than we expected/);
+  assert.ok(abuse('too_fast'));
+});
+
+test('the proof of work has to be done', async t => {
+  const wait = startClock(t);
+  const unsolved = await submit(wait, { email: 'lazy@example.com' }, { pow: false });
+  assert.strictEqual(unsolved.status, 400);
+  assert.strictEqual(unsolved.body.reload, true);
+
+  const { form_token: token } = await challenge();
+  wait(6);
+  const wrong = await ctx.register({ email: 'lazy@example.com', form_token: token, pow_nonce: 'abc' });
+  assert.strictEqual(wrong.status, 400);
+  assert.strictEqual(abuse('proof_of_work').count, 2);
+});
+
+test('a form token can\'t be forged or used twice', async t => {
+  const wait = startClock(t);
+  const { form_token: token } = await challenge();
+  wait(6);
+  const nonce = solve(token, 8);
+  assert.strictEqual((await ctx.register({ email: 'once@example.com', form_token: token, pow_nonce: nonce })).status, 200);
+  const replayed = await ctx.register({ email: 'twice@example.com', form_token: token, pow_nonce: nonce });
+  assert.strictEqual(replayed.status, 400);
+  assert.strictEqual(replayed.body.reload, true);
+
+  const forged = await ctx.register({ email: 'forged@example.com', form_token: `${token.split('.').slice(0, 2).join('.')}.AAAA`, pow_nonce: nonce });
+  assert.strictEqual(forged.status, 400);
+  assert.strictEqual(abuse('form_token').count, 2);
+});
+
+test('a filled-in honeypot is refused and its proof isn\'t kept', async t => {
+  const before = uploadCount();
+  const res = await submit(startClock(t), { email: 'bot@example.com', website: 'http://spam.example' });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(uploadCount(), before);
+  assert.strictEqual(ctx.db.prepare("SELECT COUNT(*) FROM registrations WHERE email = 'bot@example.com'").pluck().get(), 0);
+  assert.strictEqual(abuse('honeypot').email, 'bot@example.com');
+});
+
+test('registrations per email are limited', async t => {
+  const wait = startClock(t);
+  // human@example.com registered once already
+  assert.strictEqual((await submit(wait, { email: 'Human@Example.com ' })).status, 200);
+  const res = await submit(wait, { email: 'human@example.com' });
+  assert.strictEqual(res.status, 429);
+  assert.match(res.body.message, /already been made with this email address today/);
+});
+
+test('submissions per IP address are limited before the upload is read', async t => {
+  // Ten submissions so far; the next one is over the limit
+  const before = uploadCount();
+  const res = await submit(startClock(t), { email: 'eleventh@example.com' });
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(uploadCount(), before);
+
+  const { totals, limits } = await (await ctx.request('/admin/api/abuse')).json();
+  assert.strictEqual(totals.ip_rate_limit, 1);
+  assert.strictEqual(limits.ip_per_hour, 10);
+  assert.strictEqual(limits.email_per_day, 2);
+  assert.strictEqual(limits.pow_difficulty, 8);
+});
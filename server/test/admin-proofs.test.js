@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup, pdfFile } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+function proofForm(blob, name) {
+  const form = new FormData();
+  form.append('payment_proof', blob, name);
+  return form;
+}
+
+test('admin proof uploads', async t => {
+  const { body } = await ctx.register();
+  const url = `/admin/api/registration/${body.registration_id}/payment-proof`;
+
+  await t.test('a file of the wrong type gets a JSON 400', async () => {
+    const res = await ctx.request(url, { method: 'POST', body: proofForm(new Blob(['hello']), 'notes.txt') });
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).message, /PDF, JPG, JPEG,? or PNG/);
+  });
+
+  await t.test('two files get a JSON 400', async () => {
+    const proof = pdfFile();
+    const form = proofForm(proof.blob, proof.name);
+    form.append('payment_proof', proof.blob, 'again.pdf');
+    const res = await ctx.request(url, { method: 'POST', body: form });
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).message, /single file/);
+  });
+
+  await t.test('an unknown registration is a 404', async () => {
+    const proof = pdfFile();
+    const res = await ctx.request('/admin/api/registration/nope/payment-proof', { method: 'POST', body: proofForm(proof.blob, proof.name) });
+    assert.strictEqual(res.status, 404);
+  });
+
+  await t.test('every proof is kept, newest first', async () => {
+    const proof = pdfFile('emailed.pdf');
+    const res = await ctx.request(url, { method: 'POST', body: proofForm(proof.blob, proof.name) });
+    assert.strictEqual(res.status, 200);
+    const id = (await res.json()).id;
+    assert.strictEqual(ctx.db.prepare('SELECT uploaded_by_type FROM payment_proofs WHERE id = ?').pluck().get(id), 'admin');
+
+    const list = await (await ctx.request(url)).json();
+    assert.deepStrictEqual(list.rows.map(p => p.original_name), ['emailed.pdf', 'proof.pdf']);
+  });
+});
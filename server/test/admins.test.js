@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+const PASSWORD = 'a-long-password';
+
+async function createAdmin(username, role) {
+  const res = await ctx.request('/admin/api/users', { method: 'POST', body: { username, password: PASSWORD, role } });
+  assert.strictEqual(res.status, 200);
+  return ctx.login(username, PASSWORD);
+}
+
+test('signing in', async t => {
+  await t.test('the API needs a session and the dashboard sends you to log in', async () => {
+    assert.strictEqual((await fetch(`${ctx.base}/admin/api/registrations`)).status, 401);
+    const page = await fetch(`${ctx.base}/admin/`, { redirect: 'manual' });
+    assert.strictEqual(page.status, 302);
+    assert.strictEqual(page.headers.get('location'), '/admin/login');
+  });
+
+  await t.test('a wrong password is refused', async () => {
+    assert.strictEqual(await ctx.login('tester', 'not-the-password'), null);
+  });
+
+  await t.test('ADMIN_USER becomes the first super admin', async () => {
+    const me = await (await ctx.request('/admin/api/me')).json();
+    assert.strictEqual(me.user.role, 'super_admin');
+  });
+
+  await t.test('a short password is refused', async () => {
+    const res = await ctx.request('/admin/api/users', { method: 'POST', body: { username: 'shorty', password: 'short', role: 'viewer' } });
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+test('roles', async t => {
+  const { body } = await ctx.register();
+  const statusUrl = `/admin/api/registration/${body.registration_id}/status`;
+  const viewer = await createAdmin('vera', 'viewer');
+  const verifier = await createAdmin('victor', 'verifier');
+
+  await t.test('a viewer can read but not change a registration', async () => {
+    assert.strictEqual((await ctx.request('/admin/api/registrations', { cookie: viewer })).status, 200);
+    const res = await ctx.request(statusUrl, { method: 'POST', cookie: viewer, body: { status: 'Payment Verified' } });
+    assert.strictEqual(res.status, 403);
+  });
+
+  await t.test('a verifier can change a status, recorded under their name', async () => {
+    const res = await ctx.request(statusUrl, { method: 'POST', cookie: verifier, body: { status: 'Payment Verified' } });
+    assert.strictEqual(res.status, 200);
+    const actor = ctx.db.prepare("SELECT actor FROM registration_events WHERE registration_id = ? AND action = 'status_change'").pluck().get(body.registration_id);
+    assert.strictEqual(actor, 'victor');
+  });
+
+  await t.test('only a super admin manages admins and events', async () => {
+    const user = { username: 'mallory', password: PASSWORD, role: 'super_admin' };
+    assert.strictEqual((await ctx.request('/admin/api/users', { method: 'POST', cookie: verifier, body: user })).status, 403);
+    const event = { slug: 'cpd-2030', name: 'CPD', start_date: '2030-03-01', end_date: '2030-03-01' };
+    assert.strictEqual((await ctx.request('/admin/api/events', { method: 'POST', cookie: verifier, body: event })).status, 403);
+  });
+});
+
+test('sessions', async t => {
+  await t.test('an expired session is refused', async () => {
+    const cookie = await createAdmin('eve', 'viewer');
+    assert.strictEqual((await ctx.request('/admin/api/me', { cookie })).status, 200);
+    ctx.db.prepare("UPDATE admin_sessions SET expires_at = ? WHERE admin_user_id = (SELECT id FROM admin_users WHERE username = 'eve')")
+      .run(new Date(Date.now() - 1000).toISOString());
+    assert.strictEqual((await ctx.request('/admin/api/me', { cookie })).status, 401);
+  });
+
+  await t.test('deactivating an admin ends their sessions', async () => {
+    const cookie = await createAdmin('dave', 'verifier');
+    const id = ctx.db.prepare("SELECT id FROM admin_users WHERE username = 'dave'").pluck().get();
+    assert.strictEqual((await ctx.request(`/admin/api/users/${id}`, { method: 'POST', body: { active: false } })).status, 200);
+    assert.strictEqual((await ctx.request('/admin/api/me', { cookie })).status, 401);
+    assert.strictEqual(await ctx.login('dave', PASSWORD), null);
+  });
+
+  await t.test('logging out ends the session', async () => {
+    const cookie = await createAdmin('lou', 'viewer');
+    await fetch(`${ctx.base}/admin/logout`, { method: 'POST', headers: { Cookie: cookie } });
+    assert.strictEqual((await ctx.request('/admin/api/me', { cookie })).status, 401);
+  });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+const registration = id => ctx.db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
+
+function importStatement(text, name = 'statement.csv') {
+  const form = new FormData();
+  form.append('statement', new Blob([text], { type: 'text/csv' }), name);
+  return ctx.request('/admin/api/bank-imports', { method: 'POST', body: form });
+}
+
+test('a bank statement is matched to registrations with a confidence for each credit', async t => {
+  const ada = registration((await ctx.register({ first_name: 'Ada', last_name: 'Tester', email: 'ada@example.com' })).body.registration_id);
+  const dev = registration((await ctx.register({ first_name: 'Dev', last_name: 'Patel', email: 'dev@example.com' })).body.registration_id);
+  const ben = registration((await ctx.register({ first_name: 'Ben', last_name: 'Carter', company: 'Harbour Chambers', email: 'ben@example.com' })).body.registration_id);
+  await ctx.register({ first_name: 'Cora', last_name: 'Twin', email: 'cora1@example.com', telephone: '2425550701' });
+  await ctx.register({ first_name: 'Cleo', last_name: 'Twin', email: 'cleo@example.com', telephone: '2425550702' });
+  const fee = ada.amount_due.toFixed(2);
+
+  const statement = [
+    'Account,000123456',
+    '',
+    'Date,Description,Debit,Credit',
+    `15/01/2027,"TRANSFER ${ada.payment_reference.replace('-', '')} A TESTER",,"${Number(fee).toLocaleString('en-US', { minimumFractionDigits: 2 })}"`,
+    `2027-01-16,DEV PATEL,,${fee}`,
+    `2027-01-16,HARBOUR CHAMBERS LTD,,${fee}`,
+    `2027-01-17,C TWIN,,${fee}`,
+    '2027-01-17,SERVICE CHARGE,5.00,',
+    '2027-01-18,"COFFEE, TEA",,12.00'
+  ].join('\r\n');
+
+  const res = await importStatement(statement);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), { ok: true, id: 1, credits: 5, added: 5, suggested: 4, already_imported: 0 });
+
+  const { rows, counts } = await (await ctx.request('/admin/api/bank-transactions')).json();
+  const credit = text => rows.find(r => r.description.startsWith(text));
+  assert.deepStrictEqual(counts, { suggested: 4, unmatched: 1, confirmed: 0, ignored: 0 });
+
+  await t.test('reference, amount and name together are high confidence', () => {
+    const row = credit('TRANSFER');
+    assert.strictEqual(row.registration_id, ada.id);
+    assert.strictEqual(row.posted_on, '2027-01-15');
+    assert.strictEqual(row.confidence_level, 'high');
+    assert.strictEqual(row.match_reasons, 'payment reference, amount, surname, initial');
+    assert.strictEqual(row.can_confirm, true);
+  });
+
+  await t.test('name and amount without the reference are medium confidence', () => {
+    const row = credit('DEV PATEL');
+    assert.strictEqual(row.registration_id, dev.id);
+    assert.strictEqual(row.confidence_level, 'medium');
+  });
+
+  await t.test('a payment from the registrant\'s firm is low confidence', () => {
+    const row = credit('HARBOUR');
+    assert.strictEqual(row.registration_id, ben.id);
+    assert.strictEqual(row.confidence_level, 'low');
+    assert.strictEqual(row.match_reasons, 'amount, firm');
+  });
+
+  await t.test('a credit that fits two registrations equally is only ever low confidence', () => {
+    const row = credit('C TWIN');
+    assert.strictEqual(row.confidence_level, 'low');
+    assert.match(row.match_reasons, /fits 1 other registration\(s\) as well/);
+  });
+
+  await t.test('debits are left out and credits nothing fits are unmatched', () => {
+    assert.ok(!credit('SERVICE'));
+    const row = credit('COFFEE');
+    assert.strictEqual(row.status, 'unmatched');
+    assert.strictEqual(row.registration_id, null);
+    assert.strictEqual(row.amount, 12);
+  });
+
+  await t.test('importing an overlapping statement adds only the new credits', async () => {
+    const again = await (await importStatement(`${statement}\r\n2027-01-19,LATE PAYER,,${fee}`)).json();
+    assert.strictEqual(again.added, 1);
+    assert.strictEqual(again.already_imported, 5);
+  });
+
+  await t.test('confirming a match verifies the payment and records the credit', async () => {
+    const res = await ctx.request('/admin/api/bank-transactions/confirm', { method: 'POST', body: { ids: [credit('TRANSFER').id, credit('COFFEE').id] } });
+    const body = await res.json();
+    assert.strictEqual(body.confirmed, 1);
+    assert.strictEqual(body.results[1].message, 'This credit has no match to confirm.');
+    assert.strictEqual(registration(ada.id).status, 'Payment Verified');
+    const matched = ctx.db.prepare("SELECT notes FROM registration_events WHERE registration_id = ? AND action = 'bank_payment_matched'").pluck().get(ada.id);
+    assert.match(matched, /^Bank credit of .* on 2027-01-15: TRANSFER/);
+  });
+});
+
+test('a statement that isn\'t a bank CSV is refused', async () => {
+  assert.strictEqual((await importStatement('Date,Amount\n2027-01-01,10', 'statement.xlsx')).status, 400);
+  const res = await importStatement('Name,Notes\nAda,paid');
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).message, /date and amount columns/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup, ADMIN } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+// The seeded event runs 19–23 January next year, in America/Nassau (UTC-5 in January)
+const year = new Date().getUTCFullYear() + 1;
+
+async function verifiedRegistration(fields, cookie) {
+  const id = (await ctx.register(fields)).body.registration_id;
+  await ctx.request(`/admin/api/registration/${id}/status`, { method: 'POST', body: { status: 'Payment Verified' }, cookie });
+  return id;
+}
+
+const checkIn = (body, cookie) => ctx.request('/admin/api/checkin', { method: 'POST', body, cookie });
+
+// Signing in purges sessions that have expired by then, so each test signs in after setting the clock
+async function at(t, time) {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(time) });
+  return ctx.login(ADMIN.username, ADMIN.password);
+}
+
+test('check-in defaults to today at the venue, not in UTC', async t => {
+  // 20:30 on the first day in Nassau, already the second day in UTC
+  const cookie = await at(t, `${year}-01-20T01:30:00Z`);
+  const id = await verifiedRegistration({ email: 'evening@example.com' }, cookie);
+
+  const summary = await (await ctx.request('/admin/api/checkin/summary', { cookie })).json();
+  assert.strictEqual(summary.day, `${year}-01-19`);
+  assert.strictEqual(summary.day_number, 1);
+
+  const res = await checkIn({ registration_id: id }, cookie);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).summary.day, `${year}-01-19`);
+  assert.deepStrictEqual(ctx.db.prepare('SELECT day FROM attendance WHERE registration_id = ?').pluck().all(id), [`${year}-01-19`]);
+});
+
+test('outside the event, lookups show the first day but check-ins need a day', async t => {
+  const cookie = await at(t, `${year}-01-18T15:00:00Z`);
+  const id = await verifiedRegistration({ email: 'early@example.com' }, cookie);
+
+  assert.strictEqual((await (await ctx.request('/admin/api/checkin/summary', { cookie })).json()).day, `${year}-01-19`);
+  const refused = await checkIn({ registration_id: id }, cookie);
+  assert.strictEqual(refused.status, 400);
+  assert.match((await refused.json()).message, /choose a programme day/);
+  assert.strictEqual((await checkIn({ registration_id: id, day: `${year}-01-21` }, cookie)).status, 200);
+  assert.strictEqual((await checkIn({ registration_id: id, day: `${year}-01-24` }, cookie)).status, 400);
+});
+
+test('merging keeps each check-in day once', async t => {
+  const cookie = await at(t, `${year}-01-20T15:00:00Z`);
+  const survivor = await verifiedRegistration({ email: 'kept@example.com', last_name: 'Kept' }, cookie);
+  const duplicate = await verifiedRegistration({ email: 'kept@example.com', last_name: 'Kept' }, cookie);
+  await checkIn({ registration_id: survivor, day: `${year}-01-19` }, cookie);
+  await checkIn({ registration_id: duplicate, day: `${year}-01-19` }, cookie);
+  await checkIn({ registration_id: duplicate }, cookie);
+
+  const res = await ctx.request(`/admin/api/registration/${survivor}/merge`, { method: 'POST', body: { ids: [duplicate] }, cookie });
+  assert.strictEqual(res.status, 200);
+  const days = ctx.db.prepare('SELECT registration_id, day FROM attendance WHERE registration_id IN (?, ?) ORDER BY day').all(survivor, duplicate);
+  assert.deepStrictEqual(days, [
+    { registration_id: survivor, day: `${year}-01-19` },
+    { registration_id: survivor, day: `${year}-01-20` }
+  ]);
+});
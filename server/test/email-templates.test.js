@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+test('previews and test sends never attach another registrant\'s receipt', async () => {
+  // The first verified registration gets REC-00001, the same number the preview uses as its sample
+  const paid = await ctx.register({ email: 'paid@example.com' });
+  const verify = await ctx.request(`/admin/api/registration/${paid.body.registration_id}/status`, {
+    method: 'POST', body: { status: 'Payment Verified' }
+  });
+  assert.strictEqual(verify.status, 200);
+  assert.ok(ctx.db.prepare("SELECT 1 FROM billing_documents WHERE number = 'REC-00001'").get());
+
+  const other = await ctx.register({ email: 'other@example.com' });
+  const preview = await ctx.request('/admin/api/email-templates/payment_verified/preview', {
+    method: 'POST', body: { registration_id: other.body.registration_id }
+  });
+  assert.strictEqual(preview.status, 200);
+  const email = await preview.json();
+  assert.ok(!(email.attachments || []).some(a => a.billing), 'preview attached a billing document');
+
+  const sent = await ctx.request('/admin/api/email-templates/payment_verified/test', {
+    method: 'POST', body: { registration_id: other.body.registration_id, to: 'someone@example.com' }
+  });
+  assert.strictEqual(sent.status, 200);
+  const queued = ctx.db.prepare('SELECT attachments FROM email_outbox WHERE id = ?').get((await sent.json()).id);
+  assert.ok(!JSON.parse(queued.attachments || '[]').some(a => a.billing), 'test send attached a billing document');
+});
+
+test('the real payment verified email still attaches the receipt', async () => {
+  const row = ctx.db.prepare("SELECT registration_id FROM billing_documents WHERE number = 'REC-00001'").get();
+  const queued = ctx.db.prepare("SELECT attachments FROM email_outbox WHERE registration_id = ? AND subject NOT LIKE '[Test]%' AND attachments LIKE '%REC-00001%'")
+    .get(row.registration_id);
+  assert.ok(queued);
+});
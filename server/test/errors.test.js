@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+test('a request the body parser refuses is answered with JSON', async () => {
+  const res = await fetch(`${ctx.base}/admin/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"username":' });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.headers.get('content-type'), /json/);
+  assert.ok((await res.json()).message);
+});
@@ -0,0 +1,100 @@
+// Starts the server against a fresh database and upload folder in a temporary directory. node --test runs
+// each test file in its own process, so every file gets its own copy.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { username: 'tester', password: 'tester-password' };
+
+function setup(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmts-test-'));
+  Object.assign(process.env, {
+    DB_PATH: path.join(dir, 'bmts.sqlite'),
+    UPLOAD_DIR: path.join(dir, 'uploads'),
+    BACKUP_DIR: path.join(dir, 'backups'),
+    PORTAL_SECRET: 'test-secret',
+    SMTP_HOST: '',
+    ADMIN_USER: ADMIN.username,
+    ADMIN_PASS: ADMIN.password,
+    // Registrations in the tests are sent straight after the form is "opened", all from one address
+    REGISTER_MIN_SECONDS: '0',
+    REGISTER_IP_LIMIT: '0',
+    REGISTER_EMAIL_LIMIT: '0'
+  }, env);
+  const { app, db, ...jobs } = require('../index');
+  // The seeded event is in the past, so move it a year ahead to keep registration open
+  const year = new Date().getUTCFullYear() + 1;
+  db.prepare("UPDATE events SET start_date = ?, end_date = ?, early_bird_deadline = NULL WHERE slug = 'bmts-week-2026'")
+    .run(`${year}-01-19`, `${year}-01-23`);
+
+  let server;
+  let base;
+  let cookie;
+  const ctx = {
+    dir,
+    db,
+    jobs,
+    get base() { return base; },
+
+    async start() {
+      await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+      base = `http://127.0.0.1:${server.address().port}`;
+    },
+
+    async stop() {
+      await new Promise(resolve => server.close(resolve));
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+
+    // fetch, signed in as the super admin for /admin routes unless options.cookie names another session
+    async request(url, options = {}) {
+      const headers = { ...(options.headers || {}) };
+      if (url.startsWith('/admin')) headers.Cookie = options.cookie || await ctx.adminCookie();
+      let body = options.body;
+      if (body && !(body instanceof FormData) && typeof body !== 'string') {
+        body = JSON.stringify(body);
+        headers['Content-Type'] = 'application/json';
+      }
+      return fetch(base + url, { ...options, headers, body, redirect: 'manual' });
+    },
+
+    // The session cookie for an admin, or null if the login is refused
+    async login(username, password) {
+      const res = await fetch(`${base}/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      return res.ok ? res.headers.get('set-cookie').split(';')[0] : null;
+    },
+
+    async adminCookie() {
+      if (!cookie) cookie = await ctx.login(ADMIN.username, ADMIN.password);
+      return cookie;
+    },
+
+    // A registration the way the public form sends it; fields overrides the answers
+    async register(fields = {}, proof = pdfFile()) {
+      const challenge = await (await fetch(`${base}/api/register/challenge`)).json();
+      const form = new FormData();
+      const answers = {
+        middle_temple_member: 'No', bmts_member_interest: 'No', title: 'Ms', first_name: 'Ada', last_name: 'Tester',
+        telephone: '2425550100', email: 'ada@example.com', practice_track: 'Civil', payment_method: 'Bank Transfer',
+        consent: 'on', form_token: challenge.form_token, ...fields
+      };
+      Object.entries(answers).forEach(([name, value]) => form.append(name, value));
+      if (proof) form.append('payment_proof', proof.blob, proof.name);
+      const res = await fetch(`${base}/api/register`, { method: 'POST', body: form });
+      return { status: res.status, body: await res.json() };
+    }
+  };
+  return ctx;
+}
+
+function pdfFile(name = 'proof.pdf', size = 0) {
+  const content = Buffer.concat([Buffer.from('%PDF-1.4\n% test proof\n'), Buffer.alloc(size, 32)]);
+  return { name, blob: new Blob([content], { type: 'application/pdf' }) };
+}
+
+module.exports = { setup, pdfFile, ADMIN };
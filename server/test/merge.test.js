@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup, pdfFile } = require('./helpers');
+
+const ctx = setup({ PAYMENT_PROVIDER: 'mock' });
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+const registration = id => ctx.db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
+
+test('duplicates are flagged when they are submitted', async t => {
+  const first = (await ctx.register({ email: 'grace@example.com', first_name: 'Grace', last_name: 'Hopper', telephone: '242-555-0101' })).body;
+
+  await t.test('the same email is flagged and the registrant told not to pay again', async () => {
+    const again = (await ctx.register({ email: 'GRACE@example.com', first_name: 'G', last_name: 'H', telephone: '2425550199' })).body;
+    assert.match(again.duplicate_warning, /no need to pay again/);
+    assert.strictEqual(registration(again.registration_id).duplicate_of, first.registration_id);
+  });
+
+  await t.test('the same name, ignoring case and accents, is flagged', async () => {
+    const again = (await ctx.register({ email: 'other@example.com', first_name: 'GRÂCE', last_name: 'hopper', telephone: '2425550198' })).body;
+    assert.strictEqual(registration(again.registration_id).duplicate_of, first.registration_id);
+  });
+
+  await t.test('someone else isn\'t', async () => {
+    const other = (await ctx.register({ email: 'ada@example.org', first_name: 'Ada', last_name: 'Lovelace', telephone: '2425550177' })).body;
+    assert.strictEqual(other.duplicate_warning, null);
+    assert.strictEqual(registration(other.registration_id).duplicate_of, null);
+  });
+});
+
+test('merging duplicates', async t => {
+  const fields = { email: 'alan@example.com', first_name: 'Alan', last_name: 'Turing', telephone: '2425550300' };
+  const survivor = (await ctx.register(fields)).body;
+  const duplicate = (await ctx.register(fields, pdfFile('second-proof.pdf'))).body;
+  const merge = ids => ctx.request(`/admin/api/registration/${survivor.registration_id}/merge`, { method: 'POST', body: { ids } });
+
+  await t.test('a registration can\'t be merged into itself', async () => {
+    assert.strictEqual((await merge([survivor.registration_id])).status, 400);
+  });
+
+  await t.test('the duplicate\'s proofs and history move to the survivor', async () => {
+    assert.strictEqual((await merge([duplicate.registration_id])).status, 200);
+    const merged = registration(duplicate.registration_id);
+    assert.strictEqual(merged.status, 'Merged');
+    assert.strictEqual(merged.merged_into, survivor.registration_id);
+
+    const proofs = ctx.db.prepare('SELECT original_name, merged_from FROM payment_proofs WHERE registration_id = ? ORDER BY id').all(survivor.registration_id);
+    assert.deepStrictEqual(proofs, [
+      { original_name: 'proof.pdf', merged_from: null },
+      { original_name: 'second-proof.pdf', merged_from: duplicate.registration_id }
+    ]);
+    assert.strictEqual(registration(survivor.registration_id).payment_file_name, 'second-proof.pdf');
+    const moved = ctx.db.prepare('SELECT action FROM registration_events WHERE registration_id = ? AND merged_from = ?').pluck().all(survivor.registration_id, duplicate.registration_id);
+    assert.ok(moved.includes('created'));
+  });
+
+  await t.test('a registration already merged can\'t be merged again', async () => {
+    assert.strictEqual((await merge([duplicate.registration_id])).status, 400);
+  });
+
+  await t.test('the duplicate\'s portal link opens the survivor', async () => {
+    const res = await fetch(`${ctx.base}/api/portal?token=${encodeURIComponent(duplicate.portal_token)}`);
+    assert.strictEqual((await res.json()).registration.id, survivor.registration_id);
+  });
+});
+
+test('a flag can be dismissed', async () => {
+  const fields = { email: 'kay@example.com', first_name: 'Kay', last_name: 'Nguyen', telephone: '2425550400' };
+  await ctx.register(fields);
+  const flagged = (await ctx.register(fields)).body;
+  const res = await ctx.request(`/admin/api/registration/${flagged.registration_id}/not-duplicate`, { method: 'POST' });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(registration(flagged.registration_id).duplicate_of, null);
+});
+
+test('a certificate moves to the survivor unless it already has one', async () => {
+  const issue = (id, number) => ctx.db.prepare(`
+    INSERT INTO certificates (certificate_number, registration_id, event_id, name, practice_track, issued_at)
+    SELECT ?, id, event_id, first_name || ' ' || last_name, practice_track, ? FROM registrations WHERE id = ?
+  `).run(number, new Date().toISOString(), id);
+  const merge = (survivor, ids) => ctx.request(`/admin/api/registration/${survivor}/merge`, { method: 'POST', body: { ids } });
+  const fields = { email: 'cert@example.com', first_name: 'Cora', last_name: 'Certain', telephone: '2425550500' };
+  const survivor = (await ctx.register(fields)).body.registration_id;
+  const first = (await ctx.register(fields)).body.registration_id;
+  const second = (await ctx.register(fields)).body.registration_id;
+  issue(first, 'CERT-1');
+  issue(second, 'CERT-2');
+
+  assert.strictEqual((await merge(survivor, [first])).status, 200);
+  assert.strictEqual((await merge(survivor, [second])).status, 200);
+  const holders = ctx.db.prepare('SELECT certificate_number, registration_id FROM certificates ORDER BY certificate_number').all();
+  assert.deepStrictEqual(holders, [
+    { certificate_number: 'CERT-1', registration_id: survivor },
+    { certificate_number: 'CERT-2', registration_id: second }
+  ]);
+});
+
+test('a merged duplicate\'s receipt moves to the survivor', async () => {
+  const fields = { email: 'twice@example.com', first_name: 'Tess', last_name: 'Twice', telephone: '2425550600' };
+  const survivor = (await ctx.register(fields)).body.registration_id;
+  const duplicate = (await ctx.register(fields)).body.registration_id;
+  await ctx.request(`/admin/api/registration/${duplicate}/status`, { method: 'POST', body: { status: 'Payment Verified' } });
+  const receipt = ctx.db.prepare("SELECT number FROM billing_documents WHERE registration_id = ? AND kind = 'receipt'").pluck().get(duplicate);
+  assert.ok(receipt);
+
+  const res = await ctx.request(`/admin/api/registration/${survivor}/merge`, { method: 'POST', body: { ids: [duplicate] } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(ctx.db.prepare('SELECT registration_id FROM billing_documents WHERE number = ?').pluck().get(receipt), survivor);
+});
+
+test('merging a duplicate paid by card', async t => {
+  const survivor = (await ctx.register({ email: 'card@example.com', first_name: 'Carla', last_name: 'Card' })).body;
+  const duplicate = (await ctx.register({ email: 'card@example.com', first_name: 'Carla', last_name: 'Card', payment_method: 'Card' }, null)).body;
+  assert.ok(duplicate.checkout_url);
+  // Stands in for the provider's webhook reporting the checkout paid
+  ctx.db.prepare("UPDATE card_payments SET status = 'paid', payment_id = 'pi_test', paid_at = ? WHERE registration_id = ?")
+    .run(new Date().toISOString(), duplicate.registration_id);
+
+  const res = await ctx.request(`/admin/api/registration/${survivor.registration_id}/merge`, { method: 'POST', body: { ids: [duplicate.registration_id] } });
+  assert.strictEqual(res.status, 200);
+
+  await t.test('the card payment moves to the survivor', async () => {
+    const payments = await (await ctx.request(`/admin/api/registration/${survivor.registration_id}/card-payments`)).json();
+    assert.deepStrictEqual(payments.rows.map(p => p.payment_id), ['pi_test']);
+  });
+
+  await t.test('the survivor can\'t be charged again', async () => {
+    const checkout = await fetch(`${ctx.base}/api/portal/checkout?token=${encodeURIComponent(survivor.portal_token)}`, { method: 'POST' });
+    assert.strictEqual(checkout.status, 400);
+  });
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { setup } = require('./helpers');
+
+// Just enough of an SMTP server for nodemailer: it keeps what it receives and answers
+// RCPT TO with a 451 for any address in `failures`, once per count
+function smtpStandIn() {
+  const smtp = { messages: [], failures: new Map() };
+  smtp.server = net.createServer(socket => {
+    let buffer = '';
+    let message = null;
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 stand-in ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf(message && message.inData ? '\r\n.\r\n' : '\r\n')) !== -1) {
+        if (message && message.inData) {
+          message.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          delete message.inData;
+          smtp.messages.push(message);
+          message = null;
+          reply('250 OK queued');
+          continue;
+        }
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') reply('250 stand-in');
+        else if (command === 'MAIL') { message = { from: line.slice(10).trim(), to: [] }; reply('250 OK'); }
+        else if (command === 'RCPT') {
+          const to = line.slice(8).trim().replace(/^<|>$/g, '');
+          const left = smtp.failures.get(to) || 0;
+          if (left > 0) {
+            smtp.failures.set(to, left - 1);
+            reply('451 4.3.0 Try again later');
+          } else {
+            message.to.push(to);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') { message.inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (command === 'RSET') { message = null; reply('250 OK'); }
+        else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+        else reply('250 OK');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return smtp;
+}
+
+const smtp = smtpStandIn();
+let ctx;
+test.before(async () => {
+  await new Promise(resolve => smtp.server.listen(0, '127.0.0.1', resolve));
+  ctx = setup({
+    SMTP_HOST: '127.0.0.1', SMTP_PORT: String(smtp.server.address().port),
+    EMAIL_MAX_ATTEMPTS: '3', EMAIL_RETRY_BASE_SECONDS: '60'
+  });
+  await ctx.start();
+});
+test.after(async () => {
+  await ctx.stop();
+  await new Promise(resolve => smtp.server.close(resolve));
+});
+
+const emailsTo = address => ctx.db.prepare('SELECT * FROM email_outbox WHERE to_address = ? ORDER BY id').all(address);
+const received = address => smtp.messages.filter(m => m.to.includes(address));
+
+// Waits for the running worker to finish with an email
+async function settled(id) {
+  for (let i = 0; i < 100; i++) {
+    const email = ctx.db.prepare('SELECT * FROM email_outbox WHERE id = ?').get(id);
+    if (!['pending', 'sending'].includes(email.status)) return email;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`email ${id} was never sent`);
+}
+
+test('a queued email is delivered and marked sent', async () => {
+  assert.strictEqual((await ctx.register({ email: 'sent@example.com' })).status, 200);
+  const [queued] = emailsTo('sent@example.com');
+  assert.strictEqual(queued.status, 'pending');
+
+  await ctx.jobs.processOutbox();
+  const [email] = emailsTo('sent@example.com');
+  assert.strictEqual(email.status, 'sent');
+  assert.strictEqual(email.attempts, 1);
+  assert.ok(email.sent_at);
+  assert.ok(email.message_id);
+  const [message] = received('sent@example.com');
+  assert.match(message.data, /^To: sent@example\.com\r$/m);
+  assert.match(message.data, /^Subject: .*Registration_Received/m);
+});
+
+test('a transient failure is retried after the backoff delay', async t => {
+  const now = Date.parse('2026-11-02T15:00:00.000Z');
+  t.mock.timers.enable({ apis: ['Date'], now });
+  smtp.failures.set('flaky@example.com', 1);
+  await ctx.register({ email: 'flaky@example.com' });
+
+  await ctx.jobs.processOutbox();
+  let [email] = emailsTo('flaky@example.com');
+  assert.strictEqual(email.status, 'pending');
+  assert.strictEqual(email.attempts, 1);
+  assert.match(email.last_error, /451/);
+  assert.strictEqual(email.next_attempt_at, new Date(now + 60 * 1000).toISOString());
+
+  // Not due yet
+  t.mock.timers.setTime(now + 59 * 1000);
+  await ctx.jobs.processOutbox();
+  assert.strictEqual(emailsTo('flaky@example.com')[0].attempts, 1);
+
+  t.mock.timers.setTime(now + 60 * 1000);
+  await ctx.jobs.processOutbox();
+  [email] = emailsTo('flaky@example.com');
+  assert.strictEqual(email.status, 'sent');
+  assert.strictEqual(email.attempts, 2);
+  assert.strictEqual(email.last_error, null);
+  assert.strictEqual(received('flaky@example.com').length, 1);
+});
+
+test('delivery gives up after EMAIL_MAX_ATTEMPTS, doubling the delay in between', async t => {
+  const now = Date.parse('2026-11-02T15:00:00.000Z');
+  t.mock.timers.enable({ apis: ['Date'], now });
+  smtp.failures.set('bounce@example.com', 10);
+  await ctx.register({ email: 'bounce@example.com' });
+
+  await ctx.jobs.processOutbox();
+  assert.strictEqual(emailsTo('bounce@example.com')[0].next_attempt_at, new Date(now + 60 * 1000).toISOString());
+
+  t.mock.timers.setTime(now + 60 * 1000);
+  await ctx.jobs.processOutbox();
+  assert.strictEqual(emailsTo('bounce@example.com')[0].next_attempt_at, new Date(now + 180 * 1000).toISOString());
+
+  t.mock.timers.setTime(now + 180 * 1000);
+  await ctx.jobs.processOutbox();
+  const [email] = emailsTo('bounce@example.com');
+  assert.strictEqual(email.status, 'failed');
+  assert.strictEqual(email.attempts, 3);
+  assert.strictEqual(email.next_attempt_at, null);
+  assert.match(email.last_error, /451/);
+  assert.strictEqual(received('bounce@example.com').length, 0);
+});
+
+test('starting the worker requeues emails left mid-send, and resends go out as new emails', async t => {
+  await ctx.register({ email: 'interrupted@example.com' });
+  const [queued] = emailsTo('interrupted@example.com');
+  // As if the server stopped while this email was going out
+  ctx.db.prepare("UPDATE email_outbox SET status = 'sending', attempts = 1 WHERE id = ?").run(queued.id);
+
+  const worker = ctx.jobs.startEmailWorker();
+  t.after(() => clearInterval(worker));
+  const email = await settled(queued.id);
+  assert.strictEqual(email.status, 'sent');
+  assert.strictEqual(email.attempts, 2);
+
+  // The mailbox that bounced is back, so a resend of the failed email gets through
+  smtp.failures.delete('bounce@example.com');
+  const failed = emailsTo('bounce@example.com')[0];
+  const res = await ctx.request(`/admin/api/emails/${failed.id}/resend`, { method: 'POST' });
+  assert.strictEqual(res.status, 200);
+  const { id } = await res.json();
+  const resent = await settled(id);
+  assert.strictEqual(resent.status, 'sent');
+  assert.strictEqual(resent.resent_from, failed.id);
+  assert.strictEqual(resent.subject, failed.subject);
+  assert.strictEqual(emailsTo('bounce@example.com')[0].status, 'failed');
+  assert.strictEqual(received('bounce@example.com').length, 1);
+
+  const { rows } = await (await ctx.request(`/admin/api/registration/${failed.registration_id}/emails`)).json();
+  assert.deepStrictEqual(rows.filter(r => r.to_address === 'bounce@example.com').map(r => [r.id, r.status, r.resent_from]).sort((a, b) => a[0] - b[0]),
+    [[failed.id, 'failed', null], [id, 'sent', failed.id]]);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setup, pdfFile } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+const uploadCount = () => fs.readdirSync(process.env.UPLOAD_DIR).filter(name => name.includes('.')).length;
+
+async function uploadProof(token, form) {
+  const res = await fetch(`${ctx.base}/api/portal/payment-proof?token=${encodeURIComponent(token)}`, { method: 'POST', body: form });
+  return { status: res.status, type: res.headers.get('content-type'), body: await res.json().catch(() => null) };
+}
+
+function proofForm(file, name) {
+  const form = new FormData();
+  form.append('payment_proof', file, name);
+  return form;
+}
+
+test('portal proof uploads', async t => {
+  const { body } = await ctx.register();
+  const token = body.portal_token;
+
+  await t.test('the link opens the registration', async () => {
+    const res = await fetch(`${ctx.base}/api/portal?token=${encodeURIComponent(token)}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).registration.id, body.registration_id);
+  });
+
+  await t.test('a file of the wrong type gets a JSON 400', async () => {
+    const before = uploadCount();
+    const res = await uploadProof(token, proofForm(new Blob(['hello'], { type: 'text/plain' }), 'notes.txt'));
+    assert.strictEqual(res.status, 400);
+    assert.match(res.type, /json/);
+    assert.match(res.body.message, /PDF, JPG, JPEG,? or PNG/);
+    assert.strictEqual(uploadCount(), before);
+  });
+
+  await t.test('a file over the size limit gets a JSON 400 and isn\'t kept', async () => {
+    const before = uploadCount();
+    const big = pdfFile('big.pdf', 10 * 1024 * 1024 + 1);
+    const res = await uploadProof(token, proofForm(big.blob, big.name));
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.message, /10MB or smaller/);
+    assert.strictEqual(uploadCount(), before);
+  });
+
+  await t.test('two files get a JSON 400 and neither is kept', async () => {
+    const before = uploadCount();
+    const proof = pdfFile();
+    const form = proofForm(proof.blob, 'first.pdf');
+    form.append('payment_proof', proof.blob, 'second.pdf');
+    const res = await uploadProof(token, form);
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.message, /single file/);
+    assert.strictEqual(uploadCount(), before);
+  });
+
+  await t.test('an invalid token is refused before the file is written', async () => {
+    const before = uploadCount();
+    const proof = pdfFile();
+    const res = await uploadProof('not-a-token', proofForm(proof.blob, proof.name));
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(uploadCount(), before);
+  });
+
+  await t.test('a token sent only in the form body is refused', async () => {
+    const before = uploadCount();
+    const proof = pdfFile();
+    const form = new FormData();
+    form.append('token', token);
+    form.append('payment_proof', proof.blob, proof.name);
+    const res = await fetch(`${ctx.base}/api/portal/payment-proof`, { method: 'POST', body: form });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(uploadCount(), before);
+  });
+
+  await t.test('a file that only claims to be a PDF is refused and removed', async () => {
+    const before = uploadCount();
+    const res = await uploadProof(token, proofForm(new Blob(['MZ not a pdf'], { type: 'application/pdf' }), 'invoice.pdf'));
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.message, /PDF, JPG, JPEG or PNG/);
+    assert.strictEqual(uploadCount(), before);
+  });
+
+  await t.test('a genuine PDF is stored', async () => {
+    const before = uploadCount();
+    const proof = pdfFile('second.pdf');
+    const res = await uploadProof(token, proofForm(proof.blob, proof.name));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.registration.payment_file_name, 'second.pdf');
+    assert.strictEqual(uploadCount(), before + 1);
+    assert.strictEqual(ctx.db.prepare('SELECT COUNT(*) FROM payment_proofs WHERE registration_id = ?').pluck().get(body.registration_id), 2);
+  });
+});
+
+test('contact details are checked with the registration form\'s rules', async () => {
+  const { body } = await ctx.register({ email: 'contact@example.com' });
+  const update = async fields => {
+    const res = await fetch(`${ctx.base}/api/portal/contact`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ token: body.portal_token, ...fields })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const refused = await update({ telephone: '12-34', email: 'nobody@nowhere', city: 'N'.repeat(81) });
+  assert.strictEqual(refused.status, 400);
+  assert.deepStrictEqual(refused.body.errors, {
+    telephone: 'Please enter a telephone number with at least 7 digits, e.g. +1 242 555 0100.',
+    email: 'Please enter a valid email address.',
+    city: 'City must be 80 characters or fewer.'
+  });
+  assert.deepStrictEqual((await update({ telephone: ' ' })).body.errors, { telephone: 'Telephone is required.' });
+  assert.strictEqual(ctx.db.prepare('SELECT telephone FROM registrations WHERE id = ?').pluck().get(body.registration_id), '2425550100');
+
+  const saved = await update({ telephone: ' +1 (242) 555-0199 ', company: '' });
+  assert.strictEqual(saved.status, 200);
+  const row = ctx.db.prepare('SELECT telephone, company FROM registrations WHERE id = ?').get(body.registration_id);
+  assert.deepStrictEqual(row, { telephone: '+1 (242) 555-0199', company: '' });
+});
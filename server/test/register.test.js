@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setup } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+test('a registration with a payment proof is accepted', async () => {
+  const res = await ctx.register();
+  assert.strictEqual(res.status, 200);
+  const row = ctx.db.prepare('SELECT status, payment_file_path, event_id FROM registrations WHERE id = ?').get(res.body.registration_id);
+  assert.strictEqual(row.status, 'Pending Verification');
+  assert.ok(row.payment_file_path);
+  assert.strictEqual(row.event_id, ctx.db.prepare("SELECT id FROM events WHERE slug = 'bmts-week-2026'").pluck().get());
+});
+
+test('registration stays open until the last day is over at the venue', async t => {
+  const { end_date: endDate } = ctx.db.prepare("SELECT end_date FROM events WHERE slug = 'bmts-week-2026'").get();
+  const listed = async () => (await (await fetch(`${ctx.base}/api/events`)).json()).rows.some(e => e.slug === 'bmts-week-2026');
+
+  // 22:00 in Nassau on the last day, already the next day in UTC
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(`${endDate}T22:00:00-05:00`) });
+  assert.strictEqual((await ctx.register({ email: 'evening@example.com' })).status, 200);
+  assert.strictEqual(await listed(), true);
+
+  // Half past midnight in Nassau the day after
+  t.mock.timers.setTime(new Date(`${endDate}T23:59:59-05:00`).getTime() + 31 * 60000);
+  const res = await ctx.register({ email: 'late@example.com' });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.message, /closed/);
+  assert.strictEqual(await listed(), false);
+});
+
+test('an event\'s time zone must be a real one', async () => {
+  const res = await ctx.request('/admin/api/events', {
+    method: 'POST',
+    body: { slug: 'cpd-london', name: 'CPD Evening', start_date: '2030-03-01', end_date: '2030-03-01', timezone: 'Mars/Olympus' }
+  });
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).message, /timezone/);
+});
+
+test('a refused registration gets a message per field and keeps no file', async () => {
+  const uploads = () => fs.readdirSync(process.env.UPLOAD_DIR).filter(name => name.includes('.')).length;
+  const before = uploads();
+  const res = await ctx.register({ email: 'not-an-email', telephone: '555-01', first_name: 'A'.repeat(81), title: 'Sir' });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.errors, {
+    title: 'Please choose one of: Mr, Ms, Mrs, Dr.',
+    first_name: 'First name must be 80 characters or fewer.',
+    telephone: 'Please enter a telephone number with at least 7 digits, e.g. +1 242 555 0100.',
+    email: 'Please enter a valid email address.'
+  });
+  assert.strictEqual(uploads(), before);
+  assert.strictEqual(ctx.db.prepare("SELECT COUNT(*) FROM registrations WHERE email = 'not-an-email'").pluck().get(), 0);
+});
+
+test('a missing proof and a proof of the wrong type are reported on the proof field', async () => {
+  const missing = await ctx.register({}, null);
+  assert.strictEqual(missing.status, 400);
+  assert.deepStrictEqual(missing.body.errors, { payment_proof: 'Please upload your payment proof.' });
+
+  const wrongType = await ctx.register({ email: 'x' }, { name: 'notes.txt', blob: new Blob(['hello'], { type: 'text/plain' }) });
+  assert.deepStrictEqual(Object.keys(wrongType.body.errors).sort(), ['email', 'payment_proof']);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup, pdfFile } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+test('stuck registrations count from the last move back to Pending Verification', async () => {
+  const { body } = await ctx.register();
+  const id = body.registration_id;
+  const res = await ctx.request(`/admin/api/registration/${id}/status`, { method: 'POST', body: { status: 'Awaiting Resubmission', admin_notes: 'Proof is unreadable' } });
+  assert.strictEqual(res.status, 200);
+
+  const form = new FormData();
+  const proof = pdfFile('clearer.pdf');
+  form.append('payment_proof', proof.blob, proof.name);
+  const upload = await fetch(`${ctx.base}/api/portal/payment-proof?token=${encodeURIComponent(body.portal_token)}`, { method: 'POST', body: form });
+  assert.strictEqual(upload.status, 200);
+
+  // Submitted a month ago, sent back, and the new proof uploaded ten days ago
+  ctx.db.prepare('UPDATE registrations SET created_at = ? WHERE id = ?').run(daysAgo(30), id);
+  ctx.db.prepare("UPDATE registration_events SET created_at = CASE WHEN action = 'proof_uploaded' THEN ? ELSE ? END WHERE registration_id = ?")
+    .run(daysAgo(10), daysAgo(30), id);
+
+  const stats = await (await ctx.request('/admin/api/stats?stuck_days=1')).json();
+  const stuck = stats.stuck.find(r => r.id === id);
+  assert.ok(stuck);
+  assert.strictEqual(stuck.days_pending, 10);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+async function setStatus(id, status, adminNotes) {
+  const res = await ctx.request(`/admin/api/registration/${id}/status`, { method: 'POST', body: { status, admin_notes: adminNotes } });
+  return { status: res.status, body: await res.json() };
+}
+
+test('status changes follow the allowed transitions', async t => {
+  const { body } = await ctx.register();
+  const id = body.registration_id;
+
+  await t.test('an unknown status is refused', async () => {
+    assert.strictEqual((await setStatus(id, 'Paid')).status, 400);
+  });
+
+  await t.test('a pending registration can\'t skip verification', async () => {
+    const res = await setStatus(id, 'Confirmed');
+    assert.strictEqual(res.status, 409);
+    assert.match(res.body.message, /Cannot change status from Pending Verification to Confirmed/);
+    assert.ok(res.body.allowed.includes('Payment Verified'));
+    assert.ok(!res.body.allowed.includes('Confirmed'));
+  });
+
+  await t.test('verified, then confirmed', async () => {
+    assert.strictEqual((await setStatus(id, 'Payment Verified', 'Transfer received')).status, 200);
+    assert.strictEqual((await setStatus(id, 'Confirmed')).status, 200);
+  });
+
+  await t.test('a confirmed registration can only be cancelled', async () => {
+    assert.strictEqual((await setStatus(id, 'Pending Verification')).status, 409);
+    assert.strictEqual((await setStatus(id, 'Cancelled')).status, 200);
+  });
+
+  await t.test('a cancelled registration goes back through verification', async () => {
+    assert.strictEqual((await setStatus(id, 'Payment Verified')).status, 409);
+    assert.strictEqual((await setStatus(id, 'Pending Verification')).status, 200);
+  });
+
+  await t.test('every change is in the history, and refused ones aren\'t', async () => {
+    const { history } = await (await ctx.request(`/admin/api/registration/${id}`)).json();
+    const changes = history.filter(h => h.action === 'status_change').map(h => `${h.old_status} -> ${h.new_status}`);
+    assert.deepStrictEqual(changes, [
+      'Pending Verification -> Payment Verified',
+      'Payment Verified -> Confirmed',
+      'Confirmed -> Cancelled',
+      'Cancelled -> Pending Verification'
+    ]);
+    assert.strictEqual(history.find(h => h.new_status === 'Payment Verified').notes, 'Transfer received');
+    assert.strictEqual(history[0].action, 'created');
+  });
+});
+
+test('a bulk change moves the registrations it can and reports the rest', async () => {
+  const first = (await ctx.register({ email: 'bulk1@example.com' })).body.registration_id;
+  const second = (await ctx.register({ email: 'bulk2@example.com' })).body.registration_id;
+  const confirmed = (await ctx.register({ email: 'bulk3@example.com' })).body.registration_id;
+  await setStatus(confirmed, 'Payment Verified');
+  await setStatus(confirmed, 'Confirmed');
+
+  const res = await ctx.request('/admin/api/registrations/bulk-status', {
+    method: 'POST', body: { ids: [first, second, second, confirmed, 'BMTS-NOPE'], status: 'Payment Verified', admin_notes: 'Statement 14' }
+  });
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.strictEqual(body.updated, 2);
+  assert.strictEqual(body.failed, 2);
+  assert.deepStrictEqual(body.results.map(r => [r.id, r.ok]), [[first, true], [second, true], [confirmed, false], ['BMTS-NOPE', false]]);
+  assert.match(body.results[2].message, /Cannot change status from Confirmed to Payment Verified/);
+  assert.strictEqual(body.results[3].message, 'Not found');
+
+  for (const id of [first, second]) {
+    const { row, history } = await (await ctx.request(`/admin/api/registration/${id}`)).json();
+    assert.strictEqual(row.status, 'Payment Verified');
+    const change = history.find(h => h.action === 'status_change');
+    assert.strictEqual(change.notes, 'Statement 14');
+    assert.strictEqual(change.actor, 'tester');
+  }
+  const { row } = await (await ctx.request(`/admin/api/registration/${confirmed}`)).json();
+  assert.strictEqual(row.status, 'Confirmed');
+});
+
+test('a bulk change needs a selection and a known status', async () => {
+  const bulk = body => ctx.request('/admin/api/registrations/bulk-status', { method: 'POST', body });
+  assert.strictEqual((await bulk({ ids: [], status: 'Cancelled' })).status, 400);
+  assert.strictEqual((await bulk({ ids: ['BMTS-NOPE'], status: 'Paid' })).status, 400);
+});
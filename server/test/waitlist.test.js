@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+const ctx = setup();
+test.before(() => ctx.start());
+test.after(() => ctx.stop());
+
+const registration = id => ctx.db.prepare('SELECT * FROM registrations WHERE id = ?').get(id);
+
+test('a full track waitlists, then offers freed seats in turn', async t => {
+  const eventId = ctx.db.prepare("SELECT id FROM events WHERE slug = 'bmts-week-2026'").pluck().get();
+  const limit = await ctx.request(`/admin/api/events/${eventId}`, { method: 'POST', body: { track_capacity: { Civil: 1 } } });
+  assert.strictEqual(limit.status, 200);
+
+  const seated = (await ctx.register({ email: 'one@example.com', last_name: 'One' })).body;
+  const second = (await ctx.register({ email: 'two@example.com', last_name: 'Two' })).body;
+  const third = (await ctx.register({ email: 'three@example.com', last_name: 'Three' })).body;
+  const criminal = (await ctx.register({ email: 'four@example.com', last_name: 'Four', practice_track: 'Criminal' })).body;
+
+  await t.test('registrations past the limit are waitlisted; other tracks aren\'t', async () => {
+    assert.strictEqual(seated.waitlisted, false);
+    assert.strictEqual(second.waitlisted, true);
+    assert.strictEqual(registration(third.registration_id).status, 'Waitlisted');
+    assert.strictEqual(registration(criminal.registration_id).status, 'Pending Verification');
+
+    const { rows } = await (await ctx.request(`/admin/api/events/${eventId}/seats`)).json();
+    assert.deepStrictEqual(rows.find(r => r.track === 'Civil'), { track: 'Civil', capacity: 1, used: 1, remaining: 0, waitlisted: 2 });
+  });
+
+  await t.test('a cancellation offers the seat to the longest-waiting registrant only', async () => {
+    const res = await ctx.request(`/admin/api/registration/${seated.registration_id}/status`, { method: 'POST', body: { status: 'Cancelled' } });
+    assert.strictEqual(res.status, 200);
+    const offer = registration(second.registration_id).waitlist_offer_expires_at;
+    assert.ok(Math.abs(new Date(offer) - Date.now() - 48 * 3600 * 1000) < 60000);
+    assert.strictEqual(registration(third.registration_id).waitlist_offer_expires_at, null);
+  });
+
+  await t.test('the offered seat is held, so a newcomer is still waitlisted', async () => {
+    assert.strictEqual((await ctx.register({ email: 'five@example.com', last_name: 'Five' })).body.waitlisted, true);
+  });
+
+  await t.test('an offer that lapses goes to the next in line', async () => {
+    ctx.db.prepare('UPDATE registrations SET waitlist_offer_expires_at = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), second.registration_id);
+    await ctx.jobs.expireWaitlistOffers();
+
+    const lapsed = registration(second.registration_id);
+    assert.strictEqual(lapsed.status, 'Waitlisted');
+    assert.strictEqual(lapsed.waitlist_offer_expires_at, null);
+    assert.ok(lapsed.waitlist_offer_lapsed_at);
+    assert.ok(registration(third.registration_id).waitlist_offer_expires_at);
+  });
+
+  await t.test('only the registrant with an open offer can accept it', async () => {
+    const accept = token => fetch(`${ctx.base}/api/portal/accept-offer?token=${encodeURIComponent(token)}`, { method: 'POST' });
+    assert.strictEqual((await accept(second.portal_token)).status, 400);
+    const res = await accept(third.portal_token);
+    assert.strictEqual(res.status, 200);
+    const accepted = registration(third.registration_id);
+    assert.strictEqual(accepted.status, 'Pending Verification');
+    assert.strictEqual(accepted.waitlist_offer_expires_at, null);
+  });
+});